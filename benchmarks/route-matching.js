@@ -0,0 +1,233 @@
+import { performance } from 'perf_hooks';
+import { compileRouteRegistry, matchRoute } from '../lib/making-requests.js';
+import { parseDynamicSegmentKey, resolveParamType } from '../lib/route-segments.js';
+
+/*
+    Compares the per-request route matching used prior to compiled routes, which walks the compiled routes JSON as-is,
+    against matching with the compiled route structure used by `EndpointRouting`.
+
+    The route registry and request paths are generated from a fixed seed, so results are comparable between runs.
+
+    Usage: node benchmarks/route-matching.js [resourceCount] [iterations]
+*/
+
+const RESOURCE_COUNT = Number(process.argv[2]) || 250;
+const ITERATIONS = Number(process.argv[3]) || 200000;
+
+/**
+ * A small seeded pseudo-random number generator (mulberry32), so every run generates the same registry and requests.
+ * 
+ * @param {Number} seed The seed.
+ * @returns {Function} A function returning the next pseudo-random number between 0 and 1.
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a compiled routes JSON resembling a large REST API.
+ * 
+ * @param {Number} resourceCount The number of top-level resources.
+ * @returns {Object} The route registry, and the number of endpoint + method pairs within it.
+ */
+function generateRouteRegistry(resourceCount) {
+    const handler = (name) => ({ filePath: `endpoints/${name}/index.js` });
+    const routes = { '/api': {} };
+    let routeCount = 0;
+
+    for (let r = 0; r < resourceCount; r++) {
+        const resource = { GET: handler(`r${r}`), POST: handler(`r${r}`) };
+        const byId = { GET: handler(`r${r}/id`), PUT: handler(`r${r}/id`), DELETE: handler(`r${r}/id`) };
+        for (let s = 0; s < 8; s++) {
+            byId[`/sub${s}`] = { GET: handler(`r${r}/id/sub${s}`) };
+        }
+        resource['/:id(int)'] = byId;
+        resource['/:slug'] = { '/settings': { GET: handler(`r${r}/slug/settings`) } };
+        resource['/files'] = { '/:path+': { GET: handler(`r${r}/files`) } };
+        routes['/api'][`/resource${r}`] = resource;
+        routeCount += 2 + 3 + 8 + 1 + 1;
+    }
+
+    return { routeRegistry: routes, routeCount };
+}
+
+/**
+ * Generate the request paths to match, a mix of every kind of route along with some that don't exist.
+ * 
+ * @param {Number} resourceCount The number of top-level resources.
+ * @param {Number} count The number of request paths.
+ * @returns {Array} The request paths.
+ */
+function generateRequestPaths(resourceCount, count) {
+    const random = createRandom(1337);
+    const pick = (max) => Math.floor(random() * max);
+    const paths = [];
+
+    for (let i = 0; i < count; i++) {
+        const base = `/api/resource${pick(resourceCount)}`;
+        switch (pick(6)) {
+            case 0: paths.push(base); break;
+            case 1: paths.push(`${base}/${pick(100000)}`); break;
+            case 2: paths.push(`${base}/${pick(100000)}/sub${pick(8)}`); break;
+            case 3: paths.push(`${base}/name-${pick(1000)}/settings`); break;
+            case 4: paths.push(`${base}/files/a/b/c${pick(10)}.txt`); break;
+            default: paths.push(`/api/missing${pick(1000)}/${pick(10)}`); break;
+        }
+    }
+    return paths;
+}
+
+/*
+    The route matching used prior to compiled routes, kept here as the baseline to compare against.
+*/
+
+const retrieveRouteNodeMethods = (routeNode) => {
+    if (!routeNode || typeof routeNode !== 'object') return [];
+    return Object.keys(routeNode).filter((key) => !key.startsWith('/') && !key.startsWith('_') && routeNode[key] && routeNode[key].filePath);
+};
+
+function compileParamMatchers(routeRegistry, paramTypes) {
+    const paramMatchers = new Map();
+    const visit = (routeNode, routePath) => {
+        for (const key of Object.keys(routeNode).filter((key) => key.startsWith('/'))) {
+            if (key.startsWith('/:') && !paramMatchers.has(key)) {
+                const { constraint } = parseDynamicSegmentKey(key);
+                if (constraint) {
+                    try {
+                        paramMatchers.set(key, resolveParamType(constraint, paramTypes));
+                    } catch (e) {
+                        throw new Error(`Unable to use the URL parameter '${routePath + key}': ${e.message}`);
+                    }
+                }
+            }
+            visit(routeNode[key], routePath + key);
+        }
+    };
+    visit(routeRegistry, '');
+    return paramMatchers;
+}
+
+const legacyMatchRoute = (routeRegistry, path, req = {}, trail = [], paramMatchers = new Map()) => {
+    const segments = path.split('/').filter(Boolean);
+    const state = { segments, params: {}, trail: [routeRegistry], paramMatchers };
+
+    const routeNode = legacyMatchRouteSegments(routeRegistry, 0, state);
+    if (!routeNode) return null;
+    trail.push(...state.trail);
+
+    // Inject dynamic parameters into req.params
+    if (req) {
+        req.params = { ...req.params, ...state.params };
+    }
+
+    return routeNode;
+};
+
+function legacyMatchRouteSegments(currentLevel, index, state) {
+    const { segments, params, trail, paramMatchers } = state;
+    const remaining = segments.length - index;
+
+    // Once all segments are consumed, this is only a match if there's something to call
+    if (remaining === 0 && retrieveRouteNodeMethods(currentLevel).length > 0) {
+        return currentLevel;
+    }
+
+    const descend = (key, paramName, value, consumed) => {
+        if (paramName !== null) params[paramName] = value;
+        trail.push(currentLevel[key]);
+        const match = legacyMatchRouteSegments(currentLevel[key], index + consumed, state);
+        if (match) return match;
+        trail.pop();
+        if (paramName !== null) delete params[paramName];
+        return null;
+    };
+
+    // Static segments
+    if (remaining > 0) {
+        const exactKey = '/' + segments[index];
+        if (Object.prototype.hasOwnProperty.call(currentLevel, exactKey)) {
+            const match = descend(exactKey, null, null, 1);
+            if (match) return match;
+        }
+    }
+
+    // Dynamic segments, followed by catch-all segments, followed by optional catch-all segments
+    const dynamicSegments = Object.keys(currentLevel)
+        .filter((key) => key.startsWith('/:'))
+        .map((key) => ({ key: key, ...parseDynamicSegmentKey(key) }))
+        .sort((a, b) => dynamicSegmentPriority(a) - dynamicSegmentPriority(b));
+
+    for (const { key, name, constraint, catchAll, optional } of dynamicSegments) {
+        const paramType = constraint ? paramMatchers.get(key) : null;
+        const satisfies = (value) => !paramType || paramType.test(value);
+        const convert = (value) => paramType ? paramType.convert(value) : value;
+
+        if (!catchAll) {
+            if (remaining === 0 || !satisfies(segments[index])) continue;
+            const match = descend(key, name, convert(segments[index]), 1);
+            if (match) return match;
+            continue;
+        }
+
+        // Catch-all segments greedily consume as much of the path as possible
+        for (let consumed = remaining; consumed >= (optional ? 0 : 1); consumed--) {
+            const values = segments.slice(index, index + consumed);
+            if (!values.every(satisfies)) continue;
+            const match = descend(key, name, values.map(convert), consumed);
+            if (match) return match;
+        }
+    }
+
+    return null;
+}
+
+const dynamicSegmentPriority = ({ constraint, catchAll, optional }) => (!catchAll ? 0 : (optional ? 4 : 2)) + (constraint ? 0 : 1);
+
+/*
+    Running the benchmark
+*/
+
+/**
+ * Time how long it takes to match every request path, cycling through them for a fixed number of iterations.
+ * 
+ * @param {String} label The name of the matcher being timed.
+ * @param {Function} match A function matching a single request path.
+ * @param {Array} paths The request paths.
+ */
+function time(label, match, paths) {
+    // Warm up, so both matchers are measured once optimized
+    for (let i = 0; i < Math.min(ITERATIONS, 20000); i++) match(paths[i % paths.length]);
+
+    const start = performance.now();
+    for (let i = 0; i < ITERATIONS; i++) match(paths[i % paths.length]);
+    const duration = performance.now() - start;
+
+    const opsPerSecond = Math.round(ITERATIONS / (duration / 1000));
+    console.log(`${label.padEnd(10)} ${duration.toFixed(1).padStart(10)} ms ${opsPerSecond.toLocaleString().padStart(14)} matches/sec`);
+    return duration;
+}
+
+const { routeRegistry, routeCount } = generateRouteRegistry(RESOURCE_COUNT);
+const paths = generateRequestPaths(RESOURCE_COUNT, 10000);
+
+const paramMatchers = compileParamMatchers(routeRegistry, {});
+const compiledRoutes = compileRouteRegistry(routeRegistry, {});
+
+// Make sure both matchers agree before comparing how fast they are
+for (const path of paths) {
+    const legacyMatch = legacyMatchRoute(routeRegistry, path, {}, [], paramMatchers);
+    const compiledMatch = matchRoute(compiledRoutes, path, {}, []);
+    if (legacyMatch !== (compiledMatch ? compiledMatch.routeNode : null)) {
+        throw new Error(`Matchers disagree on '${path}'.`);
+    }
+}
+
+console.log(`${routeCount.toLocaleString()} routes, ${ITERATIONS.toLocaleString()} matches\n`);
+const legacyDuration = time('legacy', (path) => legacyMatchRoute(routeRegistry, path, {}, [], paramMatchers), paths);
+const compiledDuration = time('compiled', (path) => matchRoute(compiledRoutes, path, {}, []), paths);
+console.log(`\ncompiled is ${(legacyDuration / compiledDuration).toFixed(2)}x the speed of legacy`);
\ No newline at end of file
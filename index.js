@@ -1,5 +1,6 @@
 import endpointRouting from './lib/making-requests.js';
-import buildEndpointRoutes from './lib/building-routes.js';
+import buildEndpointRoutes, { buildOpenApiSpec } from './lib/building-routes.js';
+import { RoutingError, NotFoundError, MethodNotAllowedError, ValidationError, HandlerError } from './lib/errors.js';
 
 export default endpointRouting;
-export { buildEndpointRoutes };
\ No newline at end of file
+export { buildEndpointRoutes, buildOpenApiSpec, RoutingError, NotFoundError, MethodNotAllowedError, ValidationError, HandlerError };
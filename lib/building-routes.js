@@ -1,11 +1,22 @@
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
+import { pathToFileURL } from 'url';
 import {
+    HTTP_METHODS,
     resolveAndValidatePath,
     logPlatformRespectiveMessage,
     toPlatformPath,
     getNodePackageValue
 } from './utilities.js';
+import { formatSegment, isRouteGroupSegment, isPrivateSegment, parseDynamicSegmentKey, resolveParamType } from './route-segments.js';
+import { watchDirectoryTree } from './watching.js';
+import { createOpenApiDocument } from './openapi.js';
+import { createRouteTypes } from './route-types.js';
+import { createRouteManifest } from './manifest.js';
+import { resolveMounts, findMountOfDirectory, displayPrefix } from './mounts.js';
+import { ROUTE_KINDS, interpretEndpointFileName, interpretDirectoryFileName, normalizeEndpointModule, collectModuleHandlers } from './endpoint-files.js';
+import { compilePathPatterns, relativePatternPath, findMatchingPattern, matchesPathOrParent } from './path-patterns.js';
 
 /*
     █▄▄ █░█ █ █░░ █▀▄ █ █▄░█ █▀▀   █▀█ █▀█ █░█ ▀█▀ █▀▀ █▀
@@ -15,157 +26,933 @@ import {
 /**
  * Compile the current endpoint routes to a reachable JSON file.
  * 
+ * Once the endpoints have been discovered, a validation pass is made over them. Any problems found along the way are
+ * collected into a report, which is returned once the build concludes.
+ * 
  * @param {Object} args A list of parameters to configure how the endpoint routing is compiled. The supported arguments are as follows:
  * 
  * * **configOutput** `String` - The name of the file where the compiled routes should be written to. By default, this is set to `"routes.json"`.
  * * **handlersDir** `String` - The parent folder we're compiling these endpoints from. By default, this is set to `"endpoints"`.
- * * **pathBlacklist** `Array|null` - The path(s) to exclude from the compiled output. For example, blacklisting 'dev' will omit a path like: "/dev/generate-api-key". By default, this is set to `null`.
- * * **debug** `Boolean` - Whether status updates on the progress of the route compiling should be logged. By default, this is set to `false`.
+ * * **mounts** `Object|null` - The folders to compile endpoints from, keyed by the URL prefix they're served beneath, in place of the `handlersDir`. Each is either a folder, or an object of `{ handlersDir, fallback }` where `fallback` names another mount to inherit any undefined endpoints from. See `resolveMounts`. By default, this is set to `null`.
+ * * **pathBlacklist** `Array|null` - The glob pattern(s) of directories to exclude from the compiled output, relative to the `handlersDir`. A pattern without a slash matches at any depth, so blacklisting 'dev' will omit a path like: "/dev/generate-api-key". See `compilePathPattern`. By default, this is set to `null`.
+ * * **pathWhitelist** `Array|null` - The glob pattern(s) of directories to exclusively compile endpoints from, relative to the `handlersDir`. Endpoints within a matching directory (or beneath one) are kept, while all others are excluded. By default, this is set to `null`.
+ * * **strict** `Boolean` - Whether the build should be rejected if any errors or warnings are found, leaving any existing `configOutput` unchanged. By default, this is set to `false`.
+ * * **openApiOutput** `String|null` - The name of the file an OpenAPI 3 document describing the compiled routes should be written to. See `buildOpenApiSpec`. By default, this is set to `null`.
+ * * **typesOutput** `String|null` - The name of the `.d.ts` file the TypeScript types of the compiled routes should be written to, listing the URL parameters and methods of each route pattern. See `createRouteTypes`. By default, this is set to `null`.
+ * * **watch** `Boolean` - Whether to keep watching the `handlersDir` after the initial build, incrementally recompiling the routes as directories and files change. Every changed file is re-imported as a new module that NodeJS never releases, so memory grows with each change until the process is restarted. By default, this is set to `false`.
+ * * **debug** `Boolean` - Whether status updates on the progress of the route compiling, along with any problems found, should be logged. By default, this is set to `false`.
  * 
- * @throws {Error} If the included `configOutput` is not a valid path and point to a JSON file, an exception will be thrown.
- * @throws {Error} If the included `handlersDir` is not a valid path and point to a directory, an exception will be thrown.
+ * @throws {Error} If the included `configOutput` does not point to a JSON file, an exception will be thrown. If it doesn't exist yet, it will be created along with any missing parent folders.
+ * @throws {Error} If the included `typesOutput` does not point to a `.d.ts` file, an exception will be thrown.
+ * @throws {Error} If the included `handlersDir` (or any of the `mounts`) is not a valid path and point to a directory, an exception will be thrown.
+ * @throws {Error} If the included `mounts` overlap, or have fallbacks that can't be resolved, an exception will be thrown.
+ * @throws {Error} If the included `pathBlacklist` or `pathWhitelist` contain anything other than non-empty strings, an exception will be thrown.
+ * @throws {Error} If `strict` is enabled and the build fails or reports any problems, an exception will be thrown. The build report is attached under the `report` key.
+ * @returns {Promise<Object>} The build report, in this format:
+ * 
+ * ```
+ * {
+ *     success: [Boolean], // Whether the build produced no errors
+ *     written: [Boolean], // Whether the compiled routes were written to the `configOutput`
+ *     configOutput: [String],
+ *     routeCount: [Number], // The number of endpoint + method pairs compiled
+ *     errors: [Array], // { code, message, route, file }
+ *     warnings: [Array], // { code, message, route, file }
+ *     exclusions: [Object], // { pathBlacklist: { [pattern]: [Array] }, pathWhitelist: [Array] }, the directories excluded by each pattern
+ *     watcher: [EventEmitter] // Only when `watch` is enabled, emits a "rebuild" event with each new report and stops with `close()`
+ * }
+ * ```
  */
 const buildEndpointRoutes = async (args) => {
     // Extract relevant argument values
     const configOutput = resolveAndValidatePath(
         args['configOutput'] || 'routes.json',
-        { mustExist: true, mustBeJson: true }
+        { mustBeJson: true }
     );
-    const handlersDir = resolveAndValidatePath(
-        args['handlersDir'] || 'endpoints',
-        { mustExist: true, mustBeDir: true }
-    );
-    const pathBlacklist = args['pathBlacklist'] || null;
+    const mounts = resolveMounts(args['mounts'], args['handlersDir']);
+    const openApiOutput = args['openApiOutput'] ? resolveAndValidatePath(args['openApiOutput'], { mustBeJson: true }) : null;
+    const typesOutput = args['typesOutput'] ? resolveAndValidatePath(args['typesOutput']) : null;
+    if (typesOutput !== null && !typesOutput.endsWith('.d.ts')) throw new Error(`Expected a .d.ts file but received: ${typesOutput}`);
+    const pathBlacklist = compilePathPatterns(args['pathBlacklist']);
+    const pathWhitelist = compilePathPatterns(args['pathWhitelist']);
+    const strict = args['strict'] || false;
+    const watch = args['watch'] || false;
     const debug = args['debug'] || false;
 
+    // Discover and compile all of the endpoint routes
+    const context = { mountRoutes: {}, groupedMounts: new Set(), pathBlacklist, pathWhitelist, debug, report: null, cacheBust: watch === true };
+    const settings = { mounts, configOutput, openApiOutput, typesOutput, strict, debug };
+    const report = await compileEndpointRoutes(context, mounts.map((mount) => mount.dirPath), settings);
+
+    // Continue to recompile the routes as they change
+    if (watch === true) {
+        report.watcher = watchEndpointRoutes(context, settings);
+    }
+
+    return report;
+}
+
+/**
+ * Compile the endpoint routes found within specific directories, and write the entirety of the routes to the `configOutput`
+ * (unless it is `null`).
+ * 
+ * Compiling only a subset of the endpoints directory allows for incremental rebuilds, where any directories not
+ * included keep the routes they were previously compiled with.
+ * 
+ * Each mount is compiled into its own nested routes object, which are only combined (and their fallbacks inherited)
+ * once every mount is up to date, so that endpoints defined by more than one mount can be reported.
+ * 
+ * Route groups share the URL path of the directory they're within, so a mount containing any is always recompiled as a
+ * whole, rather than risk discarding the endpoints a group contributed to a path.
+ * 
+ * @param {Object} context The state shared across the traversal, as described by `loadRoutes`, except with a `mountRoutes` dictionary
+ * holding the nested routes object of each mount (keyed by prefix), and a `groupedMounts` set of the prefixes of mounts containing route groups. The `report` will be replaced with a new build report, and the
+ * `nestedRoutes` with the combined routes of every mount.
+ * @param {Array} dirs The absolute paths of the directories to (re)compile. These must be the directory of a mount, or within one.
+ * @param {Object} settings The resolved build arguments, under the `mounts`, `configOutput`, `openApiOutput`, `typesOutput`, `strict` and `debug` keys.
+ * @throws {Error} If `strict` is enabled and the build fails or reports any problems, an exception will be thrown. The build report is attached under the `report` key.
+ * @returns {Promise<Object>} The build report.
+ */
+async function compileEndpointRoutes(context, dirs, { mounts, configOutput, openApiOutput = null, typesOutput = null, strict, debug }) {
+    const report = {
+        success: false,
+        written: false,
+        configOutput: configOutput,
+        routeCount: 0,
+        errors: [],
+        warnings: [],
+        exclusions: {
+            pathBlacklist: Object.fromEntries((context.pathBlacklist || []).map((compiled) => [compiled.pattern, []])),
+            pathWhitelist: []
+        }
+    };
+    context.report = report;
+
     if (debug === true) logPlatformRespectiveMessage(`\n=====\nBegun Compiling Routes\n=====\n`);
 
     try {
-        // Discover and compile all of the endpoint routes
-        const nestedRoutes = {};
-        const handlersDirPath = path.join(path.resolve(), handlersDir);
-        if (debug === true) logPlatformRespectiveMessage(`Searching for routes in '${handlersDirPath}' folder...`);
-        await loadRoutes(nestedRoutes, handlersDirPath, pathBlacklist, '', debug);
-
-        // Retrieve the current version of the compilation algorithm
-        const routeAlgVersion = Number(getNodePackageValue("route-alg-version"));
-
-        // Amalgamate all values into a single dictionary
-        const config = {
-            version: routeAlgVersion,
-            routes: nestedRoutes
-        };
+        for (const dir of widenGroupedDirectories(context, mounts, dirs)) {
+            // Discard whatever was previously compiled for this directory, and rediscover it
+            const mount = findMountOfDirectory(mounts, dir);
+            const nestedRoutes = context.mountRoutes[mount.prefix] = context.mountRoutes[mount.prefix] || {};
+            const basePath = mount.prefix + relativePatternPath(mount.dirPath, dir).split('/').filter(Boolean).map((segment) => '/' + segment).join('');
+            clearNestedRouteNode(nestedRoutes, basePath);
+            if (dir === mount.dirPath) context.groupedMounts.delete(mount.prefix);
+            if (!fs.existsSync(dir)) continue;
+
+            if (debug === true) logPlatformRespectiveMessage(`Searching for routes in '${dir}' folder...`);
+            const foundRoutes = await loadRoutes({ ...context, nestedRoutes, mount }, dir, basePath);
+            if (!foundRoutes) {
+                const location = path.relative(process.cwd(), dir).replace(/\\/g, '/');
+                reportDiagnostic(report, 'warning', 'EMPTY_DIRECTORY', `No endpoints were found in '${location}'.`, { route: basePath || '/' });
+            }
+        }
+        for (const nestedRoutes of Object.values(context.mountRoutes)) pruneNestedRoutes(nestedRoutes);
+        const nestedRoutes = combineMountRoutes(mounts, context.mountRoutes, report);
+        context.nestedRoutes = nestedRoutes;
+
+        // Look for problems that only become apparent once every route is known
+        validateNestedRoutes(nestedRoutes, '', report);
+        report.routeCount = countNestedRoutes(nestedRoutes);
+        report.success = report.errors.length === 0;
+
+        if (strict === true && (report.errors.length > 0 || report.warnings.length > 0)) {
+            throw createBuildError(`Route compilation rejected with ${report.errors.length} error(s) and ${report.warnings.length} warning(s).`, report);
+        }
+
+        // Amalgamate all values into a single dictionary, recording what they were compiled from so they can be verified later
+        const manifest = configOutput === null ? null : createRouteManifest(nestedRoutes, mounts, {
+            pathBlacklist: context.pathBlacklist && context.pathBlacklist.map((compiled) => compiled.pattern),
+            pathWhitelist: context.pathWhitelist && context.pathWhitelist.map((compiled) => compiled.pattern),
+            openApiOutput,
+            typesOutput
+        });
+        const config = createRouteConfig(nestedRoutes, manifest);
+
+        // Describe the compiled routes alongside them, which can uncover endpoint files that no longer import
+        let document = null;
+        if (openApiOutput !== null) {
+            const importModule = (filePath) => importEndpointModule(path.resolve(filePath), context.cacheBust);
+            document = await createOpenApiDocument(config, { importModule, reportDiagnostic: (...problem) => reportDiagnostic(report, ...problem) });
+            report.success = report.errors.length === 0;
+            if (strict === true && (report.errors.length > 0 || report.warnings.length > 0)) {
+                throw createBuildError(`Route compilation rejected with ${report.errors.length} error(s) and ${report.warnings.length} warning(s).`, report);
+            }
+        }
     
         // Write all values to a discoverable routes file
-        if (debug === true) logPlatformRespectiveMessage(`Writing routes to ${configOutput}...`);
-        fs.writeFileSync(configOutput, JSON.stringify(config, null, 2));
-        if (debug === true) logPlatformRespectiveMessage(`Routes compiled successfully and saved to ${configOutput}!`);
+        if (configOutput !== null) {
+            if (debug === true) logPlatformRespectiveMessage(`Writing routes to ${configOutput}...`);
+            writeJSONFile(configOutput, config);
+            report.written = true;
+            if (debug === true) logPlatformRespectiveMessage(`Routes compiled successfully and saved to ${configOutput}!`);
+        }
+        if (document !== null) {
+            writeJSONFile(openApiOutput, document);
+            if (debug === true) logPlatformRespectiveMessage(`OpenAPI document saved to ${openApiOutput}!`);
+        }
+
+        // Describe the compiled routes to TypeScript
+        if (typesOutput !== null) {
+            writeTextFile(typesOutput, createRouteTypes(config));
+            if (debug === true) logPlatformRespectiveMessage(`Route types saved to ${typesOutput}!`);
+        }
     } catch (e) {
-        // Throw the error to the console
-        console.error(e);
+        report.success = false;
+
+        // A rejected build has already been reported, anything else still needs to be
+        if (!e || !e.report) {
+            reportDiagnostic(report, 'error', 'BUILD_FAILED', `Route compilation failed: ${e && e.message ? e.message : e}`, {});
+        }
+        if (strict === true) throw (e && e.report) ? e : createBuildError(`Route compilation failed: ${e && e.message ? e.message : e}`, report);
     } finally {
         // Indicate the conclusion of the script, one way or another
+        if (debug === true) logBuildDiagnostics(report);
         if (debug === true) logPlatformRespectiveMessage(`\n=====\nConcluded Compiling Routes\n=====\n`);
     }
+
+    return report;
+}
+
+/**
+ * Compile the current endpoint routes in memory, without writing them to a file.
+ * 
+ * @param {Object} args A list of parameters to configure how the endpoint routing is compiled. The supported arguments are as follows:
+ * 
+ * * **handlersDir** `String` - The parent folder we're compiling these endpoints from. By default, this is set to `"endpoints"`.
+ * * **mounts** `Object|null` - The folders to compile endpoints from, keyed by the URL prefix they're served beneath, in place of the `handlersDir`. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **pathBlacklist** `Array|null` - The glob pattern(s) of directories to exclude from the compiled output. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **pathWhitelist** `Array|null` - The glob pattern(s) of directories to exclusively compile endpoints from. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **strict** `Boolean` - Whether discovery should be rejected if any errors or warnings are found. By default, this is set to `false`.
+ * * **fresh** `Boolean` - Whether files that have changed since they were last imported should be imported again, rather than reusing the previous import. See `importEndpointModule`. By default, this is set to `false`.
+ * * **debug** `Boolean` - Whether status updates on the progress of the route compiling, along with any problems found, should be logged. By default, this is set to `false`.
+ * 
+ * @throws {Error} If the included `handlersDir` (or any of the `mounts`) is not a valid path and point to a directory, an exception will be thrown.
+ * @throws {Error} If `strict` is enabled and discovery fails or reports any problems, an exception will be thrown. The build report is attached under the `report` key.
+ * @returns {Promise<Object>} The compiled routes, in the same format they would have been written to a routes JSON file.
+ */
+const discoverEndpointRoutes = async (args) => {
+    const mounts = resolveMounts(args['mounts'], args['handlersDir']);
+    const pathBlacklist = compilePathPatterns(args['pathBlacklist']);
+    const pathWhitelist = compilePathPatterns(args['pathWhitelist']);
+    const strict = args['strict'] || false;
+    const debug = args['debug'] || false;
+
+    const context = { mountRoutes: {}, groupedMounts: new Set(), pathBlacklist, pathWhitelist, debug, report: null, cacheBust: args['fresh'] === true };
+    const settings = { mounts, configOutput: null, strict, debug };
+    await compileEndpointRoutes(context, mounts.map((mount) => mount.dirPath), settings);
+    return createRouteConfig(context.nestedRoutes || {});
+}
+
+/**
+ * Compile the current endpoint routes into an OpenAPI 3 document.
+ * 
+ * Bracketed directories become `{param}` path parameters, with any constraint (ex: "[userId=int]") becoming the
+ * parameter's schema. Each endpoint file can optionally describe its methods further by exporting an `openapi` object,
+ * keyed by method:
+ * 
+ * ```
+ * export const openapi = {
+ *     GET: { summary, description, tags, operationId, deprecated, parameters, requestBody, responses }
+ * };
+ * ```
+ * 
+ * Endpoints without any metadata are still listed, with just their methods.
+ * 
+ * @param {Object} args A list of parameters to configure how the document is generated. The supported arguments are as follows:
+ * 
+ * * **handlersDir** `String` - The parent folder we're compiling these endpoints from. By default, this is set to `"endpoints"`.
+ * * **mounts** `Object|null` - The folders to compile endpoints from, keyed by the URL prefix they're served beneath, in place of the `handlersDir`. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **output** `String` - The name of the file the OpenAPI document should be written to. By default, this is set to `"openapi.json"`.
+ * * **info** `Object` - The OpenAPI info object. By default, the `name` and `version` of the project's package.json are used.
+ * * **pathBlacklist** `Array|null` - The glob pattern(s) of directories to exclude from the document. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **pathWhitelist** `Array|null` - The glob pattern(s) of directories to exclusively document endpoints from. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **strict** `Boolean` - Whether the document should be rejected, rather than written, if any errors or warnings are found. By default, this is set to `false`.
+ * * **debug** `Boolean` - Whether status updates on the progress of the route compiling, along with any problems found, should be logged. By default, this is set to `false`.
+ * 
+ * @throws {Error} If the included `output` does not point to a JSON file, an exception will be thrown.
+ * @throws {Error} If the included `handlersDir` is not a valid path and point to a directory, an exception will be thrown.
+ * @throws {Error} If `strict` is enabled and any problems are found, an exception will be thrown. The build report is attached under the `report` key.
+ * @returns {Promise<Object>} The OpenAPI document.
+ */
+const buildOpenApiSpec = async (args) => {
+    const output = resolveAndValidatePath(
+        args['output'] || 'openapi.json',
+        { mustBeJson: true }
+    );
+
+    const routeConfig = await discoverEndpointRoutes(args);
+    const report = { errors: [], warnings: [] };
+    const document = await createOpenApiDocument(routeConfig, { info: args['info'], reportDiagnostic: (...problem) => reportDiagnostic(report, ...problem) });
+    if (args['debug'] === true) logBuildDiagnostics(report);
+    if (args['strict'] === true && (report.errors.length > 0 || report.warnings.length > 0)) {
+        throw createBuildError(`OpenAPI document rejected with ${report.errors.length} error(s) and ${report.warnings.length} warning(s).`, report);
+    }
+
+    writeJSONFile(output, document);
+    if (args['debug'] === true) logPlatformRespectiveMessage(`OpenAPI document saved to ${output}!`);
+
+    return document;
+}
+
+/**
+ * Watch the directory of each mount, recompiling only the directories that change.
+ * 
+ * @param {Object} context The state shared across the traversal, as described by `compileEndpointRoutes`.
+ * @param {Object} settings The resolved build arguments, as described by `compileEndpointRoutes`.
+ * @returns {EventEmitter} The watcher, which emits a `"rebuild"` event with the build report after each recompile, and can be stopped with `close()`.
+ */
+function watchEndpointRoutes(context, settings) {
+    const emitter = new EventEmitter();
+    let queue = Promise.resolve();
+
+    const handles = settings.mounts.map((mount) => watchDirectoryTree(mount.dirPath, (changedDirs) => {
+        // Recompile from the parent of each changed directory, so the directory itself is validated as it would be
+        // during a full build. Only the outermost of these need to be recompiled, as they include everything beneath them
+        const parentDirs = [...new Set(changedDirs.map((dir) => dir === mount.dirPath ? dir : path.dirname(dir)))];
+        const dirs = parentDirs.filter((dir) => !parentDirs.some((other) => other !== dir && dir.startsWith(other + path.sep)));
+
+        // Recompile one batch of changes at a time
+        queue = queue.then(async () => {
+            if (settings.debug === true) logPlatformRespectiveMessage(`Changes detected in ${dirs.map((dir) => `'${dir}'`).join(', ')}, recompiling...`);
+            try {
+                emitter.emit('rebuild', await compileEndpointRoutes(context, dirs, settings));
+            } catch (e) {
+                emitter.emit('rebuild', e.report);
+            }
+        });
+    }, {
+        ignore: (name, dirPath) => isExcludedDirectory(context, mount, name, dirPath)
+    }));
+
+    emitter.close = () => handles.forEach((handle) => handle.close());
+    return emitter;
 }
 
 /**
  * Recursively traverse the provided endpoints directory.
  * 
- * @param {Object} nestedRoutes A dictionary valid routes will be written to.
+ * @param {Object} context The state shared across the entire traversal, in this format:
+ * 
+ * ```
+ * {
+ *     nestedRoutes: [Object], // A dictionary valid routes will be written to
+ *     mount: [Object], // The mount point being traversed, as returned by `resolveMounts`
+ *     groupedMounts: [Set], // The prefixes of mounts found to contain route groups
+ *     pathBlacklist: [Array|null], // The compiled patterns of directories to exclude from the final compile of routes
+ *     pathWhitelist: [Array|null], // The compiled patterns of directories to exclusively compile endpoints from
+ *     debug: [Boolean], // Whether status updates on the progress of the route compiling should be logged
+ *     report: [Object], // The build report any problems will be written to
+ *     cacheBust: [Boolean] // Whether files should be freshly imported, rather than reusing a previous import
+ * }
+ * ```
  * @param {String} dir The current working directory.
- * @param {Array} pathBlacklist A list of directories to exclude from the final compile of routes.
  * @param {String} basePath The prefix for all routes.
- * @param {Boolean} debug Whether status updates on the progress of the route compiling should be logged.
+ * @returns {Promise<Boolean>} Whether any endpoints or middleware were registered (or excluded by the `pathWhitelist`, or left out because of a reported problem) within this directory or its subdirectories.
  */
-async function loadRoutes(nestedRoutes, dir, pathBlacklist, basePath, debug) {
+async function loadRoutes(context, dir, basePath) {
+    const { nestedRoutes, mount, groupedMounts, pathBlacklist, pathWhitelist, debug, report, cacheBust } = context;
     const files = fs.readdirSync(dir);
+    const relativeDir = relativePatternPath(mount.dirPath, dir);
+    const emptyDirectories = [];
+    // Anything left out because of a problem that has already been reported still counts as found, so the directory
+    // isn't also reported as empty
+    let foundRoutes = false;
 
     for (const file of files) {
         const fullPath = path.join(dir, file);
+        const relativeFilePath = path.relative(process.cwd(), fullPath).replace(/\\/g, '/');
         const stat = fs.statSync(fullPath);
         
         if (stat.isDirectory()) {
-            // Skip any endpoint paths mentioned within the path blacklist
-            if (Array.isArray(pathBlacklist) && pathBlacklist.includes(file)) {
-                if (debug === true) logPlatformRespectiveMessage(`Skipping directory ${file} as defined within the path blacklist`);
+            // Skip any private directories, which hold code that is shared between endpoints
+            if (isPrivateSegment(file)) {
+                if (debug === true) logPlatformRespectiveMessage(`Skipping directory ${file} as it is private`);
+                continue;
+            }
+
+            // Skip any endpoint paths matching a pattern within the path blacklist
+            const blacklistPattern = pathBlacklist === null ? null : findMatchingPattern(pathBlacklist, relativeDir ? `${relativeDir}/${file}` : file);
+            if (blacklistPattern) {
+                if (debug === true) logPlatformRespectiveMessage(`Skipping directory ${file} as it matches '${blacklistPattern.pattern}' within the path blacklist`);
+                report.exclusions.pathBlacklist[blacklistPattern.pattern].push(relativeFilePath);
+                continue;
+            }
+
+            // Route groups organize endpoints without adding a segment to their path
+            const isRouteGroup = isRouteGroupSegment(file);
+            if (isRouteGroup) groupedMounts.add(mount.prefix);
+            const currentPath = isRouteGroup ? basePath : basePath + '/' + file;
+
+            // Skip any dynamic segments with a constraint that can't be enforced
+            const constraintProblem = isRouteGroup ? null : validateSegmentConstraint(file);
+            if (constraintProblem) {
+                reportDiagnostic(report, 'error', 'INVALID_PARAM_CONSTRAINT', constraintProblem, { route: currentPath, file: relativeFilePath });
+                foundRoutes = true;
                 continue;
             }
             
             // ... otherwise, continue to traverse the path
-            const currentPath = basePath + '/' + file;
-            await loadRoutes(nestedRoutes, fullPath, pathBlacklist, currentPath, debug);
-        } else if (file === 'index.js') {
+            if (await loadRoutes(context, fullPath, currentPath)) {
+                foundRoutes = true;
+            } else {
+                emptyDirectories.push({ route: currentPath || '/', file: relativeFilePath });
+            }
+        } else if (interpretEndpointFileName(file)) {
+            // Skip any endpoints outside of the path whitelist
+            if (pathWhitelist !== null && !matchesPathOrParent(pathWhitelist, relativeDir)) {
+                if (debug === true) logPlatformRespectiveMessage(`Skipping file ${fullPath} as it is outside of the path whitelist`);
+                const excludedDir = path.relative(process.cwd(), dir).replace(/\\/g, '/');
+                if (!report.exclusions.pathWhitelist.includes(excludedDir)) report.exclusions.pathWhitelist.push(excludedDir);
+                foundRoutes = true;
+                continue;
+            }
+
+            let routeModule;
             try {
                 if (debug === true) logPlatformRespectiveMessage(`Found file ${fullPath}`);
 
-                // Dynamically import the module to verify it exports a valid object
-                const routeModule = await import(`file://${fullPath}`);
+                // Dynamically import the module to verify it exports valid handlers
+                routeModule = await importEndpointModule(fullPath, cacheBust);
+            } catch (error) {
+                if (debug === true) console.error(`Error loading route from ${toPlatformPath(fullPath)}:`, error);
+                reportDiagnostic(report, 'error', 'IMPORT_FAILED', `Failed to import endpoint file: ${error && error.message ? error.message : error}`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
                 
-                if (!routeModule.default || typeof routeModule.default !== 'object') {
-                    if (debug === true) console.warn(`Warning: No valid handlers found in ${toPlatformPath(fullPath)}`);
+            // Collect the handlers from the default export and any named method exports
+            const { handlers, problems } = collectModuleHandlers(routeModule, file);
+            for (const { code, message, level = 'error' } of problems) {
+                reportDiagnostic(report, level, code, message, { route: basePath || '/', file: relativeFilePath });
+            }
+            if (problems.length > 0) foundRoutes = true;
+            if (problems.some(({ code }) => code === 'INVALID_EXPORT')) {
+                if (debug === true) console.warn(`Warning: No valid handlers found in ${toPlatformPath(fullPath)}`);
+                continue;
+            }
+
+            // Collect any metadata to be compiled alongside each method
+            const { methodMeta, problem: metaProblem } = interpretRouteMeta(routeModule['meta']);
+            if (metaProblem) {
+                reportDiagnostic(report, 'error', 'INVALID_META', metaProblem, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
+
+            // The current basePath represents the route for this endpoint file
+            const routePath = basePath;
+            // For each HTTP method defined in the module, store the file path
+            for (const method of Object.keys(handlers)) {
+                // Route groups and per-method files can lead more than one file to define the same method, in which case the first is kept
+                const existingRoute = retrieveNestedRouteNode(nestedRoutes, routePath)[method];
+                if (existingRoute) {
+                    reportDiagnostic(report, 'error', 'DUPLICATE_ROUTE', `Handler for ${method} is already defined by '${existingRoute.filePath}'.`, { route: routePath || '/', file: relativeFilePath });
+                    foundRoutes = true;
                     continue;
                 }
-                
-                // The current basePath represents the route for this index.js file
-                const routePath = basePath;
-                // For each HTTP method defined in the module, store the file path
-                for (const [method, handler] of Object.entries(routeModule.default)) {
-                    // We are not stringifying the function. Instead, we store its file path
-                    const relativeFilePath = path.relative(process.cwd(), fullPath).replace(/\\/g, '/');
-                    insertRoute(nestedRoutes, routePath, method, relativeFilePath);
-                }
-                if (debug === true) console.log(`Registered route: ${routePath}`);
+
+                // We are not stringifying the function. Instead, we store its file path
+                insertRoute(nestedRoutes, routePath, method, relativeFilePath, methodMeta[method]);
+                foundRoutes = true;
+            }
+            if (debug === true) console.log(`Registered route: ${routePath}`);
+        } else if (interpretDirectoryFileName(file) === '_middleware') {
+            let middlewareModule;
+            try {
+                if (debug === true) logPlatformRespectiveMessage(`Found file ${fullPath}`);
+
+                // Dynamically import the module to verify it exports a function, or an object of method functions
+                middlewareModule = await importEndpointModule(fullPath, cacheBust);
             } catch (error) {
-                if (debug === true) console.error(`Error loading route from ${toPlatformPath(fullPath)}:`, error);
+                if (debug === true) console.error(`Error loading middleware from ${toPlatformPath(fullPath)}:`, error);
+                reportDiagnostic(report, 'error', 'IMPORT_FAILED', `Failed to import middleware file: ${error && error.message ? error.message : error}`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
+
+            const middleware = middlewareModule.default;
+            if (typeof middleware !== 'function' && (!middleware || typeof middleware !== 'object')) {
+                if (debug === true) console.warn(`Warning: No valid middleware found in ${toPlatformPath(fullPath)}`);
+                reportDiagnostic(report, 'error', 'INVALID_EXPORT', `Middleware file does not "export default" a function, or an object of method functions.`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
+
+            const existingMiddleware = retrieveNestedRouteNode(nestedRoutes, basePath)['_middleware'];
+            if (existingMiddleware) {
+                reportDiagnostic(report, 'error', 'DUPLICATE_ROUTE', `Directory middleware is already defined by '${existingMiddleware.filePath}'.`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
+
+            // The current basePath represents the subtree this middleware applies to
+            insertMiddleware(nestedRoutes, basePath, relativeFilePath);
+            foundRoutes = true;
+            if (debug === true) console.log(`Registered middleware: ${basePath || '/'}`);
+        } else if (interpretDirectoryFileName(file) === '_error') {
+            let errorModule;
+            try {
+                if (debug === true) logPlatformRespectiveMessage(`Found file ${fullPath}`);
+
+                // Dynamically import the module to verify it exports a function
+                errorModule = await importEndpointModule(fullPath, cacheBust);
+            } catch (error) {
+                if (debug === true) console.error(`Error loading error handler from ${toPlatformPath(fullPath)}:`, error);
+                reportDiagnostic(report, 'error', 'IMPORT_FAILED', `Failed to import error handler file: ${error && error.message ? error.message : error}`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
+
+            if (typeof errorModule.default !== 'function') {
+                if (debug === true) console.warn(`Warning: No valid error handler found in ${toPlatformPath(fullPath)}`);
+                reportDiagnostic(report, 'error', 'INVALID_EXPORT', `Error handler file does not "export default" a function.`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
+            }
+
+            const existingErrorHandler = retrieveNestedRouteNode(nestedRoutes, basePath)['_error'];
+            if (existingErrorHandler) {
+                reportDiagnostic(report, 'error', 'DUPLICATE_ROUTE', `Directory error handler is already defined by '${existingErrorHandler.filePath}'.`, { route: basePath || '/', file: relativeFilePath });
+                foundRoutes = true;
+                continue;
             }
+
+            // The current basePath represents the subtree this error handler applies to
+            insertErrorHandler(nestedRoutes, basePath, relativeFilePath);
+            foundRoutes = true;
+            if (debug === true) console.log(`Registered error handler: ${basePath || '/'}`);
         }
     }
+
+    // Only the outermost of a set of nested empty directories needs to be reported
+    if (foundRoutes) {
+        for (const { route, file } of emptyDirectories) {
+            reportDiagnostic(report, 'warning', 'EMPTY_DIRECTORY', `Directory contains no endpoints.`, { route, file });
+        }
+    }
+
+    return foundRoutes;
 };
 
 /**
- * Convert a directory name like "[customerID]" to an Express-style dynamic segment (ex: "/:customerID")
+ * Check whether a directory, and everything beneath it, is never compiled, either because it is private or matches the
+ * `pathBlacklist`.
  * 
- * @param {String} segment The directory path segement.
- * @returns {String} The URL Express-style version of the provided directory.
+ * @param {Object} context The state shared across the traversal, as described by `compileEndpointRoutes`.
+ * @param {Object} mount The mount point the directory is within.
+ * @param {String} name The name of the directory.
+ * @param {String} dir The absolute path of the directory.
+ * @returns {Boolean} Whether the directory is excluded.
  */
-const formatSegment = (segment) => '/' + segment.replace(/^\[(.+)\]$/, ':$1');
+const isExcludedDirectory = (context, mount, name, dir) => isPrivateSegment(name)
+    || (context.pathBlacklist !== null && findMatchingPattern(context.pathBlacklist, relativePatternPath(mount.dirPath, dir)) !== null);
 
 /**
- * Insert a route into the nested routes object.
+ * Widen the directories to recompile, so any within a mount containing route groups are recompiled from the mount's
+ * directory instead. Only the outermost of the resulting directories are kept, as they include everything beneath them.
+ * 
+ * @param {Object} context The state shared across the traversal, as described by `compileEndpointRoutes`.
+ * @param {Array} mounts The mount points, as returned by `resolveMounts`.
+ * @param {Array} dirs The absolute paths of the directories to (re)compile.
+ * @returns {Array} The absolute paths of the directories to (re)compile.
+ */
+function widenGroupedDirectories(context, mounts, dirs) {
+    const widenedDirs = [...new Set(dirs.map((dir) => {
+        const mount = findMountOfDirectory(mounts, dir);
+        return context.groupedMounts.has(mount.prefix) ? mount.dirPath : dir;
+    }))];
+    return widenedDirs.filter((dir) => !widenedDirs.some((other) => other !== dir && dir.startsWith(other + path.sep)));
+}
+
+/**
+ * Recursively inspect the nested routes object for problems that can only be detected once every route is known.
+ * 
+ * Currently, this flags sibling dynamic segments of the same kind (ex: "[id]" and "[userId]" within the same directory),
+ * as which one a request is matched against depends on which directories exist beneath them.
+ * 
+ * @param {Object} routeNode The route node to inspect.
+ * @param {String} routePath The path of the route node.
+ * @param {Object} report The build report any problems will be written to.
+ */
+function validateNestedRoutes(routeNode, routePath, report) {
+    const childKeys = Object.keys(routeNode).filter((key) => key.startsWith('/'));
+
+    // Group the dynamic segments by how they are matched
+    const dynamicGroups = {};
+    for (const key of childKeys.filter((key) => key.startsWith('/:'))) {
+        const { constraint, catchAll, optional } = parseDynamicSegmentKey(key);
+        const group = [catchAll, optional, constraint ? `${constraint.type}:${constraint.pattern}` : ''].join('|');
+        (dynamicGroups[group] = dynamicGroups[group] || []).push(key);
+    }
+    for (const keys of Object.values(dynamicGroups)) {
+        if (keys.length < 2) continue;
+        reportDiagnostic(report, 'warning', 'AMBIGUOUS_DYNAMIC_SEGMENT', `Ambiguous sibling dynamic segments: ${keys.map((key) => `'${key.slice(1)}'`).join(', ')}.`, { route: routePath || '/' });
+    }
+
+    for (const key of childKeys) {
+        validateNestedRoutes(routeNode[key], routePath + key, report);
+    }
+}
+
+/**
+ * Check that the constraint of a dynamic directory name (ex: "[userId=int]") can be enforced.
+ * 
+ * Only `regex` constraints are checked here, as custom parameter types are not registered until `endpointRouting()` is called.
+ * 
+ * @param {String} segment The directory name.
+ * @returns {String|null} A description of the problem with the constraint, or null if there is none.
+ */
+const validateSegmentConstraint = (segment) => {
+    const formattedSegment = formatSegment(segment);
+    if (!formattedSegment.startsWith('/:')) return null;
+
+    const { constraint } = parseDynamicSegmentKey(formattedSegment);
+    if (!constraint) return null;
+    if (constraint.type !== 'regex') {
+        if (constraint.type.length === 0) return `Directory '${segment}' has an empty URL parameter constraint.`;
+        return null;
+    }
+    try {
+        resolveParamType(constraint);
+        return null;
+    } catch (e) {
+        return `Directory '${segment}' has an invalid regex constraint: ${e.message}`;
+    }
+};
+
+/**
+ * Count the number of endpoint + method pairs within the nested routes object, including any realtime route kinds.
+ * 
+ * @param {Object} routeNode The route node to count from.
+ * @returns {Number} The number of endpoint + method pairs.
+ */
+const countNestedRoutes = (routeNode) => Object.keys(routeNode).reduce((count, key) => {
+    if (key.startsWith('/')) return count + countNestedRoutes(routeNode[key]);
+    if (HTTP_METHODS.includes(key) || ROUTE_KINDS.includes(key)) return count + 1;
+    return count;
+}, 0);
+
+/**
+ * Record a problem found while compiling routes in the build report. Nothing is logged here, as whoever started the
+ * build decides whether to print the report, see `logBuildDiagnostics`.
+ * 
+ * @param {Object} report The build report.
+ * @param {String} level Either `"error"` or `"warning"`.
+ * @param {String} code A stable identifier for the kind of problem.
+ * @param {String} message A human readable description of the problem.
+ * @param {Object} details Where the problem was found, under the `route` and/or `file` keys.
+ */
+function reportDiagnostic(report, level, code, message, { route = null, file = null }) {
+    const diagnostic = { code, message, route, file };
+    if (level === 'error') {
+        report.errors.push(diagnostic);
+    } else {
+        report.warnings.push(diagnostic);
+    }
+}
+
+/**
+ * Log every problem recorded in a build report to the console.
+ * 
+ * @param {Object} report The build report.
+ */
+function logBuildDiagnostics(report) {
+    const describe = ({ code, message, route, file }) => {
+        const location = [route, file ? toPlatformPath(file) : null].filter(Boolean).join(' @ ');
+        return `[${code}]: ${message}${location ? ` (${location})` : ''}`;
+    };
+    for (const diagnostic of report.errors) console.error(`Error ${describe(diagnostic)}`);
+    for (const diagnostic of report.warnings) console.warn(`Warning ${describe(diagnostic)}`);
+}
+
+/**
+ * Create the exception thrown when a build is rejected.
+ * 
+ * @param {String} message The error message.
+ * @param {Object} report The build report.
+ * @returns {Error} The exception, with the build report attached under the `report` key.
+ */
+function createBuildError(message, report) {
+    const error = new Error(message);
+    error.report = report;
+    return error;
+}
+
+/**
+ * Retrieve the node of the nested routes object that represents a specific path, creating it and any of its parents if
+ * they don't already exist.
  * 
  * @param {Object} nestedRoutes A dictionary valid routes will be written to.
  * @param {String} fullPath The derived directory path.
- * @param {String} method The HTTP method the found function is for.
- * @param {String} filePath The project directory path to the endpoint file.
+ * @returns {Object} The route node for the provided path. For the root path, this is the nested routes object itself.
  */
-const insertRoute = (nestedRoutes, fullPath, method, filePath) => {
+const retrieveNestedRouteNode = (nestedRoutes, fullPath) => {
     // Split the fullPath into segments and filter out empty ones
     const segments = fullPath.split('/').filter(Boolean);
     let currentLevel = nestedRoutes;
 
-    segments.forEach((segment, index) => {
+    segments.forEach((segment) => {
         // Convert dynamic segments (ex: "[customerID]") to Express style
-        const formattedSegment = (segment.startsWith('[') && segment.endsWith(']'))
-            ? formatSegment(segment)
-            : '/' + segment;
+        const formattedSegment = formatSegment(segment);
         
-        // If we’re at the last segment, insert the handler
-        if (index === segments.length - 1) {
-            if (!currentLevel[formattedSegment]) {
-                currentLevel[formattedSegment] = {};
+        // Create or traverse into the next level
+        if (!currentLevel[formattedSegment]) {
+            currentLevel[formattedSegment] = {};
+        }
+        currentLevel = currentLevel[formattedSegment];
+    });
+
+    return currentLevel;
+};
+
+/**
+ * Amalgamate the nested routes object with the current version of the compilation algorithm into a single dictionary.
+ * 
+ * @param {Object} nestedRoutes A dictionary of the compiled routes.
+ * @param {Object|null} [manifest = null] The manifest of the files the routes were compiled from, as returned by `createRouteManifest`.
+ * @returns {Object} The contents of a routes JSON file.
+ */
+const createRouteConfig = (nestedRoutes, manifest = null) => {
+    // Retrieve the current version of the compilation algorithm
+    const routeAlgVersion = Number(getNodePackageValue("route-alg-version"));
+
+    const config = {
+        version: routeAlgVersion,
+        routes: nestedRoutes
+    };
+    if (manifest !== null) config.manifest = manifest;
+    return config;
+};
+
+/**
+ * Write a value to a JSON file, creating the file and any missing parent folders if they don't exist yet.
+ * 
+ * @param {String} filePath The path to the JSON file.
+ * @param {any} value The value to write.
+ */
+const writeJSONFile = (filePath, value) => writeTextFile(filePath, JSON.stringify(value, null, 2));
+
+/**
+ * Write text to a file, creating the file and any missing parent folders if they don't exist yet.
+ * 
+ * @param {String} filePath The path to the file.
+ * @param {String} contents The text to write.
+ */
+const writeTextFile = (filePath, contents) => {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+};
+
+/**
+ * Empty out the node of the nested routes object that represents a specific path, if it exists.
+ * 
+ * @param {Object} nestedRoutes A dictionary valid routes will be written to.
+ * @param {String} fullPath The derived directory path.
+ */
+const clearNestedRouteNode = (nestedRoutes, fullPath) => {
+    const routeNode = retrieveNestedRouteNode(nestedRoutes, fullPath);
+    for (const key of Object.keys(routeNode)) delete routeNode[key];
+};
+
+/**
+ * Recursively remove any nodes of the nested routes object that no longer contain anything.
+ * 
+ * @param {Object} routeNode The route node to prune from.
+ * @returns {Boolean} Whether the route node itself is now empty.
+ */
+const pruneNestedRoutes = (routeNode) => {
+    for (const key of Object.keys(routeNode).filter((key) => key.startsWith('/'))) {
+        if (pruneNestedRoutes(routeNode[key])) delete routeNode[key];
+    }
+    return Object.keys(routeNode).length === 0;
+};
+
+/**
+ * Combine the nested routes object of each mount into one, then let each mount with a fallback inherit the endpoints
+ * it doesn't define itself.
+ * 
+ * Should more than one mount define the same method (or directory middleware) at the same path, the first mount keeps
+ * it and the conflict is reported.
+ * 
+ * @param {Array} mounts The mount points, as returned by `resolveMounts`.
+ * @param {Object} mountRoutes The nested routes object of each mount, keyed by prefix.
+ * @param {Object} report The build report any conflicts will be written to.
+ * @returns {Object} The combined nested routes object.
+ */
+function combineMountRoutes(mounts, mountRoutes, report) {
+    const combinedRoutes = {};
+    const owners = new Map();
+
+    const merge = (target, source, routePath, mount) => {
+        for (const key of Object.keys(source)) {
+            if (key.startsWith('/')) {
+                target[key] = target[key] || {};
+                merge(target[key], source[key], routePath + key, mount);
+                continue;
             }
-            // Instead of a function string, store the absolute file path
-            currentLevel[formattedSegment][method] = { filePath: filePath };
-        } else {
-            // Otherwise, create or traverse into the next level
-            if (!currentLevel[formattedSegment]) {
-                currentLevel[formattedSegment] = {};
+
+            const ownerKey = `${routePath} ${key}`;
+            if (owners.has(ownerKey)) {
+                const description = key === '_middleware' ? 'directory middleware' : key === '_error' ? 'a directory error handler' : `a ${key} endpoint`;
+                const message = `Both the '${displayPrefix(owners.get(ownerKey).prefix)}' and '${displayPrefix(mount.prefix)}' mounts define ${description} here, only the first is used.`;
+                reportDiagnostic(report, 'error', 'MOUNT_CONFLICT', message, { route: routePath || '/', file: source[key].filePath });
+                continue;
             }
-            currentLevel = currentLevel[formattedSegment];
+            target[key] = source[key];
+            owners.set(ownerKey, mount);
         }
-    });
+    };
+    for (const mount of mounts) merge(combinedRoutes, mountRoutes[mount.prefix] || {}, '', mount);
+
+    // Mounts are ordered so that whatever they fall back to has already inherited its own fallbacks
+    for (const mount of mounts.filter((mount) => mount.fallback !== null)) {
+        inheritFallbackRoutes(
+            retrieveNestedRouteNode(combinedRoutes, mount.prefix),
+            retrieveNestedRouteNode(combinedRoutes, mount.fallback),
+            mount.fallback
+        );
+    }
+    pruneNestedRoutes(combinedRoutes);
+
+    return combinedRoutes;
+}
+
+/**
+ * Recursively copy the endpoints of a fallback mount into a mount, wherever the mount doesn't define any methods of its own.
+ * 
+ * Endpoints are inherited as a whole, so a mount defining just `GET` at a path doesn't inherit the fallback's `POST` at
+ * that same path. Directory middleware and error handlers are never inherited, so inherited endpoints run with those
+ * of the mount they're served from. Each inherited method is marked with the mount it was `inheritedFrom`.
+ * 
+ * @param {Object} routeNode The route node of the mount to copy into.
+ * @param {Object} fallbackNode The equivalent route node of the fallback mount.
+ * @param {String} fallbackPrefix The normalized URL prefix of the fallback mount.
+ */
+function inheritFallbackRoutes(routeNode, fallbackNode, fallbackPrefix) {
+    const isEndpoint = (key) => !key.startsWith('/') && !key.startsWith('_');
+    if (!Object.keys(routeNode).some(isEndpoint)) {
+        for (const method of Object.keys(fallbackNode).filter(isEndpoint)) {
+            routeNode[method] = { ...fallbackNode[method], inheritedFrom: fallbackNode[method].inheritedFrom || fallbackPrefix };
+        }
+    }
+
+    for (const key of Object.keys(fallbackNode).filter((key) => key.startsWith('/'))) {
+        routeNode[key] = routeNode[key] || {};
+        inheritFallbackRoutes(routeNode[key], fallbackNode[key], fallbackPrefix);
+    }
+}
+
+/**
+ * Import an endpoint or middleware file.
+ * 
+ * NodeJS caches every module it imports, so a file that has since changed would otherwise keep resolving to its
+ * original contents. Cache busting works around this by importing the file under a URL unique to its size and
+ * modification time. NodeJS never releases an imported module, so only files that have actually changed are imported
+ * again, and each of those stays in memory for the life of the process.
+ * 
+ * CommonJS files are presented the same way as ES modules, see `normalizeEndpointModule`.
+ * 
+ * @param {String} fullPath The absolute path to the file.
+ * @param {Boolean} cacheBust Whether the file should be freshly imported.
+ * @returns {Promise<Object>} The imported module.
+ */
+const importEndpointModule = (fullPath, cacheBust) => {
+    const fileURL = pathToFileURL(fullPath).href;
+    let revision = null;
+    if (cacheBust === true) {
+        const stats = fs.statSync(fullPath);
+        revision = `${stats.size}-${stats.mtimeMs}`;
+    }
+    return import(revision === null ? fileURL : `${fileURL}?t=${revision}`).then((module) => normalizeEndpointModule(module, fullPath));
+};
+
+/**
+ * Interpret the `meta` export of an endpoint file.
+ * 
+ * Keys named after an HTTP method hold the metadata for just that method, while every other key applies to all of the
+ * methods in the file. Method specific values take precedence.
+ * 
+ * @param {any} meta The `meta` export of the endpoint file.
+ * @returns {Object} The metadata for each method, keyed by method, or a description of why it can't be used, in this format:
+ * 
+ * ```
+ * {
+ *     methodMeta: [Object], // { GET: { ... }, POST: { ... }, ... }
+ *     problem: [String|null]
+ * }
+ * ```
+ */
+function interpretRouteMeta(meta) {
+    if (meta === undefined) return { methodMeta: {}, problem: null };
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+        return { methodMeta: {}, problem: `Endpoint file exports a "meta" that is not an object.` };
+    }
+
+    // The metadata is written to the routes file, so it has to survive being serialized
+    let serializedMeta;
+    try {
+        serializedMeta = JSON.parse(JSON.stringify(meta));
+    } catch (e) {
+        return { methodMeta: {}, problem: `Endpoint file exports a "meta" that can't be written as JSON: ${e.message}` };
+    }
+
+    const sharedMeta = {};
+    const specificMeta = {};
+    for (const [key, value] of Object.entries(serializedMeta)) {
+        if (!HTTP_METHODS.includes(key) && !ROUTE_KINDS.includes(key)) {
+            sharedMeta[key] = value;
+        } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { methodMeta: {}, problem: `Endpoint file exports a "meta" for ${key} that is not an object.` };
+        } else {
+            specificMeta[key] = value;
+        }
+    }
+
+    const methodMeta = {};
+    for (const method of [...HTTP_METHODS, ...ROUTE_KINDS]) {
+        methodMeta[method] = { ...sharedMeta, ...(specificMeta[method] || {}) };
+    }
+    return { methodMeta: methodMeta, problem: null };
+}
+
+/**
+ * Insert a route into the nested routes object.
+ * 
+ * @param {Object} nestedRoutes A dictionary valid routes will be written to.
+ * @param {String} fullPath The derived directory path.
+ * @param {String} method The HTTP method (or route kind) the found function is for.
+ * @param {String} filePath The project directory path to the endpoint file.
+ * @param {Object} [meta] The metadata for this method, which is only stored if it isn't empty.
+ */
+const insertRoute = (nestedRoutes, fullPath, method, filePath, meta) => {
+    // Instead of a function string, store the file path
+    const routeEntry = { filePath: filePath };
+    if (meta && Object.keys(meta).length > 0) routeEntry.meta = meta;
+    retrieveNestedRouteNode(nestedRoutes, fullPath)[method] = routeEntry;
 };
 
+/**
+ * Insert a directory middleware file into the nested routes object.
+ * 
+ * @param {Object} nestedRoutes A dictionary valid routes will be written to.
+ * @param {String} fullPath The derived directory path.
+ * @param {String} filePath The project directory path to the middleware file.
+ */
+const insertMiddleware = (nestedRoutes, fullPath, filePath) => {
+    retrieveNestedRouteNode(nestedRoutes, fullPath)['_middleware'] = { filePath: filePath };
+};
+
+/**
+ * Insert a directory error handler file into the nested routes object.
+ * 
+ * @param {Object} nestedRoutes A dictionary valid routes will be written to.
+ * @param {String} fullPath The derived directory path.
+ * @param {String} filePath The project directory path to the error handler file.
+ */
+const insertErrorHandler = (nestedRoutes, fullPath, filePath) => {
+    retrieveNestedRouteNode(nestedRoutes, fullPath)['_error'] = { filePath: filePath };
+};
 
-export default buildEndpointRoutes;
\ No newline at end of file
+export default buildEndpointRoutes;
+export { discoverEndpointRoutes, buildOpenApiSpec };
\ No newline at end of file
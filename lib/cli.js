@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { resolveAndValidatePath, readJSONFileSync, getNodePackageValue } from './utilities.js';
+import buildEndpointRoutes, { discoverEndpointRoutes } from './building-routes.js';
+import { compileRouteRegistry, matchRoute, interpretRouteConfigContents } from './making-requests.js';
+
+/**
+ * The usage instructions printed by `--help`, or alongside any usage error.
+ */
+const USAGE = `Usage: endpoint-routing <command> [options]
+
+Commands:
+  build                      Compile the endpoints directory into a routes JSON file
+  list                       List every path, method and file within the routes JSON file
+  match <METHOD> <path>      Show which file and URL parameters would handle a request
+  check                      Exit with a non-zero code if the routes JSON file is stale or invalid
+
+Options:
+  --config-output <file>     (build) Where the compiled routes are written (default: routes.json)
+  --routes-config <file>     (list, match, check) Where the compiled routes are read from (default: routes.json)
+  --handlers-dir <dir>       The endpoints directory (default: endpoints)
+  --mount <prefix>=<dir>     Serve a directory's endpoints beneath a URL prefix, in place of --handlers-dir, can be repeated
+  --fallback <prefix>=<to>   Let a mount inherit the endpoints of another mount it doesn't define, can be repeated
+  --path-blacklist <globs>   Comma separated directory patterns to exclude, can be repeated
+  --path-whitelist <globs>   Comma separated directory patterns to exclusively compile, can be repeated
+  --openapi-output <file>    (build) Also write an OpenAPI 3 document
+  --types-output <file>      (build) Also write a .d.ts file of the route patterns
+  --param-types <module>     (match, check) A module whose default export is the custom URL parameter types
+  --strict                   (build) Reject the build on any error or warning
+  --watch                    (build) Keep recompiling as the endpoints directory changes
+  --debug                    Log the progress of the route compiling, and any problems found
+  --json                     Print machine readable JSON instead of text
+  --help                     Show these instructions`;
+
+/**
+ * The options that take a value, keyed by flag, along with the argument name they're stored under.
+ */
+const VALUE_OPTIONS = {
+    '--config-output': 'configOutput',
+    '--routes-config': 'routesConfig',
+    '--handlers-dir': 'handlersDir',
+    '--mount': 'mounts',
+    '--fallback': 'fallbacks',
+    '--path-blacklist': 'pathBlacklist',
+    '--path-whitelist': 'pathWhitelist',
+    '--openapi-output': 'openApiOutput',
+    '--types-output': 'typesOutput',
+    '--param-types': 'paramTypes'
+};
+
+/**
+ * The options that are switched on by their presence, keyed by flag, along with the argument name they're stored under.
+ */
+const BOOLEAN_OPTIONS = {
+    '--strict': 'strict',
+    '--watch': 'watch',
+    '--debug': 'debug',
+    '--json': 'json',
+    '--help': 'help'
+};
+
+/**
+ * Run the command-line tool.
+ * 
+ * @param {Array} argv The command-line arguments, excluding the NodeJS executable and script (ex: `process.argv.slice(2)`).
+ * @returns {Promise<Number>} The exit code. `0` on success, `1` if the command found a problem, and `2` for a usage error.
+ */
+async function runCLI(argv) {
+    let parsed;
+    try {
+        parsed = parseArguments(argv);
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { command, positionals, options } = parsed;
+    if (options.help === true || !command) {
+        console.log(USAGE);
+        return options.help === true ? 0 : 2;
+    }
+
+    const commands = { build: buildCommand, list: listCommand, match: matchCommand, check: checkCommand };
+    if (!commands.hasOwnProperty(command)) {
+        console.error(`Unknown command '${command}'.\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        return await commands[command](positionals, options);
+    } catch (e) {
+        const message = e && e.message ? e.message : String(e);
+        if (options.json === true) printJSON({ success: false, error: message });
+        else console.error(`Error: ${message}`);
+        return 1;
+    }
+}
+
+/**
+ * Break apart the command-line arguments into the command, its positional arguments and its options.
+ * 
+ * @param {Array} argv The command-line arguments.
+ * @throws {Error} If an unknown option is used, or an option is missing its value, an exception will be thrown.
+ * @returns {Object} The interpreted arguments, in this format: `{ command, positionals, options }`.
+ */
+function parseArguments(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const separator = arg.indexOf('=');
+        const flag = separator < 0 ? arg : arg.slice(0, separator);
+        if (BOOLEAN_OPTIONS.hasOwnProperty(flag)) {
+            options[BOOLEAN_OPTIONS[flag]] = true;
+            continue;
+        }
+        if (!VALUE_OPTIONS.hasOwnProperty(flag)) throw new Error(`Unknown option '${flag}'.`);
+
+        const value = separator < 0 ? argv[++i] : arg.slice(separator + 1);
+        if (value === undefined || value === '') throw new Error(`Option '${flag}' requires a value.`);
+        if (flag === '--path-blacklist' || flag === '--path-whitelist') {
+            options[VALUE_OPTIONS[flag]] = [...(options[VALUE_OPTIONS[flag]] || []), ...value.split(',').map((pattern) => pattern.trim()).filter(Boolean)];
+        } else if (flag === '--mount' || flag === '--fallback') {
+            const pairSeparator = value.indexOf('=');
+            if (pairSeparator <= 0) throw new Error(`Option '${flag}' expects a value like "/api/v2=${flag === '--mount' ? 'endpoints/v2' : '/api/v1'}".`);
+            options[VALUE_OPTIONS[flag]] = { ...(options[VALUE_OPTIONS[flag]] || {}), [value.slice(0, pairSeparator)]: value.slice(pairSeparator + 1) };
+        } else {
+            options[VALUE_OPTIONS[flag]] = value;
+        }
+    }
+
+    // Attach each fallback to the mount it belongs to
+    if (options.fallbacks) {
+        for (const [prefix, fallback] of Object.entries(options.fallbacks)) {
+            if (!options.mounts || !options.mounts.hasOwnProperty(prefix)) throw new Error(`The fallback for '${prefix}' does not match any --mount.`);
+            options.mounts[prefix] = { handlersDir: options.mounts[prefix], fallback: fallback };
+        }
+        delete options.fallbacks;
+    }
+
+    return { command: positionals.shift(), positionals, options };
+}
+
+/**
+ * Compile the endpoints directory into a routes JSON file, as `buildEndpointRoutes` does.
+ * 
+ * @param {Array} positionals The positional arguments, which are unused.
+ * @param {Object} options The interpreted options.
+ * @returns {Promise<Number>} The exit code, resolved once the process is interrupted in watch mode.
+ */
+async function buildCommand(positionals, options) {
+    const report = await buildEndpointRoutes({
+        configOutput: options.configOutput,
+        handlersDir: options.handlersDir,
+        mounts: options.mounts,
+        pathBlacklist: options.pathBlacklist,
+        pathWhitelist: options.pathWhitelist,
+        openApiOutput: options.openApiOutput,
+        typesOutput: options.typesOutput,
+        strict: options.strict,
+        watch: options.watch,
+        debug: options.debug
+    }).catch((e) => {
+        if (e && e.report) return e.report;
+        throw e;
+    });
+
+    printBuildReport(report, options);
+    if (!report.watcher) return report.success ? 0 : 1;
+
+    // Keep reporting each rebuild until the process is interrupted
+    report.watcher.on('rebuild', (rebuildReport) => printBuildReport(rebuildReport, options));
+    return new Promise((resolve) => {
+        process.once('SIGINT', () => {
+            report.watcher.close();
+            resolve(0);
+        });
+    });
+}
+
+/**
+ * List every path, method and file within the routes JSON file.
+ * 
+ * @param {Array} positionals The positional arguments, which are unused.
+ * @param {Object} options The interpreted options.
+ * @returns {Promise<Number>} The exit code.
+ */
+async function listCommand(positionals, options) {
+    const routesConfig = resolveAndValidatePath(options.routesConfig || 'routes.json', { mustExist: true, mustBeJson: true });
+    const { routeRegistry } = interpretRouteConfigContents(readJSONFileSync(routesConfig));
+    const routes = listRouteRegistry(routeRegistry);
+
+    if (options.json === true) {
+        printJSON({ success: true, routes: routes });
+    } else if (routes.length === 0) {
+        console.log(`No routes were found in ${routesConfig}.`);
+    } else {
+        printTable(['PATH', 'METHOD', 'FILE'], routes.map(({ path, method, file }) => [path, method, file]));
+    }
+    return 0;
+}
+
+/**
+ * Show which file and URL parameters would handle a request, without calling anything.
+ * 
+ * @param {Array} positionals The positional arguments, being the HTTP method followed by the request path.
+ * @param {Object} options The interpreted options.
+ * @returns {Promise<Number>} The exit code, being `1` if the request would not reach an endpoint.
+ */
+async function matchCommand(positionals, options) {
+    const [method, requestPath] = positionals;
+    if (!method || !requestPath) throw new Error(`The match command requires a method and path (ex: "match GET /users/42").`);
+
+    const routesConfig = resolveAndValidatePath(options.routesConfig || 'routes.json', { mustExist: true, mustBeJson: true });
+    const { routeRegistry } = interpretRouteConfigContents(readJSONFileSync(routesConfig));
+    const compiledRoutes = compileRouteRegistry(routeRegistry, await loadParamTypes(options.paramTypes));
+
+    const req = { params: {} };
+    const trail = [];
+    const pathname = new URL(requestPath, 'http://localhost').pathname;
+    const compiledNode = matchRoute(compiledRoutes, pathname, req, trail);
+    const upperMethod = method.toUpperCase();
+
+    // HEAD falls back to the GET function, GET to the SSE function, and OPTIONS is answered automatically, as they are when routing
+    const methods = compiledNode ? [...compiledNode.methods, ...compiledNode.kinds] : [];
+    const allow = [...methods];
+    if (allow.includes('GET') && !allow.includes('HEAD')) allow.push('HEAD');
+    if (allow.includes('SSE') && !allow.includes('GET')) allow.push('GET');
+    if (allow.length > 0 && !allow.includes('OPTIONS')) allow.push('OPTIONS');
+    let handlerMethod = upperMethod === 'HEAD' && !methods.includes('HEAD') ? 'GET' : upperMethod;
+    if (handlerMethod === 'GET' && !methods.includes('GET') && methods.includes('SSE')) handlerMethod = 'SSE';
+
+    let outcome;
+    if (methods.length === 0) {
+        outcome = { success: false, code: 'NOT_FOUND', method: upperMethod, path: pathname };
+    } else if (!allow.includes(upperMethod)) {
+        outcome = { success: false, code: 'NOT_ALLOWED', method: upperMethod, path: pathname, route: compiledNode.pattern, allow: allow };
+    } else {
+        const automatic = !methods.includes(handlerMethod);
+        outcome = {
+            success: true,
+            method: upperMethod,
+            path: pathname,
+            route: compiledNode.pattern,
+            file: automatic ? null : compiledNode.routeNode[handlerMethod].filePath,
+            params: req.params,
+            middleware: automatic ? [] : trail.map((node) => node.middlewarePath).filter(Boolean),
+            errorHandler: [...trail].reverse().map((node) => node.errorHandlerPath).find(Boolean) || null
+        };
+    }
+
+    if (options.json === true) {
+        printJSON(outcome);
+    } else if (outcome.code === 'NOT_FOUND') {
+        console.log(`No route matches ${upperMethod} ${pathname}.`);
+    } else if (outcome.code === 'NOT_ALLOWED') {
+        console.log(`${outcome.route} does not handle ${upperMethod}, only ${outcome.allow.join(', ')}.`);
+    } else {
+        printTable(null, [
+            ['Route', outcome.route],
+            ['File', outcome.file || '(answered automatically)'],
+            ['Params', JSON.stringify(outcome.params)],
+            ['Middleware', outcome.middleware.join(', ') || '(none)'],
+            ['Error handler', outcome.errorHandler || '(none)']
+        ]);
+    }
+    return outcome.success ? 0 : 1;
+}
+
+/**
+ * Check that the routes JSON file can be used, and that it matches what the endpoints directory would compile to now.
+ * 
+ * The endpoints are compiled with the mounts and path patterns recorded in the manifest of the routes JSON file, with
+ * any `--handlers-dir`, `--mount`, `--path-blacklist` or `--path-whitelist` flags used in their place.
+ * 
+ * @param {Array} positionals The positional arguments, which are unused.
+ * @param {Object} options The interpreted options.
+ * @returns {Promise<Number>} The exit code, being `1` if the routes JSON file is stale or invalid.
+ */
+async function checkCommand(positionals, options) {
+    const problems = [];
+    const routesConfig = resolveAndValidatePath(options.routesConfig || 'routes.json', { mustBeJson: true });
+
+    // Ensure the routes file can be read and used as-is
+    let routeConfig = null;
+    if (!fs.existsSync(routesConfig)) {
+        problems.push({ code: 'MISSING', message: `${routesConfig} does not exist.` });
+    } else {
+        try {
+            routeConfig = readJSONFileSync(routesConfig);
+            const { routeRegistry } = interpretRouteConfigContents(routeConfig);
+            compileRouteRegistry(routeRegistry, await loadParamTypes(options.paramTypes));
+            for (const { path: routePath, method, file } of listRouteRegistry(routeRegistry)) {
+                if (!fs.existsSync(file)) problems.push({ code: 'MISSING_FILE', message: `${method} ${routePath} points to '${file}', which does not exist.` });
+            }
+        } catch (e) {
+            problems.push({ code: 'INVALID', message: `${routesConfig} can't be used: ${e.message}` });
+        }
+    }
+
+    // Compare it with a fresh compile of the endpoints directory, using the options it was built with unless they're overridden
+    if (routeConfig !== null) {
+        const build = (routeConfig['manifest'] && routeConfig['manifest']['build']) || {};
+        const freshConfig = await discoverEndpointRoutes({
+            handlersDir: options.handlersDir,
+            mounts: options.mounts || (options.handlersDir ? null : build['mounts']),
+            pathBlacklist: options.pathBlacklist || build['pathBlacklist'],
+            pathWhitelist: options.pathWhitelist || build['pathWhitelist'],
+            debug: options.debug
+        });
+        if (Number(routeConfig['version']) !== Number(getNodePackageValue('route-alg-version'))) {
+            problems.push({ code: 'STALE', message: `${routesConfig} was compiled by a different version of the routing algorithm.` });
+        } else if (canonicalJSON(routeConfig['routes']) !== canonicalJSON(freshConfig['routes'])) {
+            problems.push({ code: 'STALE', message: `${routesConfig} is out of date with the endpoints directory, run the build command.` });
+        }
+    }
+
+    if (options.json === true) {
+        printJSON({ success: problems.length === 0, routesConfig: routesConfig, problems: problems });
+    } else if (problems.length === 0) {
+        console.log(`${routesConfig} is up to date.`);
+    } else {
+        for (const problem of problems) console.error(`${problem.code}: ${problem.message}`);
+    }
+    return problems.length === 0 ? 0 : 1;
+}
+
+/**
+ * Flatten a compiled route registry into a list of every endpoint and method.
+ * 
+ * @param {Object} routeRegistry The compiled routes JSON.
+ * @returns {Array} The endpoints, as `{ path, method, file, meta }`, ordered by path.
+ */
+function listRouteRegistry(routeRegistry) {
+    const routes = [];
+    const visit = (routeNode, routePath) => {
+        for (const key of Object.keys(routeNode)) {
+            if (key.startsWith('/')) visit(routeNode[key], routePath + key);
+            else if (!key.startsWith('_') && routeNode[key] && routeNode[key].filePath) {
+                routes.push({ path: routePath || '/', method: key, file: routeNode[key].filePath, meta: routeNode[key].meta || {} });
+            }
+        }
+    };
+    visit(routeRegistry, '');
+    return routes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Import the custom URL parameter types from a module.
+ * 
+ * @param {String|undefined} modulePath The path to a module whose default export is the custom URL parameter types.
+ * @returns {Promise<Object>} The custom URL parameter types, or an empty object if no module was given.
+ */
+async function loadParamTypes(modulePath) {
+    if (!modulePath) return {};
+    const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+    return module.default || {};
+}
+
+/**
+ * Serialize a value to JSON with its object keys sorted, so that equivalent values serialize identically.
+ * 
+ * @param {any} value The value.
+ * @returns {String} The JSON string.
+ */
+function canonicalJSON(value) {
+    return JSON.stringify(value, (key, nestedValue) => {
+        if (!nestedValue || typeof nestedValue !== 'object' || Array.isArray(nestedValue)) return nestedValue;
+        return Object.fromEntries(Object.keys(nestedValue).sort().map((nestedKey) => [nestedKey, nestedValue[nestedKey]]));
+    });
+}
+
+/**
+ * Print a build report, either as text or as JSON.
+ * 
+ * @param {Object} report The build report, as returned by `buildEndpointRoutes`.
+ * @param {Object} options The interpreted options.
+ */
+function printBuildReport(report, options) {
+    const { watcher, ...serializable } = report;
+    if (options.json === true) return printJSON(serializable);
+
+    for (const [level, diagnostics] of [['error', report.errors], ['warning', report.warnings]]) {
+        for (const { code, message, route, file } of diagnostics) {
+            const location = [route, file && `(${file})`].filter(Boolean).join(' ');
+            console.error(`${level} ${code}${location ? ` ${location}` : ''}: ${message}`);
+        }
+    }
+    for (const [pattern, dirs] of Object.entries(report.exclusions.pathBlacklist)) {
+        console.log(`Blacklist pattern '${pattern}' excluded ${dirs.length} director${dirs.length === 1 ? 'y' : 'ies'}${dirs.length > 0 ? `: ${dirs.join(', ')}` : ''}`);
+    }
+    if (report.exclusions.pathWhitelist.length > 0) {
+        console.log(`Whitelist excluded ${report.exclusions.pathWhitelist.length} endpoint(s): ${report.exclusions.pathWhitelist.join(', ')}`);
+    }
+    const summary = report.written
+        ? `Compiled ${report.routeCount} route(s) to ${report.configOutput}`
+        : `Routes were not written to ${report.configOutput}`;
+    console.log(`${summary} with ${report.errors.length} error(s) and ${report.warnings.length} warning(s).`);
+}
+
+/**
+ * Print rows of text as aligned columns.
+ * 
+ * @param {Array|null} headings The column headings, or null for no heading row.
+ * @param {Array} rows The rows, each being an array of column values.
+ */
+function printTable(headings, rows) {
+    const allRows = headings ? [headings, ...rows] : rows;
+    const widths = allRows[0].map((_, column) => Math.max(...allRows.map((row) => String(row[column]).length)));
+    for (const row of allRows) {
+        console.log(row.map((value, column) => String(value).padEnd(widths[column])).join('  ').trimEnd());
+    }
+}
+
+/**
+ * Print a value as formatted JSON.
+ * 
+ * @param {any} value The value.
+ */
+function printJSON(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+// Run when called directly, rather than imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fs.realpathSync(fileURLToPath(import.meta.url))) {
+    runCLI(process.argv.slice(2)).then((exitCode) => {
+        process.exitCode = exitCode;
+    });
+}
+
+export {
+    runCLI
+}
@@ -0,0 +1,189 @@
+/**
+ * The CORS settings used for any that aren't provided.
+ */
+const DEFAULT_CORS_OPTIONS = {
+    origin: '*',
+    methods: null,
+    allowedHeaders: null,
+    exposedHeaders: [],
+    credentials: false,
+    maxAge: null
+};
+
+/**
+ * Interpret a `cors` setting, whether it was given to `endpointRouting()` or exported by an endpoint file.
+ * 
+ * @param {Boolean|Object|undefined} cors The CORS setting. `true` enables the defaults, `false` (or nothing) disables CORS,
+ * and an object enables CORS with the following settings layered over the defaults:
+ * 
+ * * **origin** `String|Array|RegExp|Function|Boolean` - The origin(s) allowed to make requests. A function is called with `(origin, req)` and returns whether it is allowed. By default, this is set to `"*"`.
+ * * **methods** `Array` - The methods allowed by preflight requests. By default, the methods available at the requested path are used.
+ * * **allowedHeaders** `Array` - The request headers allowed by preflight requests. By default, whatever headers the preflight request asks for are allowed.
+ * * **exposedHeaders** `Array` - The response headers the browser is allowed to read. By default, this is set to `[]`.
+ * * **credentials** `Boolean` - Whether cookies and authorization headers are allowed to be sent. By default, this is set to `false`.
+ * * **maxAge** `Number` - How long the outcome of a preflight request can be cached, in seconds. By default, this is left unset.
+ * 
+ * @param {Object|null} [base = null] Already interpreted CORS settings to layer the object over, rather than the defaults.
+ * @returns {Object|null} The interpreted CORS settings, or null if CORS is disabled.
+ */
+function normalizeCorsOptions(cors, base = null) {
+    if (cors === undefined || cors === null || cors === false) return null;
+    if (cors === true) return base || { ...DEFAULT_CORS_OPTIONS };
+    if (typeof cors !== 'object') throw new Error(`Expected the CORS setting to be a boolean or object, but received: ${typeof cors}`);
+    return { ...(base || DEFAULT_CORS_OPTIONS), ...cors };
+}
+
+/**
+ * Combine the CORS settings of the router with the override exported by an endpoint file.
+ * 
+ * @param {Object|null} routerOptions The interpreted CORS settings of the router.
+ * @param {Boolean|Object|undefined} routeOverride The `cors` export of the endpoint file. `undefined` keeps the router's settings,
+ * `false` disables CORS, `true` enables it with the router's settings (or the defaults), and an object is layered over them.
+ * @returns {Object|null} The interpreted CORS settings for this endpoint, or null if CORS is disabled.
+ */
+function resolveCorsOptions(routerOptions, routeOverride) {
+    if (routeOverride === undefined) return routerOptions;
+    return normalizeCorsOptions(routeOverride, routerOptions);
+}
+
+/**
+ * Check whether a request was made cross-origin, being the only requests CORS applies to.
+ * Browsers also send an `Origin` header with same-origin `POST` requests, so it's compared against the request's own
+ * `Host` header and protocol (taken from `X-Forwarded-Proto` when a proxy sets it).
+ * 
+ * @param {Object} req The request object.
+ * @returns {Boolean} Whether the request has an `Origin` header naming a different origin than the request was made to.
+ */
+function isCrossOriginRequest(req) {
+    const requestOrigin = readRequestHeader(req, 'origin');
+    if (requestOrigin === undefined) return false;
+
+    const host = readRequestHeader(req, 'host');
+    if (!host) return true;
+
+    let origin;
+    try {
+        origin = new URL(requestOrigin);
+    } catch {
+        return true;
+    }
+    const forwardedProtocol = readRequestHeader(req, 'x-forwarded-proto');
+    const protocol = forwardedProtocol
+        ? String(forwardedProtocol).split(',')[0].trim().toLowerCase()
+        : (req.socket && req.socket.encrypted ? 'https' : 'http');
+    return origin.protocol !== `${protocol}:` || origin.host !== new URL(`${protocol}://${host}`).host;
+}
+
+/**
+ * Check whether an `OPTIONS` request is a CORS preflight request, rather than an ordinary one.
+ * 
+ * @param {Object} req The request object.
+ * @returns {Boolean} Whether the request is a preflight request.
+ */
+const isPreflightRequest = (req) => isCrossOriginRequest(req)
+    && readRequestHeader(req, 'access-control-request-method') !== undefined;
+
+/**
+ * Set the CORS headers shared by every response to a cross-origin request.
+ * 
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @param {Object} corsOptions The interpreted CORS settings.
+ * @returns {Boolean} Whether the request's origin is allowed.
+ */
+function applyCorsHeaders(req, res, corsOptions) {
+    const requestOrigin = readRequestHeader(req, 'origin');
+    if (requestOrigin === undefined) return false;
+
+    const allowedOrigin = resolveAllowedOrigin(requestOrigin, req, corsOptions);
+    if (allowedOrigin !== '*') appendVaryHeader(res, 'Origin');
+    if (allowedOrigin === null) return false;
+
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    if (corsOptions.credentials === true) res.setHeader('Access-Control-Allow-Credentials', 'true');
+    if (corsOptions.exposedHeaders && corsOptions.exposedHeaders.length > 0) {
+        res.setHeader('Access-Control-Expose-Headers', [].concat(corsOptions.exposedHeaders).join(', '));
+    }
+    return true;
+}
+
+/**
+ * Set the CORS headers describing what a preflight request is allowed to do.
+ * 
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @param {Object} corsOptions The interpreted CORS settings.
+ * @param {Array} allow The methods available at the requested path, used unless the CORS settings list their own.
+ */
+function applyPreflightHeaders(req, res, corsOptions, allow) {
+    if (!applyCorsHeaders(req, res, corsOptions)) return;
+
+    res.setHeader('Access-Control-Allow-Methods', [].concat(corsOptions.methods || allow).join(', '));
+    if (corsOptions.allowedHeaders) {
+        res.setHeader('Access-Control-Allow-Headers', [].concat(corsOptions.allowedHeaders).join(', '));
+    } else {
+        const requestedHeaders = readRequestHeader(req, 'access-control-request-headers');
+        if (requestedHeaders) {
+            res.setHeader('Access-Control-Allow-Headers', requestedHeaders);
+            appendVaryHeader(res, 'Access-Control-Request-Headers');
+        }
+    }
+    if (corsOptions.maxAge !== null && corsOptions.maxAge !== undefined) {
+        res.setHeader('Access-Control-Max-Age', String(corsOptions.maxAge));
+    }
+}
+
+/**
+ * Work out the value of the `Access-Control-Allow-Origin` header for a request.
+ * 
+ * @param {String} requestOrigin The `Origin` header of the request.
+ * @param {Object} req The request object.
+ * @param {Object} corsOptions The interpreted CORS settings.
+ * @returns {String|null} The allowed origin, or null if the request's origin isn't allowed.
+ */
+function resolveAllowedOrigin(requestOrigin, req, corsOptions) {
+    const { origin, credentials } = corsOptions;
+
+    // Browsers refuse a wildcard alongside credentials, so the request's origin is echoed back instead
+    if (origin === '*' || origin === true) return credentials === true || origin === true ? requestOrigin : '*';
+    if (typeof origin === 'string') return origin === requestOrigin ? origin : null;
+    if (Array.isArray(origin)) return origin.includes(requestOrigin) ? requestOrigin : null;
+    if (origin instanceof RegExp) return origin.test(requestOrigin) ? requestOrigin : null;
+    if (typeof origin === 'function') {
+        const outcome = origin(requestOrigin, req);
+        if (typeof outcome === 'string') return outcome;
+        return outcome ? requestOrigin : null;
+    }
+    return null;
+}
+
+/**
+ * Read a header from a request, whether it was created by NodeJS or by `inject()`.
+ * 
+ * @param {Object} req The request object.
+ * @param {String} name The lowercased header name.
+ * @returns {String|undefined} The header value, or `undefined` if it wasn't sent.
+ */
+const readRequestHeader = (req, name) => (req.headers || {})[name];
+
+/**
+ * Add a header name to the `Vary` header of a response, keeping any that are already listed.
+ * 
+ * @param {Object} res The response object.
+ * @param {String} name The header name.
+ */
+function appendVaryHeader(res, name) {
+    const existing = typeof res.getHeader === 'function' ? res.getHeader('Vary') : undefined;
+    const names = existing ? String(existing).split(',').map((value) => value.trim()).filter(Boolean) : [];
+    if (names.some((value) => value.toLowerCase() === name.toLowerCase() || value === '*')) return;
+    res.setHeader('Vary', [...names, name].join(', '));
+}
+
+export {
+    normalizeCorsOptions,
+    resolveCorsOptions,
+    isCrossOriginRequest,
+    isPreflightRequest,
+    applyCorsHeaders,
+    applyPreflightHeaders
+}
@@ -0,0 +1,174 @@
+import path from 'path';
+import { HTTP_METHODS } from './utilities.js';
+
+/**
+ * The file extensions an endpoint file can be written with.
+ */
+const ENDPOINT_FILE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * The kinds of realtime routes an endpoint file can define alongside its HTTP methods. `WS` is an object of WebSocket
+ * event handlers, and `SSE` is a function that is handed a Server-Sent Events stream.
+ */
+const ROUTE_KINDS = ['WS', 'SSE'];
+
+/**
+ * The WebSocket events a `WS` handler can respond to.
+ */
+const WEBSOCKET_EVENTS = ['onOpen', 'onMessage', 'onClose'];
+
+/**
+ * Work out whether a file within an endpoint directory defines any of its handlers.
+ * 
+ * An endpoint can either be defined by an index file (ex: "index.js"), holding the handlers of any number of methods,
+ * or split into per-method files named after the method (or route kind) they handle (ex: "get.js", "post.mjs" or "ws.js").
+ * 
+ * @param {String} fileName The name of the file.
+ * @returns {Object|null} The kind of endpoint file, or null if the file isn't one, in this format:
+ * 
+ * ```
+ * {
+ *     kind: [String], // Either "index" or "method"
+ *     method: [String|null] // The HTTP method (or route kind) a per-method file handles
+ * }
+ * ```
+ */
+function interpretEndpointFileName(fileName) {
+    const extension = path.extname(fileName);
+    if (!ENDPOINT_FILE_EXTENSIONS.includes(extension)) return null;
+
+    const name = path.basename(fileName, extension);
+    if (name === 'index') return { kind: 'index', method: null };
+    if (name === name.toLowerCase() && [...HTTP_METHODS, ...ROUTE_KINDS].includes(name.toUpperCase())) return { kind: 'method', method: name.toUpperCase() };
+    return null;
+}
+
+/**
+ * Work out whether a file within an endpoint directory applies to the whole directory, being either its middleware
+ * (ex: "_middleware.js") or its error handler (ex: "_error.mjs"). These can be written with the same extensions as an
+ * endpoint file.
+ * 
+ * @param {String} fileName The name of the file.
+ * @returns {String|null} Either "_middleware" or "_error", or null if the file is neither.
+ */
+function interpretDirectoryFileName(fileName) {
+    const extension = path.extname(fileName);
+    if (!ENDPOINT_FILE_EXTENSIONS.includes(extension)) return null;
+
+    const name = path.basename(fileName, extension);
+    return name === '_middleware' || name === '_error' ? name : null;
+}
+
+/**
+ * Present an imported CommonJS file the same way as an ES module, so that whatever was assigned to `module.exports`
+ * can be read as named exports (ex: `module.exports = { GET, meta }`), and a lone function as the default export.
+ * 
+ * @param {Object} module The imported file.
+ * @param {String} filePath The path to the file.
+ * @returns {Object} The imported file, or an equivalent of it for CommonJS files.
+ */
+function normalizeEndpointModule(module, filePath) {
+    if (path.extname(filePath) !== '.cjs') return module;
+
+    const exported = module.default;
+    if (typeof exported === 'function') return { ...module, default: exported };
+    if (!exported || typeof exported !== 'object') return module;
+    return { ...module, ...exported, default: undefined };
+}
+
+/**
+ * Collect the handlers an imported endpoint file defines, keyed by method.
+ * 
+ * An index file can define handlers within an object as its default export (ex: `export default { GET }`), as named
+ * exports (ex: `export const GET = ...`), or both. A per-method file defines the handler of its method either as its
+ * default export, or as a named export of that method. A method defined more than once by the same file is a problem,
+ * as is a per-method file exporting any other method.
+ * 
+ * The realtime route kinds are collected the same way as methods, see `ROUTE_KINDS`.
+ * 
+ * @param {Object} module The imported endpoint file, as returned by `normalizeEndpointModule`.
+ * @param {String} fileName The name of the endpoint file.
+ * @returns {Object} The handlers and any problems with them, in this format:
+ * 
+ * ```
+ * {
+ *     handlers: [Object], // { GET: [Function], POST: [Function], ..., WS: [Object], SSE: [Function] }
+ *     problems: [Array] // { code, message, level }, the level being "warning" where the handlers are still usable, and otherwise left unset for an error
+ * }
+ * ```
+ */
+function collectModuleHandlers(module, fileName) {
+    const { kind, method: fileMethod } = interpretEndpointFileName(fileName) || { kind: 'index', method: null };
+    const handlers = {};
+    const problems = [];
+
+    const defaultExport = module.default;
+    const candidates = [];
+    if (kind === 'method') {
+        if (defaultExport !== undefined) candidates.push([fileMethod, defaultExport]);
+        if (module[fileMethod] !== undefined) candidates.push([fileMethod, module[fileMethod]]);
+        if (candidates.length === 0) {
+            problems.push({ code: 'INVALID_EXPORT', message: `Method file does not "export default" a function, or export one named ${fileMethod}.` });
+        }
+
+        // Only the file's own method is read from it, so any other method it exports would otherwise go unnoticed
+        for (const method of [...HTTP_METHODS, ...ROUTE_KINDS].filter((method) => method !== fileMethod && module[method] !== undefined)) {
+            problems.push({ code: 'IGNORED_EXPORT', level: 'warning', message: `Method file for ${fileMethod} also exports ${method}, which is ignored. Move it to its own method file, or to an index file.` });
+        }
+    } else {
+        if (defaultExport !== undefined && (!defaultExport || typeof defaultExport !== 'object')) {
+            problems.push({ code: 'INVALID_EXPORT', message: `Endpoint file does not "export default" an object of method functions.` });
+        } else if (defaultExport) {
+            candidates.push(...Object.entries(defaultExport));
+        }
+        candidates.push(...[...HTTP_METHODS, ...ROUTE_KINDS].filter((method) => module[method] !== undefined).map((method) => [method, module[method]]));
+        if (defaultExport === undefined && candidates.length === 0) {
+            problems.push({ code: 'INVALID_EXPORT', message: `Endpoint file does not "export default" an object of method functions, or export any method functions.` });
+        }
+    }
+
+    for (const [method, handler] of candidates) {
+        if (!HTTP_METHODS.includes(method) && !ROUTE_KINDS.includes(method)) {
+            problems.push({ code: 'UNKNOWN_METHOD', message: `Endpoint file exports an unknown HTTP method '${method}'.` });
+            continue;
+        }
+        if (method === 'WS' && !isWebSocketHandler(handler)) {
+            problems.push({ code: 'HANDLER_NOT_FUNCTION', message: `Handler for WS is not an object of ${WEBSOCKET_EVENTS.join(', ')} functions.` });
+            continue;
+        }
+        if (method !== 'WS' && typeof handler !== 'function') {
+            problems.push({ code: 'HANDLER_NOT_FUNCTION', message: `Handler for ${method} is not a function.` });
+            continue;
+        }
+
+        // The same function can be listed both ways (ex: `export { GET }` alongside `export default { GET }`)
+        if (handlers[method] !== undefined) {
+            if (handlers[method] !== handler) {
+                problems.push({ code: 'DUPLICATE_ROUTE', message: `Handler for ${method} is defined by both the default and a named export.` });
+            }
+            continue;
+        }
+        handlers[method] = handler;
+    }
+
+    return { handlers, problems };
+}
+
+/**
+ * Check whether a value can be used as a WebSocket handler, being an object with a function for at least one of the
+ * WebSocket events, and nothing but functions for the rest.
+ * 
+ * @param {any} handler The `WS` export of an endpoint file.
+ * @returns {Boolean} Whether the value is a WebSocket handler.
+ */
+const isWebSocketHandler = (handler) => !!handler && typeof handler === 'object'
+    && WEBSOCKET_EVENTS.some((event) => handler[event] !== undefined)
+    && WEBSOCKET_EVENTS.every((event) => handler[event] === undefined || typeof handler[event] === 'function');
+
+export {
+    ROUTE_KINDS,
+    interpretEndpointFileName,
+    interpretDirectoryFileName,
+    normalizeEndpointModule,
+    collectModuleHandlers
+}
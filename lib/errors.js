@@ -0,0 +1,126 @@
+/**
+ * The base class of every error thrown while routing a request, whether the request couldn't be matched to an
+ * endpoint, didn't satisfy its schema, or the endpoint itself failed.
+ * 
+ * Each error has a stable `code` and the HTTP `status` it should be responded to with. For compatibility with the error
+ * objects thrown by earlier versions, `success` is always `false` and `error` is the same as `message`, which is also
+ * the shape the error is serialized to as JSON:
+ * 
+ * ```
+ * {
+ *     success: false,
+ *     code: [String],
+ *     error: [String]
+ * }
+ * ```
+ */
+class RoutingError extends Error {
+    /**
+     * @param {String} message A description of what went wrong.
+     * @param {Object} [options] A list of parameters describing the error. The supported arguments are as follows:
+     * 
+     * * **code** `String` - The stable code identifying the kind of error. By default, this is set to `"ROUTING_ERROR"`.
+     * * **status** `Number` - The HTTP status the error should be responded to with. By default, this is set to `500`.
+     * * **cause** `any` - The original error that led to this one. By default, this is left `undefined`.
+     */
+    constructor(message, options = {}) {
+        super(message, options['cause'] === undefined ? undefined : { cause: options['cause'] });
+        this.name = this.constructor.name;
+        this.code = options['code'] || 'ROUTING_ERROR';
+        this.status = options['status'] || 500;
+    }
+
+    get success() {
+        return false;
+    }
+
+    get error() {
+        return this.message;
+    }
+
+    /**
+     * Describe the error as the body of a JSON response, leaving out anything that shouldn't be sent to the client
+     * (such as the stack trace or the `cause`).
+     * 
+     * @returns {Object} The response body.
+     */
+    toJSON() {
+        return { success: false, code: this.code, error: this.message };
+    }
+}
+
+/**
+ * Thrown when no endpoint matches the request path.
+ */
+class NotFoundError extends RoutingError {
+    constructor(message = 'Route not found.', options = {}) {
+        super(message, { code: 'NOT_FOUND', status: 404, ...options });
+    }
+}
+
+/**
+ * Thrown when an endpoint matches the request path, but not for the requested (or a permitted) method. The methods
+ * that are available at the endpoint are listed under the `allow` key.
+ */
+class MethodNotAllowedError extends RoutingError {
+    constructor(method, allow, options = {}) {
+        super(`Method '${method}' not supported.`, { code: 'NOT_ALLOWED', status: 405, ...options });
+        this.allow = allow;
+    }
+}
+
+/**
+ * Thrown when a request doesn't satisfy the endpoint's schema (`VALIDATION_FAILED`), or when an endpoint function
+ * returns a value that doesn't satisfy its `response` schema (`RESPONSE_VALIDATION_FAILED`). The failing fields are
+ * listed under the `errors` key, as `{ location, path, message }`.
+ */
+class ValidationError extends RoutingError {
+    constructor(message, errors, options = {}) {
+        super(message, { code: 'VALIDATION_FAILED', status: 400, ...options });
+        this.errors = errors;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), errors: this.errors };
+    }
+}
+
+/**
+ * Thrown when an endpoint function, or any directory middleware leading up to it, throws. The original error is
+ * attached under the `cause` key. If the original error carries a `4xx` or `5xx` status, it is kept, otherwise the
+ * status is `500`, and the message of the original error is left out when serialized to JSON.
+ */
+class HandlerError extends RoutingError {
+    constructor(cause, options = {}) {
+        const causeStatus = cause && Number(cause.status || cause.statusCode);
+        super(cause && cause.message ? cause.message : 'Endpoint function failed.', {
+            code: 'HANDLER_ERROR',
+            status: causeStatus >= 400 && causeStatus < 600 ? causeStatus : 500,
+            cause: cause,
+            ...options
+        });
+    }
+
+    toJSON() {
+        // The original error may describe the internals of the endpoint, which shouldn't be sent to the client
+        return this.status >= 500 ? { ...super.toJSON(), error: 'Internal server error.' } : super.toJSON();
+    }
+}
+
+/**
+ * Wrap anything thrown by an endpoint function (or its directory middleware) in a `HandlerError`, leaving any
+ * `RoutingError` thrown along the way as it is.
+ * 
+ * @param {any} error The thrown value.
+ * @returns {RoutingError} The routing error.
+ */
+const toRoutingError = (error) => error instanceof RoutingError ? error : new HandlerError(error);
+
+export {
+    RoutingError,
+    NotFoundError,
+    MethodNotAllowedError,
+    ValidationError,
+    HandlerError,
+    toRoutingError
+}
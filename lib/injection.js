@@ -0,0 +1,126 @@
+import { EventEmitter } from 'events';
+import { decorateNodeResponse } from './node-http.js';
+
+/**
+ * Create a fake request object, resembling one that has been prepared by Express or `createRequestListener()`.
+ * 
+ * @param {Object} [options] A list of parameters describing the request. The supported arguments are as follows:
+ * 
+ * * **method** `String` - The HTTP method. By default, this is set to `"GET"`.
+ * * **url** `String` - The request URL, optionally including a query string. By default, this is set to `"/"`.
+ * * **headers** `Object` - The request headers. Names are lowercased, as NodeJS does. By default, this is set to `{}`.
+ * * **query** `Object` - Query values to include alongside any in the `url`. By default, this is set to `{}`.
+ * * **body** `any` - The already parsed request body. By default, this is left `undefined`.
+ * 
+ * @returns {Object} The fake request object.
+ */
+function createInjectedRequest(options = {}) {
+    const url = new URL(options['url'] || '/', 'http://localhost');
+
+    // Collect the query values from the URL, then layer any explicitly provided ones over the top
+    const query = {};
+    for (const [key, value] of url.searchParams) {
+        query[key] = Object.prototype.hasOwnProperty.call(query, key) ? [].concat(query[key], value) : value;
+    }
+    Object.assign(query, options['query'] || {});
+
+    const headers = {};
+    for (const [name, value] of Object.entries(options['headers'] || {})) {
+        headers[name.toLowerCase()] = value;
+    }
+
+    return {
+        method: (options['method'] || 'GET').toUpperCase(),
+        url: url.pathname + url.search,
+        path: url.pathname,
+        headers: headers,
+        query: query,
+        params: {},
+        body: options['body'],
+        get: (name) => headers[name.toLowerCase()],
+        header: (name) => headers[name.toLowerCase()]
+    };
+}
+
+/**
+ * Create a fake response object which records everything written to it, rather than sending it anywhere.
+ * 
+ * Alongside the NodeJS response methods (`setHeader()`, `getHeader()`, `write()`, `end()`, etc.), the Express-style
+ * `status()`, `set()`, `json()` and `send()` helpers are available. Like a NodeJS response, it emits `"finish"` and
+ * then `"close"` once it has been ended.
+ * 
+ * @param {Object} [options] A list of parameters to configure the response. The supported arguments are as follows:
+ * 
+ * * **discardBody** `Boolean` - Whether anything written to the body should be thrown away, as NodeJS does when responding to a `HEAD` request. By default, this is set to `false`.
+ * 
+ * @returns {Object} The fake response object. The recorded body can be retrieved with `getRecordedBody()`.
+ */
+function createRecordingResponse(options = {}) {
+    const discardBody = options['discardBody'] || false;
+    const headers = {};
+    const chunks = [];
+
+    const res = Object.assign(new EventEmitter(), {
+        statusCode: 200,
+        headersSent: false,
+        writableEnded: false,
+        setHeader: (name, value) => {
+            headers[name.toLowerCase()] = value;
+            return res;
+        },
+        getHeader: (name) => headers[name.toLowerCase()],
+        getHeaders: () => ({ ...headers }),
+        hasHeader: (name) => Object.prototype.hasOwnProperty.call(headers, name.toLowerCase()),
+        removeHeader: (name) => {
+            delete headers[name.toLowerCase()];
+        },
+        writeHead: (statusCode, extraHeaders = {}) => {
+            res.statusCode = statusCode;
+            for (const [name, value] of Object.entries(extraHeaders)) res.setHeader(name, value);
+            res.headersSent = true;
+            return res;
+        },
+        write: (chunk) => {
+            if (chunk !== undefined && chunk !== null && !discardBody) chunks.push(Buffer.from(chunk));
+            res.headersSent = true;
+            return true;
+        },
+        end: (chunk) => {
+            if (res.writableEnded) return res;
+            if (typeof chunk !== 'function') res.write(chunk);
+            res.headersSent = true;
+            res.writableEnded = true;
+            res.emit('finish');
+            res.emit('close');
+            return res;
+        },
+        getRecordedBody: () => Buffer.concat(chunks).toString('utf-8')
+    });
+
+    return decorateNodeResponse(res);
+}
+
+/**
+ * Interpret the body recorded by a fake response object, parsing it if it was sent as JSON.
+ * 
+ * @param {Object} res The fake response object.
+ * @returns {any} The parsed JSON body, the body as a string, or `undefined` if nothing was sent.
+ */
+function interpretRecordedBody(res) {
+    const rawBody = res.getRecordedBody();
+    if (rawBody.length === 0) return undefined;
+
+    const contentType = String(res.getHeader('Content-Type') || '');
+    if (!contentType.includes('application/json')) return rawBody;
+    try {
+        return JSON.parse(rawBody);
+    } catch(e) {
+        return rawBody;
+    }
+}
+
+export {
+    createInjectedRequest,
+    createRecordingResponse,
+    interpretRecordedBody
+}
\ No newline at end of file
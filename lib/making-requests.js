@@ -1,7 +1,27 @@
 import fs from 'fs';
 import path from 'path';
 import { pathToFileURL } from 'url';
-import { resolveAndValidatePath, readJSONFileSync } from './utilities.js';
+import { HTTP_METHODS, resolveAndValidatePath, readJSONFileSync, getNodePackageValue } from './utilities.js';
+import { prepareNodeRequest, decorateNodeResponse, assignRequestValue } from './node-http.js';
+import { createInjectedRequest, createRecordingResponse, interpretRecordedBody } from './injection.js';
+import { parseDynamicSegmentKey, resolveParamType } from './route-segments.js';
+import { watchDirectoryTree } from './watching.js';
+import buildEndpointRoutes, { discoverEndpointRoutes } from './building-routes.js';
+import { verifyRouteManifest } from './manifest.js';
+import { resolveMounts } from './mounts.js';
+import { validateSchema } from './validation.js';
+import { RoutingError, NotFoundError, MethodNotAllowedError, ValidationError, toRoutingError } from './errors.js';
+import { RouteMetrics } from './metrics.js';
+import { createRouteURL } from './reverse-routing.js';
+import { ROUTE_KINDS, normalizeEndpointModule, collectModuleHandlers } from './endpoint-files.js';
+import { acceptsEventStream, createEventStream } from './server-sent-events.js';
+import { isWebSocketUpgrade, describeHandshakeProblem, acceptWebSocketUpgrade, rejectUpgrade } from './websocket.js';
+import { normalizeCorsOptions, resolveCorsOptions, isCrossOriginRequest, isPreflightRequest, applyCorsHeaders, applyPreflightHeaders } from './cors.js';
+
+/**
+ * The lifecycle events that hooks can be provided for, see `callLifecycleHook`.
+ */
+const LIFECYCLE_HOOKS = ['onMatch', 'beforeHandler', 'afterHandler', 'onError'];
 
 /*
     █▀▄▀█ ▄▀█ █▄▀ █ █▄░█ █▀▀   █▀█ █▀▀ █▀█ █░█ █▀▀ █▀ ▀█▀ █▀
@@ -11,33 +31,117 @@ import { resolveAndValidatePath, readJSONFileSync } from './utilities.js';
 /**
  * Initalize an instance of the `EndpointRouting` class.
  * 
+ * By default, the routes are read from a routes JSON file compiled by `buildEndpointRoutes`. With `discover` enabled,
+ * the `handlersDir` is instead scanned in memory, and a Promise resolving to the instance is returned.
+ * 
  * @param {Object} args A list of parameters to configure how the endpoint routing is initialized. The supported arguments are as follows:
  * 
  * * **routesConfig** `String` - The name of the file where the compiled routes should be retrieved from. By default, this is set to `"routes.json"`.
+ * * **discover** `Boolean` - Whether the routes should be discovered from the `handlersDir` in memory, rather than retrieved from the `routesConfig`. By default, this is set to `false`.
+ * * **pathBlacklist** `Array|null` - With `discover` enabled, the glob pattern(s) of directories to exclude from the discovered routes. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **pathWhitelist** `Array|null` - With `discover` enabled, the glob pattern(s) of directories to exclusively discover endpoints from. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **strict** `Boolean` - With `discover` enabled, whether discovery should be rejected if any errors or warnings are found. By default, this is set to `false`.
  * * **handlersDir** `String` - The parent folder we're compiling these endpoints from. By default, this is set to `"endpoints"`.
- * * **allowedMethods** `Array` - A whitelist for permitted HTTP request methods. By default, all methods are allowed.
+ * * **mounts** `Object|null` - The folders the endpoints were compiled from, keyed by the URL prefix they're served beneath, in place of the `handlersDir`. See `buildEndpointRoutes`. By default, this is set to `null`.
+ * * **allowedMethods** `Array` - A whitelist for permitted HTTP request methods. By default, all standard HTTP methods are allowed.
+ * * **cors** `Boolean|Object` - Whether cross-origin requests should be supported, answering preflight requests and setting the `Access-Control-*` headers. Either `true` for the defaults, or an object of `{ origin, methods, allowedHeaders, exposedHeaders, credentials, maxAge }`. Each endpoint file can override this with a `cors` export. By default, this is set to `false`.
+ * * **hotReload** `Boolean` - Whether changes to the `routesConfig` and to the files within `handlersDir` should be picked up without restarting. With `discover` enabled, the routes are discovered again whenever the `handlersDir` changes. Every changed file is re-imported as a new module that NodeJS never releases, so memory grows with each change until the process is restarted. Intended for development only. By default, this is set to `false`.
+ * * **paramTypes** `Object` - Custom URL parameter types usable in directory names (ex: "[date=isoDate]"), keyed by name. Each is either a `RegExp`, a test function, or an object of `{ test, convert }`. By default, this is set to `{}`.
+ * * **validateResponses** `Boolean` - Whether values returned by endpoint functions should be checked against their `response` schema. Intended for development only. By default, this is set to `false`.
+ * * **hooks** `Object` - Functions to call as each request is routed, keyed by lifecycle event: `onMatch`, `beforeHandler`, `afterHandler` and `onError`. See `callLifecycleHook`. By default, this is set to `{}`.
+ * * **metrics** `Boolean|Object` - Whether the number of requests, errors and their latencies should be recorded for each route, readable with `getMetrics()`. Either `true` for the defaults, or an object of `{ buckets }` with the upper bounds of the latency histogram in milliseconds. See `RouteMetrics`. By default, this is set to `false`.
+ * * **verify** `String|Boolean` - Whether the `routesConfig` should be checked against the files it was compiled from on startup, using its manifest. Either `"warn"` to log any problems found, `"error"` to reject them, `"rebuild"` to recompile the routes when any are found (in which case a Promise resolving to the instance is returned), or `false` to skip the check. See `verifyRouteManifest`. By default, this is set to `"warn"`, unless `discover` is enabled.
  * 
- * @throws {Error} If the included `routesConfig` is not a valid path and point to a JSON file, an exception will be thrown.
- * @throws {Error} If the included `handlersDir` is not a valid path and point to a directory, an exception will be thrown.
- * @returns {EndpointRouting} A usable instance of the `EndpointRouting` class.
+ * @throws {Error} If the included `routesConfig` is not a valid path and point to a JSON file (unless `discover` is enabled), an exception will be thrown.
+ * @throws {Error} If the included `handlersDir` (or any of the `mounts`) is not a valid path and point to a directory, an exception will be thrown.
+ * @throws {Error} If the compiled routes use a URL parameter type that is not built-in or included in `paramTypes`, an exception will be thrown.
+ * @throws {Error} If `cors` is neither a boolean nor an object, an exception will be thrown.
+ * @throws {Error} If `hooks` isn't an object of functions keyed by lifecycle event, or `metrics` has invalid `buckets`, an exception will be thrown.
+ * @throws {Error} If `verify` is explicitly set alongside `discover`, an exception will be thrown.
+ * @throws {Error} If `verify` is set to `"error"` and the `routesConfig` is out of date, an exception will be thrown. The problems found are attached under the `problems` key.
+ * @throws {Error} If the `routesConfig` was compiled with a newer routing algorithm than this version supports, an exception will be thrown.
+ * @returns {EndpointRouting|Promise<EndpointRouting>} A usable instance of the `EndpointRouting` class, or a Promise resolving to one if `discover` is enabled or `verify` is set to `"rebuild"`.
  */
 function endpointRouting(args) {
     // Extract relevant arguments and autofill missing pieces
-    const routesConfig = resolveAndValidatePath(
+    const discover = args['discover'] || false;
+    const routesConfig = discover === true ? null : resolveAndValidatePath(
         args['routesConfig'] || 'routes.json',
         { mustExist: true, mustBeJson: true }
     );
-    const handlersDir = resolveAndValidatePath(
-        args['handlersDir'] || 'endpoints',
-        { mustExist: true, mustBeDir: true }
-    );
-    const allowedMethods = args['allowedMethods'] || null;
+    const mounts = resolveMounts(args['mounts'], args['handlersDir']);
+    const handlersDirs = mounts.map((mount) => mount.handlersDir);
+    const allowedMethods = args['allowedMethods'] || HTTP_METHODS;
+    const cors = normalizeCorsOptions(args['cors']);
+    const paramTypes = args['paramTypes'] || {};
+    const hotReload = args['hotReload'] || false;
+    const validateResponses = args['validateResponses'] || false;
+    const hooks = normalizeLifecycleHooks(args['hooks']);
+    const metrics = args['metrics'] ? new RouteMetrics(args['metrics'] === true ? {} : args['metrics']) : null;
+    const verifyArg = args['verify'] === undefined || args['verify'] === null ? (discover === true ? false : 'warn') : args['verify'];
+    const verify = verifyArg === false ? null : verifyArg;
+    if (verify !== null && !['warn', 'error', 'rebuild'].includes(verify)) {
+        throw new Error(`Expected verify to be one of 'warn', 'error', 'rebuild' or false, but received: ${verify}`);
+    }
+    if (verify !== null && discover === true) {
+        throw new Error(`The verify option can't be used with discover, as there is no routes file to verify.`);
+    }
+
+    // Scan the endpoints directory, rather than relying on a routes JSON file
+    if (discover === true) {
+        const discoverArgs = { handlersDir: args['handlersDir'], mounts: args['mounts'], pathBlacklist: args['pathBlacklist'], pathWhitelist: args['pathWhitelist'], strict: args['strict'], debug: args['debug'] };
+        const rediscover = () => discoverEndpointRoutes({ ...discoverArgs, fresh: true });
+        return discoverEndpointRoutes(discoverArgs).then((routeConfig) => {
+            return new EndpointRouting(handlersDirs, routeConfig, allowedMethods, { paramTypes, hotReload, validateResponses, cors, hooks, metrics, routesConfig, rediscover });
+        });
+    }
 
     // Ensure there is a routes JSON file to read endpoints from
     const routeConfig = readJSONFileSync(routesConfig);
+    const problems = verify === null ? [] : verifyRouteManifest(routeConfig);
+
+    if (verify === 'rebuild') {
+        const rebuilt = problems.length === 0 ? Promise.resolve(routeConfig) : rebuildRouteConfig(routesConfig, routeConfig, args);
+        return rebuilt.then((currentConfig) => {
+            return new EndpointRouting(handlersDirs, currentConfig, allowedMethods, { paramTypes, hotReload, validateResponses, cors, hooks, metrics, routesConfig });
+        });
+    }
+    if (problems.length > 0 && verify === 'warn') {
+        for (const problem of problems) console.warn(`Warning [${problem.code}]: ${problem.message}`);
+    }
+    if (problems.length > 0 && verify === 'error') {
+        const error = new Error(`The routes in ${routesConfig} are out of date, recompile them:\n${problems.map((problem) => `  [${problem.code}] ${problem.message}`).join('\n')}`);
+        error.problems = problems;
+        throw error;
+    }
 
     // Initialize a new endpoing routing class
-    return new EndpointRouting(handlersDir, routeConfig, allowedMethods);
+    return new EndpointRouting(handlersDirs, routeConfig, allowedMethods, { paramTypes, hotReload, validateResponses, cors, hooks, metrics, routesConfig });
+}
+
+/**
+ * Recompile an out of date routes JSON file, the same way it was originally compiled.
+ * 
+ * The build arguments are taken from the manifest of the routes, or from the `endpointRouting` arguments if the
+ * routes were compiled without one.
+ * 
+ * @param {String} routesConfig The absolute path to the routes JSON file.
+ * @param {Object} routeConfig The current contents of the routes JSON file.
+ * @param {Object} args The arguments passed to `endpointRouting`.
+ * @throws {Error} If the build fails, an exception will be thrown. The build report is attached under the `report` key.
+ * @returns {Promise<Object>} The contents of the recompiled routes JSON file.
+ */
+async function rebuildRouteConfig(routesConfig, routeConfig, args) {
+    const manifest = routeConfig['manifest'];
+    const build = manifest && manifest['build']
+        ? manifest['build']
+        : { mounts: args['mounts'], handlersDir: args['handlersDir'], pathBlacklist: args['pathBlacklist'], pathWhitelist: args['pathWhitelist'] };
+
+    const report = await buildEndpointRoutes({ ...build, configOutput: routesConfig });
+    if (!report.success || !report.written) {
+        throw Object.assign(new Error(`Unable to rebuild the routes in ${routesConfig}.`), { report });
+    }
+    return readJSONFileSync(routesConfig);
 }
 
 /**
@@ -53,6 +157,7 @@ function endpointRouting(args) {
  *     routeRegistry: [Object]
  * }
  * ```
+ * @throws {Error} If the routes were compiled with a newer routing algorithm than this version supports, an exception will be thrown.
  */
 function interpretRouteConfigContents(routeConfig) {
     let routeAlgVersion;
@@ -70,6 +175,13 @@ function interpretRouteConfigContents(routeConfig) {
         routeRegistry = routeConfig['routes'];
     }
 
+    // Routes compiled by a newer version may rely on behaviour this version doesn't have, while those compiled by an older
+    // version are still readable, and can be caught by verifying the routes file
+    const supportedVersion = Number(getNodePackageValue('route-alg-version'));
+    if (Number(routeAlgVersion) > supportedVersion) {
+        throw new Error(`The routes were compiled with version ${routeAlgVersion} of the routing algorithm, but this version of endpoint-routing only supports up to version ${supportedVersion}. Upgrade endpoint-routing, or recompile the routes.`);
+    }
+
     return { routeAlgVersion: routeAlgVersion, routeRegistry: routeRegistry };
 }
 
@@ -77,18 +189,69 @@ function interpretRouteConfigContents(routeConfig) {
  * A handler class to assist with preforming HTTP requests to specific endpoints with specific methods.
  */
 class EndpointRouting {
-    #handlersDir;
+    #handlersDirs;
     #routeAlgVersion;
     #routeRegistry;
+    #compiledRoutes;
     #allowedMethods;
+    #paramTypes;
+    #validateResponses;
+    #corsOptions;
+    #hooks;
+    #metrics;
+    #moduleVersions = new Map();
+    #moduleCache = new Map();
+    #corsCache = new WeakMap();
+    #watchers = [];
+    #upgradeAttachments = [];
 
-    constructor(handlersDir, routeConfig, allowedMethods) {
+    constructor(handlersDirs, routeConfig, allowedMethods, options = {}) {
         const { routeAlgVersion, routeRegistry } = interpretRouteConfigContents(routeConfig);
 
-        this.#handlersDir = handlersDir;
+        this.#handlersDirs = [].concat(handlersDirs);
         this.#routeAlgVersion = routeAlgVersion;
         this.#routeRegistry = routeRegistry;
-        this.#allowedMethods = allowedMethods;
+        this.#allowedMethods = allowedMethods || HTTP_METHODS;
+        this.#paramTypes = options['paramTypes'] || {};
+        this.#validateResponses = options['validateResponses'] || false;
+        this.#corsOptions = options['cors'] || null;
+        this.#hooks = options['hooks'] || {};
+        this.#metrics = options['metrics'] || null;
+        this.#compiledRoutes = compileRouteRegistry(routeRegistry, this.#paramTypes);
+
+        if (options['hotReload'] === true) this.#startHotReload(options['routesConfig'], options['rediscover'] || null);
+    }
+
+    /**
+     * Import every endpoint and middleware file ahead of time, so the first request to each endpoint doesn't have to.
+     * 
+     * @throws {Error} If any of the files fail to import, an exception will be thrown.
+     * @returns {Promise<EndpointRouting>} This instance, once every file has been imported.
+     */
+    async preload() {
+        const filePaths = new Set();
+        const collect = (compiledNode) => {
+            if (compiledNode.middlewarePath) filePaths.add(compiledNode.middlewarePath);
+            if (compiledNode.errorHandlerPath) filePaths.add(compiledNode.errorHandlerPath);
+            for (const method of [...compiledNode.methods, ...compiledNode.kinds]) filePaths.add(retrieveRouteNodePath(compiledNode.routeNode, method));
+            for (const child of compiledNode.staticChildren.values()) collect(child);
+            for (const { child } of compiledNode.dynamicChildren) collect(child);
+        };
+        collect(this.#compiledRoutes);
+
+        await Promise.all([...filePaths].map((filePath) => this.#importModule(filePath)));
+        return this;
+    }
+
+    /**
+     * Stop watching for changes, if `hotReload` was enabled, and detach from any servers passed to `attachUpgrade()`,
+     * closing their open WebSocket connections.
+     */
+    close() {
+        for (const watcher of this.#watchers) watcher.close();
+        this.#watchers = [];
+        for (const attachment of this.#upgradeAttachments) attachment.close();
+        this.#upgradeAttachments = [];
     }
 
     /**
@@ -111,6 +274,106 @@ class EndpointRouting {
         }
     }
 
+    /**
+     * Retrieve the metadata an endpoint exported for a specific method, without importing the endpoint file.
+     * 
+     * The metadata is compiled into the routes JSON from the `meta` export of each endpoint file. `HEAD` requests
+     * retrieve the metadata of the `GET` method, unless the endpoint defines `HEAD` itself. The metadata of a `WS` or
+     * `SSE` handler is retrieved by passing its route kind as the method.
+     * 
+     * @param {String} path The request path.
+     * @param {String} method The HTTP method (or route kind).
+     * @returns {Object|null} The metadata, an empty object if the endpoint has none, or null if the endpoint doesn't exist for this (or a permitted) method.
+     */
+    getRouteMeta(path, method) {
+        // Sanitize incoming data
+        method = formatHTTPMethod(method);
+
+        const compiledNode = matchRoute(this.#compiledRoutes, path);
+        if (!compiledNode || !(this.#isSupportedHTTPMethod(method) || ROUTE_KINDS.includes(method))) return null;
+        const routeMethod = method === 'HEAD' && !validRouteNode(compiledNode.routeNode, method) ? 'GET' : method;
+        if (!validRouteNode(compiledNode.routeNode, routeMethod)) return null;
+        return compiledNode.routeNode[routeMethod].meta || {};
+    }
+
+    /**
+     * List every endpoint and method, along with its metadata. Any `WS` and `SSE` handlers are listed with their
+     * route kind as the method.
+     * 
+     * @param {Object} [options] A list of parameters to configure the listing. The supported arguments are as follows:
+     * 
+     * * **filter** `Function` - A function called with each route, returning whether it should be included (ex: `(route) => route.meta.deprecated`). By default, every route is included.
+     * 
+     * @returns {Array} The routes permitted by this router, ordered by path, in this format:
+     * 
+     * ```
+     * [
+     *     {
+     *         path: [String], // The route pattern (ex: "/users/:userId(int)")
+     *         method: [String], // The HTTP method, or "WS" / "SSE"
+     *         filePath: [String], // The project directory path to the endpoint file
+     *         meta: [Object] // The compiled metadata, or an empty object if there is none
+     *     }
+     * ]
+     * ```
+     */
+    listRoutes(options = {}) {
+        const filter = typeof options['filter'] === 'function' ? options['filter'] : () => true;
+        const routes = [];
+        const collect = (compiledNode) => {
+            for (const method of [...compiledNode.methods, ...compiledNode.kinds]) {
+                if (!this.#isSupportedHTTPMethod(method) && !ROUTE_KINDS.includes(method)) continue;
+                const routeEntry = compiledNode.routeNode[method];
+                routes.push({ path: compiledNode.pattern, method: method, filePath: routeEntry.filePath, meta: routeEntry.meta || {} });
+            }
+            for (const child of compiledNode.staticChildren.values()) collect(child);
+            for (const { child } of compiledNode.dynamicChildren) collect(child);
+        };
+        collect(this.#compiledRoutes);
+
+        return routes
+            .filter((route) => filter(route))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Build the URL of a route from its pattern, so that URLs don't have to be pieced together by hand.
+     * 
+     * The pattern is written the same way as `listRoutes()` lists it (ex: "/users/:userId(int)"), though any constraints
+     * can be left out (ex: "/users/:userId") as long as no other route shares the resulting pattern.
+     * 
+     * @param {String} pattern The route pattern.
+     * @param {Object} [params = {}] The value of each URL parameter, keyed by name. Catch-all parameters take an array of values, one per path segment.
+     * @param {Object} [options] A list of parameters to configure the URL. The supported arguments are as follows:
+     * 
+     * * **query** `Object|URLSearchParams` - The query string values, keyed by name. Arrays repeat the name for each of their values, while `null` and `undefined` values are left out. By default, there is no query string.
+     * 
+     * @throws {Error} If no route (or more than one route) has the pattern, an exception will be thrown.
+     * @throws {Error} If a URL parameter is missing, unknown, empty or doesn't satisfy its constraint, an exception will be thrown.
+     * @returns {String} The encoded URL path, followed by the query string if there is one (ex: "/users/42?tab=settings").
+     */
+    urlFor(pattern, params = {}, options = {}) {
+        return createRouteURL(this.#compiledRoutes, pattern, params, options['query']);
+    }
+
+    /**
+     * Retrieve the number of requests, errors and their latencies recorded for each route pattern and method.
+     * 
+     * @param {Object} [options] A list of parameters to configure the metrics. The supported arguments are as follows:
+     * 
+     * * **format** `String` - Either `"json"` for an object, or `"prometheus"` for the Prometheus text exposition format. By default, this is set to `"json"`.
+     * 
+     * @throws {Error} If `metrics` wasn't enabled, or the `format` isn't supported, an exception will be thrown.
+     * @returns {Object|String} The recorded metrics, see `RouteMetrics.snapshot()` for the format of the object.
+     */
+    getMetrics(options = {}) {
+        if (this.#metrics === null) throw new Error(`Metrics are not being recorded, enable them with the 'metrics' option of endpointRouting().`);
+        const format = options['format'] || 'json';
+        if (format === 'json') return this.#metrics.snapshot();
+        if (format === 'prometheus') return this.#metrics.toPrometheus();
+        throw new Error(`Expected the metrics format to be 'json' or 'prometheus', but received: ${format}`);
+    }
+
     /**
      * Asynchronously simulates a request to a given path and HTTP method.
      *
@@ -118,56 +381,649 @@ class EndpointRouting {
      * @param {String} method The HTTP method.
      * @param {Object} req The request object.
      * @param {Object} res The response object.
-     * @throws {Error} If a request is made with an unsupported HTTP method, and exception will be thrown.
-     * @throws {Error} If the requested endpoint does not exist, an exception will be thrown.
-     * @throws {Error} If something goes wrong calling the endpoint's function, an exception will be thrown.
-     * @returns {Promise<any>} The result of the handler execution, or an error object if not found.
+     * @throws {NotFoundError} If the requested endpoint does not exist, a `NOT_FOUND` error will be thrown.
+     * @throws {MethodNotAllowedError} If the endpoint exists but not for the requested (or a permitted) method, a `NOT_ALLOWED` error will be thrown.
+     * @throws {ValidationError} If the request doesn't satisfy the endpoint's schema, a `VALIDATION_FAILED` error will be thrown.
+     * @throws {HandlerError} If something goes wrong calling the endpoint's function, a `HANDLER_ERROR` error will be thrown, with the original error attached under `cause`.
+     * @returns {Promise<any>} The result of the handler execution.
      */
     async simulatePathRequest(path, method, req, res) {
         // Sanitize incoming data
         method = formatHTTPMethod(method);
 
         // Check if we're even working with a usable endpoint
+        const handler = await this.#retrieveObservedHandler(path, method, req);
+        
+        // Preform a call to said endpoint's function
+        return await handler(req, res);
+    }
+
+    /**
+     * Create an Express/Connect compatible middleware function that matches, dispatches and responds to requests
+     * in a single step.
+     * 
+     * * Unknown paths are responded to with a `404`.
+     * * Known paths without a handler for the requested method are responded to with a `405`, alongside an `Allow` header.
+     * * `HEAD` requests to paths without a `HEAD` handler are answered by the `GET` handler, without a body.
+     * * `OPTIONS` requests to paths without an `OPTIONS` handler are responded to with a `204`, alongside an `Allow` header.
+     * * `GET` requests to paths with an `SSE` handler are responded to with an event stream, see `acceptsEventStream`.
+     * * With `cors` enabled, preflight requests are answered before any directory middleware, and the `Access-Control-*` headers are set on every other response.
+     * * Requests that don't satisfy the endpoint's schema are responded to with a `400`, listing each failing field.
+     * * Values returned by a handler are serialized as JSON, unless the handler has already sent a response itself. Returning nothing leaves the handler to respond, whether right away or later on.
+     * * Exceptions thrown by a handler are wrapped in a `HandlerError` and passed along to `next(err)`.
+     * * Any of the above errors raised within a directory with an `_error.js` file (or beneath one) are instead passed to its error handler, see `respondWithErrorHandler`.
+     * 
+     * @param {Object} [options] A list of parameters to configure the middleware. The supported arguments are as follows:
+     * 
+     * * **fallthrough** `Boolean` - Whether requests to unknown paths should be passed along to `next()` instead of being responded to with a `404`. By default, this is set to `false`.
+     * 
+     * @returns {Function} A `(req, res, next)` middleware function.
+     */
+    middleware(options = {}) {
+        const fallthrough = options['fallthrough'] || false;
+        return async (req, res, next) => {
+            await this.#handleRequest(req, res, next, fallthrough);
+        };
+    }
+
+    /**
+     * Preform an in-process request against the endpoints, without needing to start a server.
+     * 
+     * A fake request and a response that records everything written to it are created, and the request is handled
+     * identically to `middleware()`. Useful for unit testing endpoints. The returned Promise resolves once the response
+     * has been ended, so an endpoint function that never responds leaves it pending, as a real request would be.
+     * 
+     * @param {Object} [options] A list of parameters describing the request. The supported arguments are as follows:
+     * 
+     * * **method** `String` - The HTTP method. By default, this is set to `"GET"`.
+     * * **url** `String` - The request URL, optionally including a query string. By default, this is set to `"/"`.
+     * * **headers** `Object` - The request headers. By default, this is set to `{}`.
+     * * **query** `Object` - Query values to include alongside any in the `url`. By default, this is set to `{}`.
+     * * **body** `any` - The already parsed request body. By default, this is left `undefined`.
+     * 
+     * @throws {HandlerError} If something goes wrong calling the endpoint's function (and no `_error.js` file responds instead), a `HANDLER_ERROR` error will be thrown.
+     * @returns {Promise<Object>} The outcome of the request, in this format:
+     * 
+     * ```
+     * {
+     *     statusCode: [Number],
+     *     headers: [Object], // Keyed by lowercased header name
+     *     body: [any], // Parsed if sent as JSON, otherwise a string, or undefined if nothing was sent
+     *     result: [any], // The value returned by the endpoint function
+     *     params: [Object] // The dynamic URL parameters extracted from the request
+     * }
+     * ```
+     */
+    async inject(options = {}) {
+        const req = createInjectedRequest(options);
+        const res = createRecordingResponse({ discardBody: req.method === 'HEAD' });
+
+        let error = null;
+        const result = await this.#handleRequest(req, res, (err) => { error = err || null; }, false);
+        if (error) throw error;
+
+        // An endpoint function (or middleware) can still be responding, such as from a callback
+        if (!res.writableEnded) await new Promise((resolve) => res.once('finish', resolve));
+
+        return {
+            statusCode: res.statusCode,
+            headers: res.getHeaders(),
+            body: interpretRecordedBody(res),
+            result: result,
+            params: req.params
+        };
+    }
+
+    /**
+     * Match, dispatch and respond to a request, as described by `middleware()`.
+     * 
+     * @param {Object} req The request object.
+     * @param {Object} res The response object.
+     * @param {Function} next The function to pass unhandled requests and errors along to.
+     * @param {Boolean} fallthrough Whether requests to unknown paths should be passed along to `next()` instead of being responded to with a `404`.
+     * @returns {Promise<any>} The result of the handler execution, if it was called.
+     */
+    async #handleRequest(req, res, next, fallthrough) {
+        const path = extractRequestPath(req);
+        const method = formatHTTPMethod(req.method);
+
+        // Look up the endpoint a single time for this request
+        const routeTrail = [];
         let handler;
         try {
-            handler = await this.#retrieveHandlerFromURLPath(path, method);
+            handler = await this.#retrieveObservedHandler(path, method, req, routeTrail);
         } catch(e) {
-            throw { success: false, code: "NOT_FOUND", error: "Route not found.", status: 404 };
+            if (e instanceof NotFoundError && fallthrough === true) return next();
+            return await this.#handleRequestError(e, req, res, next, routeTrail);
         }
-        
-        // Preform a call to said endpoint's function
+
+        // Preform the request, and relay the result if the handler didn't already. A result that can't be serialized
+        // is treated the same as the handler throwing
         try {
-            return await handler(req, res);
+            const result = await handler(req, res);
+            return relayHandlerResult(res, method, result);
         } catch(e) {
-            throw e;
+            return await this.#handleRequestError(toRoutingError(e), req, res, next, routeTrail);
         }
     }
 
     /**
-     * Interpret a URL request path, and retrieve the associated handler function for that endpoint and method if one exists.
+     * Respond to an error raised while handling a request, using the `_error.js` file nearest to the matched endpoint
+     * if there is one. Requests to unknown paths only use the `_error.js` file at the root of the routes.
+     * 
+     * Without an error handler, `NOT_FOUND`, `NOT_ALLOWED` and `VALIDATION_FAILED` errors are responded to directly,
+     * while anything else is passed along to `next(err)`. Either way, `NOT_FOUND` and `NOT_ALLOWED` responses to
+     * cross-origin requests are given the CORS headers.
+     * 
+     * @param {any} error The thrown error.
+     * @param {Object} req The request object.
+     * @param {Object} res The response object.
+     * @param {Function} next The function to pass unhandled errors along to.
+     * @param {Array} routeTrail The compiled route nodes traversed while matching the request, which is empty if nothing matched.
+     * @returns {Promise<any>} The result of the error handler, if it was called.
+     */
+    async #handleRequestError(error, req, res, next, routeTrail) {
+        const trail = routeTrail.length > 0 ? routeTrail : [this.#compiledRoutes];
+
+        // Let cross-origin requests read why they were turned away, using the endpoint's settings if one was matched
+        if ((error instanceof NotFoundError || error instanceof MethodNotAllowedError) && isCrossOriginRequest(req)) {
+            const corsOptions = error instanceof MethodNotAllowedError
+                ? await this.#retrieveCorsOptions(trail[trail.length - 1], req)
+                : this.#corsOptions;
+            if (corsOptions) applyCorsHeaders(req, res, corsOptions);
+        }
+
+        const errorNode = [...trail].reverse().find((compiledNode) => compiledNode.errorHandlerPath);
+        if (errorNode) {
+            try {
+                const module = await this.#importModule(errorNode.errorHandlerPath);
+                return await respondWithErrorHandler(module.default, error, req, res);
+            } catch(e) {
+                return next(e);
+            }
+        }
+
+        if (error instanceof NotFoundError || (error instanceof ValidationError && error.status === 400)) {
+            return sendJSONResponse(res, error.status, error);
+        }
+        if (error instanceof MethodNotAllowedError) {
+            return sendJSONResponse(res, error.status, error, { 'Allow': error.allow.join(', ') });
+        }
+        return next(error);
+    }
+
+    /**
+     * Create a request listener that can be passed straight to `http.createServer()`, allowing the same endpoint
+     * functions to be used without a framework like Express.
+     * 
+     * Before a request is dispatched, `req.path`, `req.query` and `req.params` are filled in, the body is optionally
+     * parsed into `req.body`, and the response is given the `res.status()`, `res.set()`, `res.json()` and `res.send()` helpers.
+     * From then on, requests are handled identically to `middleware()`.
+     * 
+     * @param {Object} [options] A list of parameters to configure the request listener. The supported arguments are as follows:
+     * 
+     * * **parseBody** `Boolean` - Whether JSON and urlencoded request bodies should be parsed into `req.body`. By default, this is set to `true`.
+     * * **bodyLimit** `Number` - The maximum size of a request body in bytes. By default, this is set to `102400` (100kb).
+     * * **onError** `Function` - A `(err, req, res)` function called when an endpoint function throws. By default, a generic `500` response is sent.
+     * 
+     * The returned listener never rejects, as nothing awaits it. Anything that goes wrong (including within `onError`)
+     * is responded to with a `500`, or the connection is dropped if the response has already begun.
+     * 
+     * @returns {Function} A `(req, res)` request listener.
+     */
+    createRequestListener(options = {}) {
+        const onError = options['onError'] || null;
+        const middleware = this.middleware();
+
+        return async (req, res) => {
+            try {
+                decorateNodeResponse(res);
+
+                // Interpret the request, bailing out early if the body is unusable
+                try {
+                    await prepareNodeRequest(req, options);
+                } catch(e) {
+                    return respondToUnhandledError(res, e);
+                }
+
+                // Dispatch the request, treating anything that falls through as an error
+                await middleware(req, res, async (err) => {
+                    if (typeof onError !== 'function') return respondToUnhandledError(res, err);
+                    try {
+                        await onError(err, req, res);
+                    } catch(e) {
+                        console.error('The onError function of createRequestListener() failed:', e);
+                        respondToUnhandledError(res, e);
+                    }
+                });
+            } catch(e) {
+                respondToUnhandledError(res, e);
+            }
+        };
+    }
+
+    /**
+     * Accept WebSocket connections on a NodeJS `http` (or `https`) server, for endpoints that define a `WS` handler.
+     * 
+     * Upgrade requests are matched the same way as any other request, with `req.path`, `req.query` and `req.params`
+     * filled in, and then run through the directory middleware for the `WS` method. Middleware that responds (or
+     * returns without calling `next()`) turns the upgrade away with that response, given a `403` status unless it set
+     * an error status of its own, and anything it throws turns the upgrade away with the status of the error. Otherwise, the connection is accepted and the `WS` handler is called:
+     * 
+     * * **onOpen** - `(ws, req)`, once the connection has been accepted.
+     * * **onMessage** - `(ws, data, req)`, for each message, with `data` as a string, or a `Buffer` if it was sent as binary.
+     * * **onClose** - `(ws, code, reason, req)`, once the connection has closed.
+     * 
+     * The `ws` connection can `send(data)`, `ping()` and `close(code, reason)`, see `WebSocketConnection`. If a handler
+     * throws, the error is logged and the connection is closed with a `1011` status. Upgrade requests aren't passed
+     * through the lifecycle hooks, or recorded by the metrics.
+     * 
+     * @param {http.Server} server The server to accept connections on.
+     * @param {Object} [options] A list of parameters to configure the WebSocket connections. The supported arguments are as follows:
+     * 
+     * * **fallthrough** `Boolean` - Whether upgrade requests to paths without a `WS` handler should be left for other `upgrade` listeners instead of being turned away with a `404`. By default, this is set to `false`.
+     * * **maxPayload** `Number` - The maximum size of a message in bytes. Larger messages close the connection with a `1009` status. By default, this is set to `1048576` (1mb).
+     * 
+     * @returns {Object} The attachment, with a `close()` function to detach from the server and close every open connection with a `1001` status. `close()` also does this.
+     */
+    attachUpgrade(server, options = {}) {
+        const settings = {
+            fallthrough: options['fallthrough'] || false,
+            maxPayload: options['maxPayload'] || 1048576,
+            connections: new Set()
+        };
+
+        const listener = (req, socket, head) => {
+            this.#handleUpgrade(req, socket, head, settings).catch((e) => {
+                console.error(`Unable to upgrade the request to ${req.url}:`, e);
+                rejectUpgrade(socket, 500);
+            });
+        };
+        server.on('upgrade', listener);
+
+        const attachment = {
+            close: () => {
+                server.removeListener('upgrade', listener);
+                for (const connection of settings.connections) connection.close(1001, 'Server is shutting down.');
+            }
+        };
+        this.#upgradeAttachments.push(attachment);
+        return attachment;
+    }
+
+    /**
+     * Match an upgrade request to a `WS` handler, and accept or turn away the connection, as described by `attachUpgrade()`.
+     * 
+     * @param {http.IncomingMessage} req The upgrade request.
+     * @param {net.Socket} socket The connection the request arrived on.
+     * @param {Buffer} head Anything the client sent after the handshake.
+     * @param {Object} settings The `fallthrough` and `maxPayload` options, along with the `connections` that are open.
+     */
+    async #handleUpgrade(req, socket, head, settings) {
+        await prepareNodeRequest(req, { parseBody: false });
+
+        const routeTrail = [];
+        const compiledNode = matchRoute(this.#compiledRoutes, req.path, req, routeTrail);
+        if (!compiledNode || !compiledNode.kinds.includes('WS')) {
+            if (settings.fallthrough === true) return;
+            return rejectWithError(socket, new NotFoundError());
+        }
+        if (!isWebSocketUpgrade(req)) {
+            if (settings.fallthrough === true) return;
+            return rejectWithError(socket, new RoutingError('Expected a WebSocket upgrade.', { code: 'BAD_REQUEST', status: 400 }));
+        }
+        const problem = describeHandshakeProblem(req);
+        if (problem) {
+            return rejectWithError(socket, new RoutingError(problem.message, { code: 'BAD_REQUEST', status: problem.status }), problem.headers);
+        }
+
+        // Give the directory middleware a chance to turn the connection away, such as for authentication
+        const filePath = retrieveRouteNodePath(compiledNode.routeNode, 'WS');
+        const wsHandler = retrieveHandlerFromModule(await this.#importModule(filePath), 'WS', filePath);
+        const middlewareChain = await retrieveMiddlewareChain(routeTrail, 'WS', (filePath) => this.#importModule(filePath));
+        if (middlewareChain.length > 0) {
+            const res = createRecordingResponse();
+            const accepted = Symbol('accepted');
+            let result;
+            try {
+                result = await runMiddlewareChain(middlewareChain, () => accepted, req, res);
+            } catch(e) {
+                return rejectWithError(socket, toRoutingError(e));
+            }
+            if (result !== accepted || res.headersSent) {
+                const headers = res.getHeaders();
+                let body = res.getRecordedBody();
+                if (!res.headersSent && result !== undefined) {
+                    headers['content-type'] = 'application/json; charset=utf-8';
+                    body = JSON.stringify(result);
+                }
+                // Anything short of an error status would read as though the upgrade went ahead, so it's treated as forbidden
+                return rejectUpgrade(socket, res.statusCode >= 400 ? res.statusCode : 403, headers, body);
+            }
+        }
+
+        // Hand the connection over to the endpoint
+        const ws = acceptWebSocketUpgrade(req, socket, head, { maxPayload: settings.maxPayload });
+        settings.connections.add(ws);
+        const callHandler = (event, ...args) => {
+            const fail = (e) => {
+                console.error(`The WS ${event} handler for ${compiledNode.pattern} failed:`, e);
+                ws.close(1011, 'Internal server error.');
+            };
+            if (typeof wsHandler[event] !== 'function') return;
+            try {
+                const outcome = wsHandler[event](...args);
+                if (outcome && typeof outcome.catch === 'function') outcome.catch(fail);
+            } catch(e) {
+                fail(e);
+            }
+        };
+        ws.on('message', (data) => callHandler('onMessage', ws, data, req));
+        ws.on('close', (code, reason) => {
+            settings.connections.delete(ws);
+            callHandler('onClose', ws, code, reason, req);
+        });
+        callHandler('onOpen', ws, req);
+    }
+
+    /**
+     * Retrieve the handler function for a request, as `#retrieveHandlerFromURLPath()` does, while calling the lifecycle
+     * hooks and recording the metrics of the request along the way.
      * 
      * @param {String} path The request path.
      * @param {String} method The HTTP method.
-     * @throws {Error} If a request is made with an unsupported HTTP method, and exception will be thrown.
-     * @throws {Error} If the endpoint isn't defined, an exception will be thrown.
-     * @returns {Function} The handler function at the specific requested endpoint and method.
+     * @param {Object} [req] The request object, which will have any dynamic URL segments injected into `req.params`.
+     * @param {Array} [routeTrail = []] An array each traversed compiled route node, starting with the root, will be pushed to.
+     * @throws {RoutingError} If the endpoint isn't defined, or not for the requested (or a permitted) method, the same error as `#retrieveHandlerFromURLPath()` will be thrown.
+     * @returns {Function} The handler function, which calls the `beforeHandler` and `afterHandler` (or `onError`) hooks around the endpoint function.
      */
-    async #retrieveHandlerFromURLPath(path, method, req) {
-        // Check if the method is allowed by this router
-        if (!this.#isSupportedHTTPMethod(method)) {
-            throw { success: false, code: "NOT_ALLOWED", error: `Method '${method}' not supported.`, status: 405 };
+    async #retrieveObservedHandler(path, method, req, routeTrail = []) {
+        const _req = req || {};
+        const matchStartedAt = process.hrtime.bigint();
+        let handler;
+        try {
+            handler = await this.#retrieveHandlerFromURLPath(path, method, _req, routeTrail);
+        } catch(e) {
+            const route = describeMatchedRoute(routeTrail, method, _req);
+            const duration = elapsedSince(matchStartedAt);
+            if (this.#metrics) this.#metrics.record(route.pattern, method, duration, true);
+            callLifecycleHook(this.#hooks, 'onError', { ...route, duration, error: e, req: req });
+            throw e;
         }
 
+        const route = describeMatchedRoute(routeTrail, method, _req);
+        callLifecycleHook(this.#hooks, 'onMatch', { ...route, duration: elapsedSince(matchStartedAt), req: req });
+
+        return async (req, res) => {
+            callLifecycleHook(this.#hooks, 'beforeHandler', { ...route, req, res });
+            const startedAt = process.hrtime.bigint();
+            try {
+                const result = await handler(req, res);
+                const duration = elapsedSince(startedAt);
+                if (this.#metrics) this.#metrics.record(route.pattern, method, duration, false);
+                callLifecycleHook(this.#hooks, 'afterHandler', { ...route, duration, result, req, res });
+                return result;
+            } catch(e) {
+                const duration = elapsedSince(startedAt);
+                if (this.#metrics) this.#metrics.record(route.pattern, method, duration, true);
+                callLifecycleHook(this.#hooks, 'onError', { ...route, duration, error: e, req, res });
+                throw e;
+            }
+        };
+    }
+
+    /**
+     * Interpret a URL request path, and retrieve the associated handler function for that endpoint and method if one exists.
+     * 
+     * `HEAD` falls back to the `GET` handler, and `OPTIONS` is answered automatically, unless the endpoint defines them
+     * itself. With CORS enabled for the endpoint, preflight requests are answered automatically too. `GET` requests to
+     * an endpoint with an `SSE` handler are answered by it when they ask for an event stream.
+     * 
+     * @param {String} path The request path.
+     * @param {String} method The HTTP method.
+     * @param {Object} [req] The request object, which will have any dynamic URL segments injected into `req.params`.
+     * @param {Array} [routeTrail = []] An array each traversed compiled route node, starting with the root, will be pushed to.
+     * @throws {NotFoundError} If the endpoint isn't defined, a `NOT_FOUND` error will be thrown.
+     * @throws {MethodNotAllowedError} If the endpoint is defined, but not for the requested (or a permitted) method, a `NOT_ALLOWED` error will be thrown.
+     * The methods that are available at this endpoint are listed under the `allow` key.
+     * @returns {Function} The handler function at the specific requested endpoint and method. Anything it throws is a `RoutingError`.
+     */
+    async #retrieveHandlerFromURLPath(path, method, req, routeTrail = []) {
         // Interpret the path for a matching endpoint directory
         const _req = req || {};
-        const routeNode = matchRoute(this.#routeRegistry, path, _req);
-        if (!validRouteNode(routeNode, method)) throw new Error();
-    
-        // Retrieve the attached endpoint function
-        const filePath = retrieveRouteNodePath(routeNode, method);
-        const module = await retrieveModuleFromFile(filePath);
-        const handler = retrieveHandlerFromModule(module, method);
-        return handler;
+        const compiledNode = matchRoute(this.#compiledRoutes, path, _req, routeTrail);
+        const routeNode = compiledNode ? compiledNode.routeNode : null;
+        const definedMethods = compiledNode ? compiledNode.methods : [];
+        const definedKinds = compiledNode ? compiledNode.kinds : [];
+        if (definedMethods.length === 0 && !definedKinds.includes('SSE')) {
+            throw new NotFoundError();
+        }
+        const allow = this.#retrieveAvailableMethods(definedMethods);
+        if (definedKinds.includes('SSE') && !allow.includes('GET') && this.#isSupportedHTTPMethod('GET')) allow.unshift('GET');
+        const corsOptions = await this.#retrieveCorsOptions(compiledNode, _req);
+
+        // Answer preflight requests on the endpoint's behalf, ahead of any middleware that might turn them away
+        if (corsOptions && method === 'OPTIONS' && isPreflightRequest(_req)) {
+            return (req, res) => {
+                if (!res) return;
+                applyPreflightHeaders(req, res, corsOptions, allow);
+                respondWithoutContent(res);
+            };
+        }
+
+        // Check if the method is allowed by this router, and available at this endpoint
+        if (!allow.includes(method)) {
+            throw new MethodNotAllowedError(method, allow);
+        }
+
+        let handler;
+        if (method === 'GET' && definedKinds.includes('SSE') && acceptsEventStream(_req, definedMethods.includes('GET'))) {
+            // Hand the endpoint an event stream, in place of a response to return a value through
+            const filePath = retrieveRouteNodePath(routeNode, 'SSE');
+            const module = await this.#importModule(filePath);
+            const streamHandler = retrieveHandlerFromModule(module, 'SSE', filePath);
+            const endpointHandler = applyValidationSchema(
+                async (req, res) => { await streamHandler(req, createEventStream(res)); },
+                retrieveSchemaFromModule(module, 'SSE'),
+                false
+            );
+            const middlewareChain = await retrieveMiddlewareChain(routeTrail, method, (filePath) => this.#importModule(filePath));
+            handler = middlewareChain.length === 0
+                ? endpointHandler
+                : (req, res) => runMiddlewareChain(middlewareChain, endpointHandler, req, res);
+        } else if (method === 'OPTIONS' && !validRouteNode(routeNode, method)) {
+            // List what is available, in place of an endpoint function
+            handler = (req, res) => {
+                if (!res) return;
+                res.setHeader('Allow', allow.join(', '));
+                respondWithoutContent(res);
+            };
+        } else {
+            // Retrieve the attached endpoint function, wrapped with any directory middleware leading up to it
+            const handlerMethod = method === 'HEAD' && !validRouteNode(routeNode, method) ? 'GET' : method;
+            const filePath = retrieveRouteNodePath(routeNode, handlerMethod);
+            const module = await this.#importModule(filePath);
+            const endpointHandler = applyValidationSchema(
+                retrieveHandlerFromModule(module, handlerMethod, filePath),
+                retrieveSchemaFromModule(module, handlerMethod),
+                this.#validateResponses
+            );
+            const middlewareChain = await retrieveMiddlewareChain(routeTrail, handlerMethod, (filePath) => this.#importModule(filePath));
+            handler = middlewareChain.length === 0
+                ? endpointHandler
+                : (req, res) => runMiddlewareChain(middlewareChain, endpointHandler, req, res);
+        }
+
+        // Set the cross-origin headers before anything else has a chance to respond
+        const routedHandler = !corsOptions ? handler : (req, res) => {
+            if (res) applyCorsHeaders(req, res, corsOptions);
+            return handler(req, res);
+        };
+        return async (req, res) => {
+            try {
+                return await routedHandler(req, res);
+            } catch(e) {
+                throw toRoutingError(e);
+            }
+        };
+    }
+
+    /**
+     * List the methods that are available at an endpoint, including those that are answered automatically.
+     * 
+     * @param {Array} definedMethods The HTTP methods the endpoint defines handlers for.
+     * @returns {Array} The HTTP methods permitted by this router that can be requested from the endpoint.
+     */
+    #retrieveAvailableMethods(definedMethods) {
+        const methods = [...definedMethods];
+        if (methods.includes('GET') && !methods.includes('HEAD')) methods.push('HEAD');
+        if (!methods.includes('OPTIONS')) methods.push('OPTIONS');
+        return methods.filter((method) => this.#isSupportedHTTPMethod(method));
+    }
+
+    /**
+     * Retrieve the CORS settings that apply to an endpoint, taking into account any override exported by its files.
+     * 
+     * When an endpoint is split into per-method files, the first of them to export a `cors` override is used. Even
+     * with CORS disabled for the router, an endpoint can enable it for itself, so its files are still looked through.
+     * The outcome is kept for each endpoint until the directory of one of its files changes.
+     * 
+     * @param {Object} compiledNode The compiled route node of the endpoint.
+     * @param {Object} req The request object. Same-origin requests never need the CORS settings.
+     * @throws {Error} If the endpoint file exports a `cors` override that is neither a boolean nor an object, an exception will be thrown.
+     * @returns {Promise<Object|null>} The interpreted CORS settings, or null if CORS is disabled for this endpoint (or doesn't apply to the request).
+     */
+    async #retrieveCorsOptions(compiledNode, req) {
+        if (!isCrossOriginRequest(req)) return null;
+
+        const definedMethods = [...compiledNode.methods, ...compiledNode.kinds];
+        const filePaths = [...new Set(definedMethods.map((method) => retrieveRouteNodePath(compiledNode.routeNode, method)))];
+        const dirVersions = filePaths.map((filePath) => this.#moduleVersions.get(path.dirname(path.resolve(filePath))) || 0).join(',');
+        const cached = this.#corsCache.get(compiledNode);
+        if (cached && cached.dirVersions === dirVersions) return cached.corsOptions;
+
+        let corsOptions = this.#corsOptions;
+        for (const filePath of filePaths) {
+            const module = await this.#importModule(filePath);
+            if (module['cors'] !== undefined) {
+                corsOptions = resolveCorsOptions(this.#corsOptions, module['cors']);
+                break;
+            }
+        }
+        this.#corsCache.set(compiledNode, { dirVersions, corsOptions });
+        return corsOptions;
+    }
+
+    /**
+     * Import an endpoint or middleware file, reusing the previous import unless the file itself has changed since.
+     * 
+     * NodeJS never releases an imported module, so every re-import stays in memory for the life of the process. To
+     * keep that to a minimum, a file within a changed directory is only re-imported if its size or modification time
+     * differs from when it was last imported.
+     * 
+     * @param {String} filePath The project directory path to the file.
+     * @returns {Promise<Object>} The imported module.
+     */
+    async #importModule(filePath) {
+        const dirVersion = this.#moduleVersions.get(path.dirname(path.resolve(filePath))) || 0;
+        const cached = this.#moduleCache.get(filePath);
+        if (cached && cached.dirVersion === dirVersion) return cached.module;
+
+        const signature = readFileSignature(filePath);
+        if (cached && cached.signature === signature) {
+            cached.dirVersion = dirVersion;
+            return cached.module;
+        }
+
+        const importVersion = cached ? cached.importVersion + 1 : 0;
+        const module = await retrieveModuleFromFile(filePath, importVersion);
+        this.#moduleCache.set(filePath, { module, dirVersion, signature, importVersion });
+        return module;
+    }
+
+    /**
+     * Begin watching the compiled routes and endpoint files for changes.
+     * 
+     * When the compiled routes change, the route registry is swapped out in its entirety. Routes that were discovered
+     * in memory are instead discovered again whenever an endpoint directory changes, so added and removed endpoints are
+     * picked up too. When the contents of an endpoint directory change, its files will be freshly imported by the next
+     * request that needs them. Requests already in progress continue using whatever they had already retrieved.
+     * 
+     * @param {String|null} routesConfig The path to the compiled routes JSON file, or null if the routes were discovered in memory.
+     * @param {Function|null} rediscover A function resolving to freshly discovered routes, or null if the routes weren't discovered in memory.
+     */
+    #startHotReload(routesConfig, rediscover) {
+        // Reload the route registry whenever the routes file is rewritten
+        if (routesConfig) {
+            const routesConfigPath = path.resolve(routesConfig);
+            let timer = null;
+            const configWatcher = fs.watch(path.dirname(routesConfigPath), { persistent: false }, (eventType, filename) => {
+                if (filename !== path.basename(routesConfigPath)) return;
+                clearTimeout(timer);
+                timer = setTimeout(() => this.#reloadRouteConfig(routesConfigPath), 100);
+                timer.unref();
+            });
+            this.#watchers.push({ close: () => { clearTimeout(timer); configWatcher.close(); } });
+        }
+
+        // Freshly import any endpoint files whose directory changes, and rediscover the routes if that's where they came from
+        let rediscoverTimer = null;
+        for (const handlersDir of this.#handlersDirs) {
+            this.#watchers.push(watchDirectoryTree(path.resolve(handlersDir), (changedDirs) => {
+                for (const dir of changedDirs) {
+                    this.#moduleVersions.set(dir, (this.#moduleVersions.get(dir) || 0) + 1);
+                }
+                if (rediscover) {
+                    clearTimeout(rediscoverTimer);
+                    rediscoverTimer = setTimeout(() => this.#rediscoverRoutes(rediscover), 100);
+                    rediscoverTimer.unref();
+                }
+            }, { persistent: false }));
+        }
+        if (rediscover) this.#watchers.push({ close: () => clearTimeout(rediscoverTimer) });
+    }
+
+    /**
+     * Re-read the compiled routes JSON file, and swap it in as the route registry. If the file can't be used, the
+     * current route registry is kept.
+     * 
+     * @param {String} routesConfigPath The absolute path to the compiled routes JSON file.
+     */
+    #reloadRouteConfig(routesConfigPath) {
+        try {
+            this.#swapRouteConfig(readJSONFileSync(routesConfigPath));
+        } catch (e) {
+            console.error(`Unable to reload routes from ${routesConfigPath}, continuing with the previous routes:`, e);
+        }
+    }
+
+    /**
+     * Discover the routes in memory again, and swap them in as the route registry. If discovery fails, the current
+     * route registry is kept.
+     * 
+     * @param {Function} rediscover A function resolving to freshly discovered routes.
+     * @returns {Promise<void>} Resolves once the routes have been swapped in, or discovery has failed.
+     */
+    async #rediscoverRoutes(rediscover) {
+        try {
+            this.#swapRouteConfig(await rediscover());
+        } catch (e) {
+            console.error(`Unable to rediscover routes, continuing with the previous routes:`, e);
+        }
+    }
+
+    /**
+     * Replace the route registry in its entirety, leaving the current one in place if the new one can't be compiled.
+     * 
+     * @param {Object} routeConfig The contents of a routes JSON file.
+     * @throws {Error} If the routes can't be used, an exception will be thrown.
+     */
+    #swapRouteConfig(routeConfig) {
+        const { routeAlgVersion, routeRegistry } = interpretRouteConfigContents(routeConfig);
+        const compiledRoutes = compileRouteRegistry(routeRegistry, this.#paramTypes);
+        this.#routeAlgVersion = routeAlgVersion;
+        this.#routeRegistry = routeRegistry;
+        this.#compiledRoutes = compiledRoutes;
     }
 
     /*
@@ -187,77 +1043,495 @@ class EndpointRouting {
  * Attempt to retrieve the functions defined in the "export default" signature of a specific file.
  * 
  * @param {String} filePath The local directory where the page file is hosted.
+ * @param {Number} [version = 0] The revision of the file to import. NodeJS caches imports by URL, so any revision
+ * other than `0` is imported under its own URL to retrieve a fresh copy.
  * @returns {Object} The "export default" signature of a specific file.
  */
-async function retrieveModuleFromFile(filePath) {
+async function retrieveModuleFromFile(filePath, version = 0) {
     // Resolve to absolute path from project root
     const absolutePath = path.resolve(filePath);
     const fileURL = pathToFileURL(absolutePath).href;
-    const module = await import(fileURL);
-    return module;
+    const module = await import(version > 0 ? `${fileURL}?v=${version}` : fileURL);
+    return normalizeEndpointModule(module, filePath);
 }
 
 /**
- * Attempt to retrieve a specific method function defined in the "export default" signature of a specific file.
+ * Describe the current revision of a file by its size and modification time, so changes can be noticed without
+ * reading it.
+ * 
+ * @param {String} filePath The path to the file.
+ * @returns {String|null} The revision of the file, or null if it can't be read.
+ */
+function readFileSignature(filePath) {
+    try {
+        const stats = fs.statSync(filePath);
+        return `${stats.size}:${stats.mtimeMs}`;
+    } catch(e) {
+        return null;
+    }
+}
+
+/**
+ * Attempt to retrieve a specific method function defined by a specific file, whether within its "export default"
+ * signature or as a named export. See `collectModuleHandlers`.
+ * 
+ * @param {Object} module The imported endpoint file.
+ * @param {String} method The HTTP method of the request, or the route kind.
+ * @param {String} filePath The project directory path to the endpoint file, used to tell index files from per-method files.
+ * @throws {NotFoundError} If the requested method function is not defined, a `NOT_FOUND` error will be thrown.
+ * @returns {Function|Object} The callable endpoint function for the requested method, or the object of event functions for `WS`.
+ */
+function retrieveHandlerFromModule(module, method, filePath) {
+    const handler = collectModuleHandlers(module, path.basename(filePath)).handlers[method];
+    if (!handler) {
+        console.error(`Handler for ${method} in ${filePath} is not ${method === 'WS' ? 'an object of WebSocket event functions' : 'a function'}.`);
+        throw new NotFoundError();
+    }
+    return handler;
+}
+
+/**
+ * Attempt to retrieve the validation schema for a specific method, defined in the "schema" export of a specific file.
+ * 
+ * @param {Object} module The imported endpoint file.
+ * @param {String} method The HTTP method of the request.
+ * @returns {Object|null} The JSON Schemas for the `params`, `query`, `body` and `response` of this method, or null if there are none.
+ */
+function retrieveSchemaFromModule(module, method) {
+    const schema = module['schema'];
+    if (!schema || typeof schema !== 'object' || !schema[method] || typeof schema[method] !== 'object') return null;
+    return schema[method];
+}
+
+/**
+ * Wrap an endpoint function so that the request is validated before it is called, and optionally so that the value it
+ * returns is validated afterwards.
+ * 
+ * The `params` and `query` values arrive as strings, so they are converted to the numbers and booleans their schema
+ * expects, and written back onto the request. The `body` is validated as-is.
+ * 
+ * @param {Function} handler The endpoint function.
+ * @param {Object|null} schema The JSON Schemas for the `params`, `query`, `body` and `response` of this method.
+ * @param {Boolean} validateResponses Whether the value returned by the endpoint function should be validated.
+ * @returns {Function} The endpoint function, or the endpoint function wrapped with validation.
+ * @throws {ValidationError} If the request doesn't satisfy the schema, a `VALIDATION_FAILED` error will be thrown by the returned function.
+ * The failing fields are listed under the `errors` key, as `{ location, path, message }`.
+ * @throws {ValidationError} If the returned value doesn't satisfy the `response` schema, a `RESPONSE_VALIDATION_FAILED` error will be thrown by the returned function.
+ */
+function applyValidationSchema(handler, schema, validateResponses) {
+    if (!schema) return handler;
+    const checkResponse = validateResponses === true && schema['response'] !== undefined;
+    if (['params', 'query', 'body'].every((location) => schema[location] === undefined) && !checkResponse) return handler;
+
+    return async (req, res) => {
+        const errors = [];
+        for (const location of ['params', 'query', 'body']) {
+            if (schema[location] === undefined) continue;
+            const coerce = location !== 'body';
+            const value = req[location] === undefined && coerce ? {} : req[location];
+            const outcome = validateSchema(value, schema[location], { coerce });
+            errors.push(...outcome.errors.map((error) => ({ location: location, ...error })));
+            if (outcome.valid && coerce) assignRequestValue(req, location, outcome.value);
+        }
+        if (errors.length > 0) {
+            throw new ValidationError("Request validation failed.", errors);
+        }
+
+        const result = await handler(req, res);
+        if (checkResponse && result !== undefined) {
+            const outcome = validateSchema(result, schema['response']);
+            if (!outcome.valid) {
+                const errors = outcome.errors.map((error) => ({ location: 'response', ...error }));
+                throw new ValidationError("Response validation failed.", errors, { code: "RESPONSE_VALIDATION_FAILED", status: 500 });
+            }
+        }
+        return result;
+    };
+}
+
+/**
+ * Retrieve the middleware functions that apply to a request, in order from the root of the routes down to the matched endpoint.
+ * 
+ * @param {Array} routeTrail The compiled route nodes traversed while matching the request, starting with the root.
+ * @param {String} method The HTTP method of the request.
+ * @param {Function} [importModule = retrieveModuleFromFile] The function used to import each middleware file.
+ * @returns {Promise<Array>} The applicable middleware functions.
+ */
+async function retrieveMiddlewareChain(routeTrail, method, importModule = retrieveModuleFromFile) {
+    const middlewareChain = [];
+    for (const compiledNode of routeTrail) {
+        if (!compiledNode.middlewarePath) continue;
+        const module = await importModule(compiledNode.middlewarePath);
+        const middleware = retrieveMiddlewareFromModule(module, method);
+        if (middleware) middlewareChain.push(middleware);
+    }
+    return middlewareChain;
+}
+
+/**
+ * Attempt to retrieve the middleware function for a specific method defined in the "export default" signature of a
+ * middleware file.
+ * 
+ * A middleware file can either export a single function, which applies to all methods, or an object of functions
+ * keyed by method (with `ALL` applying to all methods), similar to that of an endpoint file.
  * 
  * @param {Object} module The "export default" signature of a specific file.
  * @param {String} method The HTTP method of the request.
- * @throws {Error} If the requested method function is not defined, an exception will be thrown.
- * @returns {Function} The callable endpoint function for the requested method.
+ * @returns {Function|null} The middleware function for the requested method, or null if this middleware doesn't apply to it.
  */
-function retrieveHandlerFromModule(module, method) {
-    const handler = module.default[method];
-    if (typeof handler !== 'function') {
-        console.error(`Handler for ${method} ${requestPath} is not a function.`);
-        throw { success: false, code: "NOT_FOUND", error: "Route not found.", status: 404 };
+function retrieveMiddlewareFromModule(module, method) {
+    const middleware = module.default;
+    if (typeof middleware === 'function') return middleware;
+    if (!middleware || typeof middleware !== 'object') return null;
+    if (typeof middleware[method] === 'function') return middleware[method];
+    if (typeof middleware['ALL'] === 'function') return middleware['ALL'];
+    return null;
+}
+
+/**
+ * Run a chain of middleware functions, followed by the endpoint function itself.
+ * 
+ * Each middleware function is called with `(req, res, next)`. Calling `next()` continues on to the next function in
+ * the chain, and resolves with its result. Calling `next(err)` or throwing will reject with that error. Returning a
+ * value, or responding itself, without calling `next()` will short-circuit the chain, with the returned value being used
+ * as the result of the request. Otherwise, the chain waits for `next()` to be called, as Express-style middleware may
+ * only do so later on (such as from a callback).
+ * 
+ * @param {Array} middlewareChain The middleware functions to run, in order.
+ * @param {Function} handler The endpoint function to call at the end of the chain.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @returns {Promise<any>} The result of the request.
+ */
+async function runMiddlewareChain(middlewareChain, handler, req, res) {
+    const dispatch = async (index) => {
+        if (index >= middlewareChain.length) return await handler(req, res);
+
+        let nextResult = null;
+        let onNext = null;
+        const next = (err) => {
+            if (nextResult) return Promise.reject(new Error('next() was called multiple times by the same middleware.'));
+            nextResult = err ? Promise.reject(err) : dispatch(index + 1);
+            if (onNext) onNext(nextResult);
+            return nextResult;
+        };
+
+        const result = await middlewareChain[index](req, res, next);
+        if (result !== undefined) return result;
+        if (nextResult) return await nextResult;
+        if (res && (res.headersSent || res.writableEnded)) return result;
+
+        // Nothing has happened yet, so wait for either next() to be called or the response to be sent
+        return await new Promise((resolve, reject) => {
+            onNext = (pending) => pending.then(resolve, reject);
+            if (res && typeof res.once === 'function') {
+                res.once('finish', () => resolve(undefined));
+                res.once('close', () => resolve(undefined));
+            }
+        });
+    };
+    return await dispatch(0);
+}
+
+/**
+ * Check that the lifecycle hooks provided to `endpointRouting()` can be used.
+ * 
+ * @param {Object|undefined} hooks The functions to call, keyed by lifecycle event.
+ * @throws {Error} If the hooks aren't an object, or contain anything other than functions for known lifecycle events, an exception will be thrown.
+ * @returns {Object} The lifecycle hooks.
+ */
+function normalizeLifecycleHooks(hooks) {
+    if (hooks === undefined || hooks === null) return {};
+    if (typeof hooks !== 'object') throw new Error(`Expected the hooks to be an object, but received: ${typeof hooks}`);
+    for (const [name, hook] of Object.entries(hooks)) {
+        if (!LIFECYCLE_HOOKS.includes(name)) throw new Error(`Unknown lifecycle hook '${name}', expected one of: ${LIFECYCLE_HOOKS.join(', ')}`);
+        if (typeof hook !== 'function') throw new Error(`Expected the '${name}' hook to be a function, but received: ${typeof hook}`);
     }
-    return handler;
+    return { ...hooks };
 }
 
 /**
- * Attempt to match an incoming request URL with it's associated endpoint and endpoint function(s).
+ * Call a lifecycle hook, if one was provided, with a description of the request being routed.
+ * 
+ * Every hook is called with the matched route `pattern` (ex: "/users/:userId(int)", or null if nothing matched), the
+ * `method`, the `params` extracted from the URL, the `filePath` of the endpoint file (or null if the method is answered
+ * automatically), and the `req`. Alongside those:
+ * 
+ * * **onMatch** - Once a request has been matched to an endpoint, with the `duration` the match took.
+ * * **beforeHandler** - Just before the endpoint function (and its directory middleware) is called, with the `res`.
+ * * **afterHandler** - Once the endpoint function has returned, with the `duration` it took, its `result` and the `res`.
+ * * **onError** - When a request can't be matched, or the endpoint function throws, with the `duration` up until then and the `error`.
+ * 
+ * Durations are measured in milliseconds, with sub-millisecond precision. Hooks are only observers, so they aren't
+ * awaited, and anything they throw is logged rather than affecting the request.
+ * 
+ * @param {Object} hooks The lifecycle hooks, keyed by lifecycle event.
+ * @param {String} name The lifecycle event.
+ * @param {Object} event The description of the request.
+ */
+function callLifecycleHook(hooks, name, event) {
+    const hook = hooks[name];
+    if (!hook) return;
+    const logFailure = (e) => console.error(`The ${name} hook failed for ${event.method} ${event.pattern || '(unmatched)'}:`, e);
+    try {
+        const outcome = hook(event);
+        if (outcome && typeof outcome.catch === 'function') outcome.catch(logFailure);
+    } catch(e) {
+        logFailure(e);
+    }
+}
+
+/**
+ * Describe the route a request was matched to, for the lifecycle hooks and metrics.
+ * 
+ * @param {Array} routeTrail The compiled route nodes traversed while matching the request, which is empty if nothing matched.
+ * @param {String} method The HTTP method of the request.
+ * @param {Object} req The request object, with any dynamic URL segments injected into `req.params`.
+ * @returns {Object} The matched route, in the format `{ pattern, method, params, filePath }`.
+ */
+function describeMatchedRoute(routeTrail, method, req) {
+    const compiledNode = routeTrail.length > 0 ? routeTrail[routeTrail.length - 1] : null;
+    if (!compiledNode) return { pattern: null, method: method, params: {}, filePath: null };
+
+    const routeNode = compiledNode.routeNode;
+    const handlerMethod = method === 'HEAD' && !validRouteNode(routeNode, method) ? 'GET' : method;
+    const fileMethod = handlerMethod === 'GET' && !validRouteNode(routeNode, handlerMethod) ? 'SSE' : handlerMethod;
+    return {
+        pattern: compiledNode.pattern,
+        method: method,
+        params: req.params || {},
+        filePath: validRouteNode(routeNode, fileMethod) ? retrieveRouteNodePath(routeNode, fileMethod) : null
+    };
+}
+
+/**
+ * Measure the time since a high-resolution timestamp.
+ * 
+ * @param {BigInt} startedAt The timestamp, as returned by `process.hrtime.bigint()`.
+ * @returns {Number} The elapsed time in milliseconds.
+ */
+const elapsedSince = (startedAt) => Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+/**
+ * Respond to an error raised while handling a request with a directory error handler, the default export of an
+ * `_error.js` file.
+ * 
+ * The error handler is called with `(err, req, res)`, once the response status has been set to that of the error. It
+ * can respond itself, or return a value to be sent as JSON, just like an endpoint function. Returning nothing without
+ * responding sends the error as it would be serialized by default. Anything it throws is left to the caller.
+ * 
+ * @param {Function} errorHandler The error handler.
+ * @param {RoutingError} error The error raised while handling the request.
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @throws {RoutingError} If the error handler isn't a function, the original error will be thrown.
+ * @returns {Promise<any>} The result of the error handler.
+ */
+async function respondWithErrorHandler(errorHandler, error, req, res) {
+    if (typeof errorHandler !== 'function') throw error;
+
+    res.statusCode = (error && error.status) || 500;
+    if (error instanceof MethodNotAllowedError) res.setHeader('Allow', error.allow.join(', '));
+
+    // Anything thrown from here on, including a result that can't be serialized, is left to the caller
+    const result = await errorHandler(error, req, res);
+    if (result === undefined && !(res.headersSent || res.writableEnded)) {
+        sendJSONResponse(res, res.statusCode, error);
+        return result;
+    }
+    return relayHandlerResult(res, formatHTTPMethod(req.method), result);
+}
+
+/**
+ * Turn away an upgrade request with an error, serialized the same way as it would be in response to any other request.
+ * 
+ * @param {net.Socket} socket The connection the request arrived on.
+ * @param {RoutingError} error The reason the upgrade was turned away.
+ * @param {Object} [headers] Any additional headers to include with the response.
+ */
+function rejectWithError(socket, error, headers = {}) {
+    rejectUpgrade(socket, error.status, { ...headers, 'Content-Type': 'application/json; charset=utf-8' }, JSON.stringify(error));
+}
+
+/**
+ * Compile the route registry into a structure optimized for matching requests against.
+ * 
+ * Each route node is paired with what would otherwise need to be worked out on every request: the methods it defines,
+ * its middleware, a lookup table of its static segments, and its dynamic segments parsed and sorted into the order they
+ * are tried in. The parameter type of every constrained dynamic segment is also resolved ahead of time, so any unknown
+ * types are caught immediately rather than when a request happens to reach them.
  * 
- * If a segment is dynamic (ex: "/:customerID"), its value is extracted and added to `req.params`.
- *
  * @param {Object} routeRegistry The compiled routes JSON.
- * @param {String} path The request path.
- * @param {Object} [req = {}] The request object.
- * @returns {Object|null} Returns the matching route object (which should contain method keys) or null if no match.
+ * @param {Object} paramTypes Any custom parameter types, keyed by name.
+ * @throws {Error} If a dynamic segment uses an unknown parameter type or invalid regex, an exception will be thrown.
+ * @returns {Object} The compiled root route node, in this format:
+ * 
+ * ```
+ * {
+ *     routeNode: [Object], // The route node from the compiled routes JSON
+ *     pattern: [String], // The route pattern (ex: "/users/:userId")
+ *     methods: [Array], // The HTTP methods defined at this route node
+ *     kinds: [Array], // The realtime route kinds defined at this route node, "WS" and/or "SSE"
+ *     middlewarePath: [String|null], // The project directory path to the directory middleware file
+ *     errorHandlerPath: [String|null], // The project directory path to the directory error handler file
+ *     staticChildren: [Map], // The compiled child route nodes, keyed by their static segment
+ *     dynamicChildren: [Array] // { name, paramType, catchAll, optional, child }, in the order they should be tried
+ * }
+ * ```
  */
-const matchRoute = (routeRegistry, path, req = {}) => {
-    const segments = path.split('/').filter(Boolean);
-    let currentLevel = routeRegistry;
-    const params = {};
+function compileRouteRegistry(routeRegistry, paramTypes) {
+    const compileRouteNode = (routeNode, routePath) => {
+        const compiledNode = {
+            routeNode: routeNode,
+            pattern: routePath || '/',
+            methods: retrieveRouteNodeMethods(routeNode),
+            kinds: ROUTE_KINDS.filter((kind) => validRouteNode(routeNode, kind)),
+            middlewarePath: (routeNode['_middleware'] && routeNode['_middleware'].filePath) || null,
+            errorHandlerPath: (routeNode['_error'] && routeNode['_error'].filePath) || null,
+            staticChildren: new Map(),
+            dynamicChildren: []
+        };
 
-    for (const segment of segments) {
-        const exactKey = '/' + segment;
-        if (currentLevel.hasOwnProperty(exactKey)) {
-            currentLevel = currentLevel[exactKey];
-        } else {
-            let foundDynamic = false;
-            for (const key in currentLevel) {
-                if (key.startsWith('/:')) {
-                    const paramName = key.slice(2);
-                    params[paramName] = segment;
-                    currentLevel = currentLevel[key];
-                    foundDynamic = true;
-                    break;
-                }
+        for (const key of Object.keys(routeNode).filter((key) => key.startsWith('/'))) {
+            const child = compileRouteNode(routeNode[key], routePath + key);
+            if (!key.startsWith('/:')) {
+                compiledNode.staticChildren.set(key.slice(1), child);
+                continue;
             }
-            if (!foundDynamic) {
-                return null;
+
+            const dynamicSegment = parseDynamicSegmentKey(key);
+            let paramType = null;
+            if (dynamicSegment.constraint) {
+                try {
+                    paramType = resolveParamType(dynamicSegment.constraint, paramTypes);
+                } catch (e) {
+                    throw new Error(`Unable to use the URL parameter '${routePath + key}': ${e.message}`);
+                }
             }
+            compiledNode.dynamicChildren.push({ ...dynamicSegment, paramType, child });
         }
+        compiledNode.dynamicChildren.sort((a, b) => dynamicSegmentPriority(a) - dynamicSegmentPriority(b));
+
+        return compiledNode;
+    };
+    return compileRouteNode(routeRegistry, '');
+}
+
+/**
+ * Attempt to match an incoming request URL with it's associated endpoint and endpoint function(s).
+ * 
+ * If a segment is dynamic (ex: "/:customerID"), its value is extracted and added to `req.params`. Catch-all segments
+ * (ex: "/:slug+" for one or more segments, or "/:slug*" for zero or more) extract an array of segments instead.
+ * Constrained segments (ex: "/:customerID(int)") only match values that satisfy their parameter type, and have their
+ * value(s) converted by it. Each segment of the path is percent-decoded before it's matched, and a path containing a
+ * malformed escape sequence (ex: "/users/%E0") doesn't match anything.
+ * 
+ * At each level, static segments are tried first, then dynamic segments, then catch-all segments, with constrained
+ * segments being tried before unconstrained ones of the same kind. Should a branch dead-end, by either running out of
+ * matching segments or arriving at a directory with no endpoint functions, the next candidate is tried instead.
+ *
+ * @param {Object} compiledRoutes The compiled root route node, as returned by `compileRouteRegistry`.
+ * @param {String} path The request path.
+ * @param {Object} [req = {}] The request object.
+ * @param {Array} [trail = []] An array each traversed compiled route node, starting with the root, will be pushed to.
+ * @returns {Object|null} Returns the matching compiled route node or null if no match.
+ */
+const matchRoute = (compiledRoutes, path, req = {}, trail = []) => {
+    // Segments are matched decoded, the same as `urlFor()` encodes values, so a malformed escape sequence matches nothing
+    let segments;
+    try {
+        segments = path.split('/').filter(Boolean).map((segment) => decodeURIComponent(segment));
+    } catch (e) {
+        return null;
     }
+    const state = { segments, params: {}, trail: [compiledRoutes] };
+
+    const compiledNode = matchRouteSegments(compiledRoutes, 0, state);
+    if (!compiledNode) return null;
+    trail.push(...state.trail);
 
     // Inject dynamic parameters into req.params
     if (req) {
-        req.params = { ...req.params, ...params };
+        req.params = { ...req.params, ...state.params };
     }
 
-    return currentLevel;
+    return compiledNode;
 };
 
+/**
+ * Recursively match the remaining segments of a request path against a level of the compiled routes, backtracking
+ * whenever a candidate branch fails to produce a usable route node.
+ * 
+ * @param {Object} currentLevel The compiled route node to match the remaining segments against.
+ * @param {Number} index The index of the next segment to be matched.
+ * @param {Object} state The state shared across the entire match, in this format:
+ * 
+ * ```
+ * {
+ *     segments: [Array], // All of the segments of the request path
+ *     params: [Object], // A dictionary the extracted dynamic parameters will be written to
+ *     trail: [Array] // An array the traversed compiled route nodes will be pushed to, and popped from when backtracking
+ * }
+ * ```
+ * @returns {Object|null} The matching compiled route node, or null if this branch is a dead-end.
+ */
+function matchRouteSegments(currentLevel, index, state) {
+    const { segments, params, trail } = state;
+    const remaining = segments.length - index;
+
+    // Once all segments are consumed, this is only a match if there's something to call
+    if (remaining === 0 && (currentLevel.methods.length > 0 || currentLevel.kinds.length > 0)) {
+        return currentLevel;
+    }
+
+    const descend = (child, paramName, value, consumed) => {
+        if (paramName !== null) params[paramName] = value;
+        trail.push(child);
+        const match = matchRouteSegments(child, index + consumed, state);
+        if (match) return match;
+        trail.pop();
+        if (paramName !== null) delete params[paramName];
+        return null;
+    };
+
+    // Static segments
+    if (remaining > 0) {
+        const staticChild = currentLevel.staticChildren.get(segments[index]);
+        if (staticChild) {
+            const match = descend(staticChild, null, null, 1);
+            if (match) return match;
+        }
+    }
+
+    // Dynamic segments, followed by catch-all segments, followed by optional catch-all segments
+    for (const { name, paramType, catchAll, optional, child } of currentLevel.dynamicChildren) {
+        if (!catchAll) {
+            if (remaining === 0 || (paramType && !paramType.test(segments[index]))) continue;
+            const match = descend(child, name, paramType ? paramType.convert(segments[index]) : segments[index], 1);
+            if (match) return match;
+            continue;
+        }
+
+        // Catch-all segments greedily consume as much of the path as possible
+        for (let consumed = remaining; consumed >= (optional ? 0 : 1); consumed--) {
+            const values = segments.slice(index, index + consumed);
+            if (paramType && !values.every((value) => paramType.test(value))) continue;
+            const match = descend(child, name, paramType ? values.map((value) => paramType.convert(value)) : values, consumed);
+            if (match) return match;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Rank a parsed dynamic segment by the order it should be tried in when matching, lowest first.
+ * 
+ * @param {Object} dynamicSegment The parsed dynamic segment, as returned by `parseDynamicSegmentKey`.
+ * @returns {Number} The priority of the dynamic segment.
+ */
+const dynamicSegmentPriority = ({ constraint, catchAll, optional }) => (!catchAll ? 0 : (optional ? 4 : 2)) + (constraint ? 0 : 1);
+
 /**
  * Properly format an HTTP string to be used in future sections of the routing code.
  * 
@@ -278,6 +1552,18 @@ const validRouteNode = (routeNode, method) => typeof routeNode === 'object' // E
                                                 && routeNode[method] // Ensure we're working with a route node containing our desired HTTP method
                                                 && routeNode[method].filePath; // Ensure our route node is discoverable in our files
 
+/**
+ * List the HTTP methods that a route node extracted from the compiled endpoint JSON file has handlers for, leaving out
+ * any realtime route kinds.
+ * 
+ * @param {Object|null} routeNode The endpoint detailed retrieved from the compiled endpoint JSON file.
+ * @returns {Array} The HTTP methods defined at this route node, or an empty array if there are none.
+ */
+const retrieveRouteNodeMethods = (routeNode) => {
+    if (!routeNode || typeof routeNode !== 'object') return [];
+    return Object.keys(routeNode).filter((key) => !key.startsWith('/') && !key.startsWith('_') && !ROUTE_KINDS.includes(key) && validRouteNode(routeNode, key));
+};
+
 /**
  * Extract the file path pointing to the endpoint signature from a route node.
  * 
@@ -288,4 +1574,95 @@ const validRouteNode = (routeNode, method) => typeof routeNode === 'object' // E
 const retrieveRouteNodePath = (routeNode, method) => routeNode[method].filePath;
 
 
-export default endpointRouting;
\ No newline at end of file
+/**
+ * Retrieve the URL path of an incoming request, whether or not it was already interpreted by a framework like Express.
+ * 
+ * @param {Object} req The request object.
+ * @returns {String} The path portion of the request URL, excluding any query string.
+ */
+const extractRequestPath = (req) => {
+    if (typeof req.path === 'string') return req.path;
+    return new URL(req.url || '/', 'http://localhost').pathname;
+};
+
+/**
+ * Send the value returned by an endpoint function as the response to a request, unless the endpoint function has
+ * already responded itself.
+ * 
+ * Nothing being returned leaves the response to the endpoint function, which may still respond later on (ex: from a
+ * callback). `HEAD` requests describe the body the equivalent `GET` request would've been sent, without sending it.
+ * 
+ * @param {Object} res The response object.
+ * @param {String} method The HTTP method of the request.
+ * @param {any} result The value returned by the endpoint function.
+ * @throws {Error} If the value can't be serialized as JSON (such as a circular object or a `BigInt`), an exception will be thrown before anything is sent.
+ * @returns {any} The value returned by the endpoint function.
+ */
+function relayHandlerResult(res, method, result) {
+    if (res.headersSent || res.writableEnded || result === undefined) return result;
+    if (method === 'HEAD') {
+        const contentLength = Buffer.byteLength(JSON.stringify(result));
+        res.statusCode = res.statusCode || 200;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Length', contentLength);
+        res.end();
+        return result;
+    }
+    sendJSONResponse(res, res.statusCode || 200, result);
+    return result;
+}
+
+/**
+ * End a response without a body, as a `204` unless a status has already been set.
+ * 
+ * @param {Object} res The response object.
+ */
+function respondWithoutContent(res) {
+    if (!res.statusCode || res.statusCode === 200) res.statusCode = 204;
+    res.end();
+}
+
+/**
+ * Respond to an error that nothing else has handled, as a last resort. Routing errors below `500` (such as a request
+ * body that couldn't be read) keep their status, while anything else is responded to with a generic `500`. If the
+ * response has already begun, the connection is dropped instead, so the client doesn't mistake it for a complete one.
+ * 
+ * @param {Object} res The response object.
+ * @param {any} error The unhandled error.
+ */
+function respondToUnhandledError(res, error) {
+    if (res.writableEnded || res.destroyed) return;
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    if (error instanceof RoutingError && error.status < 500) {
+        sendJSONResponse(res, error.status, error);
+        return;
+    }
+    sendJSONResponse(res, 500, { success: false, code: "INTERNAL_ERROR", error: "Internal server error." });
+}
+
+/**
+ * Serialize a value as JSON and send it as the response to a request.
+ * 
+ * This only relies on the response methods provided by NodeJS, so it is usable with Express, Connect or a bare `http` server.
+ * 
+ * @param {Object} res The response object.
+ * @param {Number} status The HTTP status code of the response.
+ * @param {any} body The value to serialize as the response body.
+ * @param {Object} [headers] Any additional headers to include with the response.
+ */
+function sendJSONResponse(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.statusCode = status;
+    for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+    }
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(payload);
+}
+
+
+export default endpointRouting;
+export { compileRouteRegistry, matchRoute, interpretRouteConfigContents };
\ No newline at end of file
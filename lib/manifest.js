@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { isPrivateSegment } from './route-segments.js';
+import { interpretEndpointFileName, interpretDirectoryFileName } from './endpoint-files.js';
+import { compilePathPatterns, relativePatternPath, findMatchingPattern, matchesPathOrParent } from './path-patterns.js';
+import { resolveMounts, displayPrefix } from './mounts.js';
+import { getNodePackageValue } from './utilities.js';
+
+/**
+ * Create the manifest recorded alongside the compiled routes, which allows a routes JSON file to later be checked
+ * against the files it was compiled from. See `verifyRouteManifest`.
+ * 
+ * @param {Object} routeRegistry The compiled nested routes object.
+ * @param {Array} mounts The mount points the routes were compiled from, as returned by `resolveMounts`.
+ * @param {Object} buildOptions The remaining build arguments needed to compile the routes the same way again, under the `pathBlacklist`, `pathWhitelist`, `openApiOutput` and `typesOutput` keys.
+ * @returns {Object} The manifest, in this format:
+ * 
+ * ```
+ * {
+ *     fingerprint: [String], // A hash of the path of every endpoint, middleware and error handler file within the mounted directories
+ *     files: [Object], // A hash of the contents of each file the routes point to, keyed by project directory path
+ *     build: [Object] // { mounts, pathBlacklist, pathWhitelist, openApiOutput, typesOutput }
+ * }
+ * ```
+ */
+function createRouteManifest(routeRegistry, mounts, buildOptions) {
+    const build = {
+        mounts: Object.fromEntries(mounts.map((mount) => [
+            displayPrefix(mount.prefix),
+            { handlersDir: mount.handlersDir, fallback: mount.fallback === null ? null : displayPrefix(mount.fallback) }
+        ])),
+        pathBlacklist: buildOptions['pathBlacklist'] || null,
+        pathWhitelist: buildOptions['pathWhitelist'] || null,
+        openApiOutput: buildOptions['openApiOutput'] ? toProjectPath(buildOptions['openApiOutput']) : null,
+        typesOutput: buildOptions['typesOutput'] ? toProjectPath(buildOptions['typesOutput']) : null
+    };
+
+    const files = {};
+    for (const filePath of [...collectRouteFilePaths(routeRegistry)].sort()) {
+        files[filePath] = hashFile(filePath);
+    }
+
+    return {
+        fingerprint: createTreeFingerprint(mounts, build),
+        files: files,
+        build: build
+    };
+}
+
+/**
+ * Check whether the contents of a routes JSON file still match the files it was compiled from, using the manifest
+ * recorded alongside the routes.
+ * 
+ * Any file the routes point to that has since been removed or changed is reported, as is any endpoint or middleware
+ * file that has been added, removed or renamed within the mounted directories, and routes compiled by an older version
+ * of the routing algorithm.
+ * 
+ * @param {Object} routeConfig The contents of a routes JSON file.
+ * @returns {Array} The problems found, each in the format `{ code, message, file }`. An empty array means the routes are up to date.
+ */
+function verifyRouteManifest(routeConfig) {
+    const manifest = routeConfig && routeConfig['manifest'];
+    if (!manifest || typeof manifest !== 'object' || !manifest['files'] || !manifest['build']) {
+        return [{ code: 'NO_MANIFEST', message: `The routes were compiled without a manifest, so can't be verified. Recompile them to add one.`, file: null }];
+    }
+
+    const problems = [];
+    const routeAlgVersion = Number(getNodePackageValue('route-alg-version'));
+    if (Number(routeConfig['version']) < routeAlgVersion) {
+        problems.push({ code: 'OUTDATED_VERSION', message: `The routes were compiled with version ${routeConfig['version']} of the routing algorithm, rather than the current version ${routeAlgVersion}.`, file: null });
+    }
+    for (const [filePath, hash] of Object.entries(manifest['files'])) {
+        if (!fs.existsSync(filePath)) {
+            problems.push({ code: 'MISSING_FILE', message: `'${filePath}' no longer exists.`, file: filePath });
+        } else if (hashFile(filePath) !== hash) {
+            problems.push({ code: 'CHANGED_FILE', message: `'${filePath}' has changed since the routes were compiled.`, file: filePath });
+        }
+    }
+
+    let fingerprint = null;
+    try {
+        fingerprint = createTreeFingerprint(resolveMounts(manifest['build']['mounts']), manifest['build']);
+    } catch (e) {
+        problems.push({ code: 'STALE_TREE', message: `The mounted directories can no longer be read: ${e.message}`, file: null });
+    }
+    if (fingerprint !== null && fingerprint !== manifest['fingerprint']) {
+        problems.push({ code: 'STALE_TREE', message: `Endpoint or middleware files have been added, removed or renamed since the routes were compiled.`, file: null });
+    }
+
+    return problems;
+}
+
+/**
+ * Hash the path of every endpoint and middleware file within the mounted directories, following the same rules as a
+ * build does (skipping private directories, and applying the path blacklist and whitelist).
+ * 
+ * @param {Array} mounts The mount points, as returned by `resolveMounts`.
+ * @param {Object} build The build arguments, under the `pathBlacklist` and `pathWhitelist` keys.
+ * @returns {String} The fingerprint.
+ */
+function createTreeFingerprint(mounts, build) {
+    const pathBlacklist = compilePathPatterns(build['pathBlacklist']);
+    const pathWhitelist = compilePathPatterns(build['pathWhitelist']);
+    const filePaths = [];
+
+    const visit = (mount, dir) => {
+        const relativeDir = relativePatternPath(mount.dirPath, dir);
+        const whitelisted = pathWhitelist === null || matchesPathOrParent(pathWhitelist, relativeDir);
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (isPrivateSegment(entry.name)) continue;
+                if (pathBlacklist !== null && findMatchingPattern(pathBlacklist, relativePatternPath(mount.dirPath, fullPath))) continue;
+                visit(mount, fullPath);
+            } else if (interpretDirectoryFileName(entry.name) || (whitelisted && interpretEndpointFileName(entry.name))) {
+                filePaths.push(toProjectPath(fullPath));
+            }
+        }
+    };
+    for (const mount of mounts) {
+        if (fs.existsSync(mount.dirPath)) visit(mount, mount.dirPath);
+    }
+
+    return hashText(filePaths.sort().join('\n'));
+}
+
+/**
+ * Collect the path of every endpoint and middleware file the nested routes object points to.
+ * 
+ * @param {Object} routeNode The route node to collect from.
+ * @param {Set} [filePaths] The set the project directory paths are added to.
+ * @returns {Set} The project directory paths.
+ */
+function collectRouteFilePaths(routeNode, filePaths = new Set()) {
+    for (const [key, value] of Object.entries(routeNode)) {
+        if (key.startsWith('/')) collectRouteFilePaths(value, filePaths);
+        else if (value && typeof value.filePath === 'string') filePaths.add(value.filePath);
+    }
+    return filePaths;
+}
+
+/**
+ * Convert a path to be relative to the project directory, with forward slashes.
+ * 
+ * @param {String} filePath The path.
+ * @returns {String} The project directory path.
+ */
+const toProjectPath = (filePath) => path.relative(process.cwd(), path.resolve(filePath)).replace(/\\/g, '/');
+
+/**
+ * Hash the contents of a file.
+ * 
+ * @param {String} filePath The path to the file.
+ * @returns {String} The SHA-256 hash, as hexadecimal.
+ */
+const hashFile = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+/**
+ * Hash a string.
+ * 
+ * @param {String} text The string.
+ * @returns {String} The SHA-256 hash, as hexadecimal.
+ */
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+export {
+    createRouteManifest,
+    verifyRouteManifest
+}
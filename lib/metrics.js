@@ -0,0 +1,157 @@
+/**
+ * The upper bounds of the latency histogram buckets, in milliseconds, used unless others are provided.
+ */
+const DEFAULT_DURATION_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * An in-memory collector of the number of requests, errors and their latencies, for each route pattern and method.
+ * 
+ * Requests are recorded under their route pattern (ex: "/users/:userId(int)") rather than the requested URL, so the
+ * number of entries is bounded by the number of routes. Requests that don't match any route are only counted.
+ */
+class RouteMetrics {
+    #buckets;
+    #entries = new Map();
+    #unmatched = 0;
+    #since = new Date();
+
+    /**
+     * @param {Object} [options] A list of parameters to configure the collector. The supported arguments are as follows:
+     * 
+     * * **buckets** `Array` - The upper bounds of the latency histogram buckets, in milliseconds. By default, this is set to `[5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]`.
+     * 
+     * @throws {Error} If the included `buckets` aren't positive numbers, an exception will be thrown.
+     */
+    constructor(options = {}) {
+        const buckets = options['buckets'] || DEFAULT_DURATION_BUCKETS;
+        if (!Array.isArray(buckets) || buckets.some((bucket) => typeof bucket !== 'number' || !(bucket > 0))) {
+            throw new Error(`Expected the metrics buckets to be an array of positive numbers, but received: ${JSON.stringify(buckets)}`);
+        }
+        this.#buckets = [...new Set(buckets)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Record the outcome of a request.
+     * 
+     * @param {String|null} pattern The route pattern the request matched, or null if it didn't match any route.
+     * @param {String} method The HTTP method of the request.
+     * @param {Number} duration How long the request took, in milliseconds.
+     * @param {Boolean} failed Whether the request raised an error.
+     */
+    record(pattern, method, duration, failed) {
+        if (pattern === null) {
+            this.#unmatched++;
+            return;
+        }
+
+        const key = `${method} ${pattern}`;
+        let entry = this.#entries.get(key);
+        if (!entry) {
+            entry = { pattern, method, count: 0, errorCount: 0, sum: 0, min: Infinity, max: 0, bucketCounts: this.#buckets.map(() => 0) };
+            this.#entries.set(key, entry);
+        }
+
+        entry.count++;
+        if (failed) entry.errorCount++;
+        entry.sum += duration;
+        entry.min = Math.min(entry.min, duration);
+        entry.max = Math.max(entry.max, duration);
+        const bucketIndex = this.#buckets.findIndex((bucket) => duration <= bucket);
+        if (bucketIndex >= 0) entry.bucketCounts[bucketIndex]++;
+    }
+
+    /**
+     * Retrieve everything recorded so far.
+     * 
+     * @returns {Object} The recorded metrics, in this format:
+     * 
+     * ```
+     * {
+     *     since: [String], // When recording began, as an ISO 8601 date
+     *     unmatched: [Number], // The number of requests that didn't match any route
+     *     routes: [
+     *         {
+     *             pattern: [String],
+     *             method: [String],
+     *             count: [Number],
+     *             errorCount: [Number],
+     *             errorRate: [Number], // Between 0 and 1
+     *             duration: [Object], // { sum, min, max, mean }, in milliseconds
+     *             histogram: [Array] // { le, count }, the cumulative number of requests that took `le` milliseconds or less, with `count` covering the rest
+     *         }
+     *     ]
+     * }
+     * ```
+     */
+    snapshot() {
+        const routes = [...this.#entries.values()]
+            .sort((a, b) => a.pattern.localeCompare(b.pattern) || a.method.localeCompare(b.method))
+            .map((entry) => {
+                let cumulative = 0;
+                const histogram = this.#buckets.map((bucket, index) => {
+                    cumulative += entry.bucketCounts[index];
+                    return { le: bucket, count: cumulative };
+                });
+
+                return {
+                    pattern: entry.pattern,
+                    method: entry.method,
+                    count: entry.count,
+                    errorCount: entry.errorCount,
+                    errorRate: entry.errorCount / entry.count,
+                    duration: { sum: entry.sum, min: entry.min, max: entry.max, mean: entry.sum / entry.count },
+                    histogram: histogram
+                };
+            });
+
+        return { since: this.#since.toISOString(), unmatched: this.#unmatched, routes: routes };
+    }
+
+    /**
+     * Format everything recorded so far in the Prometheus text exposition format, with latencies in seconds.
+     * 
+     * @returns {String} The metrics, ready to be served from a `/metrics` endpoint.
+     */
+    toPrometheus() {
+        const { unmatched, routes } = this.snapshot();
+        const labels = (route, extra = '') => `route="${escapeLabelValue(route.pattern)}",method="${escapeLabelValue(route.method)}"${extra}`;
+
+        const lines = [
+            '# HELP endpoint_routing_requests_total The number of requests handled by each route.',
+            '# TYPE endpoint_routing_requests_total counter',
+            ...routes.map((route) => `endpoint_routing_requests_total{${labels(route)}} ${route.count}`),
+            '# HELP endpoint_routing_request_errors_total The number of requests to each route that raised an error.',
+            '# TYPE endpoint_routing_request_errors_total counter',
+            ...routes.map((route) => `endpoint_routing_request_errors_total{${labels(route)}} ${route.errorCount}`),
+            '# HELP endpoint_routing_request_duration_seconds How long requests to each route took.',
+            '# TYPE endpoint_routing_request_duration_seconds histogram'
+        ];
+        for (const route of routes) {
+            for (const { le, count } of [...route.histogram, { le: Infinity, count: route.count }]) {
+                const bound = le === Infinity ? '+Inf' : String(le / 1000);
+                lines.push(`endpoint_routing_request_duration_seconds_bucket{${labels(route, `,le="${bound}"`)}} ${count}`);
+            }
+            lines.push(`endpoint_routing_request_duration_seconds_sum{${labels(route)}} ${route.duration.sum / 1000}`);
+            lines.push(`endpoint_routing_request_duration_seconds_count{${labels(route)}} ${route.count}`);
+        }
+        lines.push(
+            '# HELP endpoint_routing_unmatched_requests_total The number of requests that did not match any route.',
+            '# TYPE endpoint_routing_unmatched_requests_total counter',
+            `endpoint_routing_unmatched_requests_total ${unmatched}`
+        );
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Escape a Prometheus label value.
+ * 
+ * @param {String} value The label value.
+ * @returns {String} The escaped label value.
+ */
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+export {
+    RouteMetrics
+}
@@ -0,0 +1,158 @@
+import path from 'path';
+import { resolveAndValidatePath } from './utilities.js';
+
+/**
+ * Interpret the mount points the endpoints should be compiled from.
+ * 
+ * Each mount point maps a URL prefix to the directory whose endpoints are served beneath it. A mount can optionally
+ * fall back to another mount, inheriting any of its endpoints that it doesn't define itself (ex: "/api/v2" falling
+ * back to "/api/v1"):
+ * 
+ * ```
+ * {
+ *     '/api/v1': 'endpoints/v1',
+ *     '/api/v2': { handlersDir: 'endpoints/v2', fallback: '/api/v1' }
+ * }
+ * ```
+ * 
+ * @param {Object|null|undefined} mounts The mount points, keyed by URL prefix. If not provided, the `handlersDir` is mounted at the root.
+ * @param {String} [handlersDir = "endpoints"] The directory to mount at the root when no mount points are provided.
+ * @throws {Error} If a prefix contains anything other than static path segments, or is used more than once, an exception will be thrown.
+ * @throws {Error} If a directory is not a valid path and point to a directory, or is mounted more than once (including within another mounted directory), an exception will be thrown.
+ * @throws {Error} If a fallback doesn't refer to another mount, is nested within (or contains) its own mount, or leads back to itself, an exception will be thrown.
+ * @returns {Array} The mount points, ordered so that each comes after the mount it falls back to, in this format:
+ * 
+ * ```
+ * [
+ *     {
+ *         prefix: [String], // The normalized URL prefix, being "" for the root (ex: "/api/v1")
+ *         handlersDir: [String], // The project directory path to the mounted directory
+ *         dirPath: [String], // The absolute path to the mounted directory
+ *         fallback: [String|null] // The normalized URL prefix of the mount this one falls back to
+ *     }
+ * ]
+ * ```
+ */
+function resolveMounts(mounts, handlersDir = 'endpoints') {
+    const entries = mounts && typeof mounts === 'object' && Object.keys(mounts).length > 0
+        ? Object.entries(mounts)
+        : [['/', handlersDir || 'endpoints']];
+
+    const resolvedMounts = [];
+    for (const [prefix, mount] of entries) {
+        const normalizedPrefix = normalizeMountPrefix(prefix);
+        if (resolvedMounts.some((other) => other.prefix === normalizedPrefix)) {
+            throw new Error(`The mount prefix '${prefix}' is defined more than once.`);
+        }
+
+        const { handlersDir: mountDir, fallback = null } = typeof mount === 'string' ? { handlersDir: mount } : (mount || {});
+        if (typeof mountDir !== 'string') throw new Error(`The mount '${prefix}' does not name a handlers directory.`);
+        const resolvedDir = resolveAndValidatePath(mountDir, { mustExist: true, mustBeDir: true });
+
+        resolvedMounts.push({
+            prefix: normalizedPrefix,
+            handlersDir: resolvedDir,
+            dirPath: path.join(path.resolve(), resolvedDir),
+            fallback: fallback === null ? null : normalizeMountPrefix(fallback)
+        });
+    }
+
+    // Each directory can only be served from one place, otherwise its endpoints would be compiled more than once
+    for (const mount of resolvedMounts) {
+        const container = resolvedMounts.find((other) => other !== mount && (mount.dirPath === other.dirPath || isWithinPath(mount.dirPath, other.dirPath)));
+        if (container) {
+            throw new Error(`The directory of the '${displayPrefix(mount.prefix)}' mount is the same as, or within, the directory of the '${displayPrefix(container.prefix)}' mount.`);
+        }
+    }
+
+    return orderMountsByFallback(resolvedMounts);
+}
+
+/**
+ * Find the mount point a directory belongs to.
+ * 
+ * @param {Array} mounts The mount points, as returned by `resolveMounts`.
+ * @param {String} dir The absolute path of the directory.
+ * @returns {Object|null} The mount point, or null if the directory isn't within any of them.
+ */
+const findMountOfDirectory = (mounts, dir) => mounts.find((mount) => dir === mount.dirPath || isWithinPath(dir, mount.dirPath)) || null;
+
+/**
+ * Format a mount prefix for use within a message, showing the root as "/" rather than an empty string.
+ * 
+ * @param {String} prefix The normalized URL prefix.
+ * @returns {String} The displayable URL prefix.
+ */
+const displayPrefix = (prefix) => prefix || '/';
+
+/**
+ * Normalize a mount prefix to the same form as the routes beneath it, with a leading slash and no trailing slash.
+ * 
+ * @param {String} prefix The URL prefix (ex: "/api/v1/" or "api/v1").
+ * @throws {Error} If the prefix contains anything other than static path segments, an exception will be thrown.
+ * @returns {String} The normalized URL prefix (ex: "/api/v1"), or an empty string for the root.
+ */
+function normalizeMountPrefix(prefix) {
+    if (typeof prefix !== 'string') throw new Error(`Expected a mount prefix to be a string, but received: ${typeof prefix}`);
+    const segments = prefix.split('/').filter(Boolean);
+    for (const segment of segments) {
+        if (/[\[\]:*+()?#]/.test(segment)) {
+            throw new Error(`The mount prefix '${prefix}' can only contain static path segments, but contains '${segment}'.`);
+        }
+    }
+    return segments.map((segment) => '/' + segment).join('');
+}
+
+/**
+ * Order the mount points so that each comes after the mount it falls back to, ensuring every fallback can be resolved.
+ * 
+ * @param {Array} mounts The mount points.
+ * @throws {Error} If a fallback doesn't refer to another mount, is nested within (or contains) its own mount, or leads back to itself, an exception will be thrown.
+ * @returns {Array} The ordered mount points.
+ */
+function orderMountsByFallback(mounts) {
+    const ordered = [];
+    const visit = (mount, chain) => {
+        if (ordered.includes(mount)) return;
+        if (chain.includes(mount)) {
+            throw new Error(`The mount fallbacks ${[...chain, mount].map((other) => `'${displayPrefix(other.prefix)}'`).join(' -> ')} lead back to themselves.`);
+        }
+        if (mount.fallback !== null) {
+            const fallback = mounts.find((other) => other.prefix === mount.fallback);
+            if (!fallback) {
+                throw new Error(`The '${displayPrefix(mount.prefix)}' mount falls back to '${displayPrefix(mount.fallback)}', which is not a mount.`);
+            }
+            if (isWithinPrefix(mount.prefix, fallback.prefix) || isWithinPrefix(fallback.prefix, mount.prefix)) {
+                throw new Error(`The '${displayPrefix(mount.prefix)}' mount can't fall back to '${displayPrefix(fallback.prefix)}', as one is nested within the other.`);
+            }
+            visit(fallback, [...chain, mount]);
+        }
+        ordered.push(mount);
+    };
+    for (const mount of mounts) visit(mount, []);
+    return ordered;
+}
+
+/**
+ * Check whether a path is nested within another.
+ * 
+ * @param {String} child The absolute path that may be nested.
+ * @param {String} parent The absolute path that may contain it.
+ * @returns {Boolean} Whether `child` is within `parent`.
+ */
+const isWithinPath = (child, parent) => child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+
+/**
+ * Check whether a URL prefix is the same as, or nested within, another.
+ * 
+ * @param {String} child The normalized URL prefix that may be nested.
+ * @param {String} parent The normalized URL prefix that may contain it.
+ * @returns {Boolean} Whether `child` is within `parent`.
+ */
+const isWithinPrefix = (child, parent) => child === parent || child.startsWith(parent + '/');
+
+export {
+    resolveMounts,
+    findMountOfDirectory,
+    displayPrefix
+}
@@ -0,0 +1,181 @@
+import { RoutingError } from './errors.js';
+
+/**
+ * The content types that can be interpreted when parsing the body of an incoming request.
+ */
+const PARSABLE_CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded'];
+
+/**
+ * Prepare a request from a bare NodeJS `http` server with the values an Express-style request would have, namely
+ * `req.path`, `req.query`, `req.params` and optionally `req.body`.
+ * 
+ * @param {http.IncomingMessage} req The request object.
+ * @param {Object} [options] A list of parameters to configure how the request is prepared. The supported arguments are as follows:
+ * 
+ * * **parseBody** `Boolean` - Whether JSON and urlencoded request bodies should be read and parsed into `req.body`. By default, this is set to `true`.
+ * * **bodyLimit** `Number` - The maximum size of a request body in bytes. By default, this is set to `102400` (100kb).
+ * 
+ * @throws {RoutingError} If the request body exceeds the `bodyLimit`, a `PAYLOAD_TOO_LARGE` error will be thrown.
+ * @throws {RoutingError} If the request body could not be read or parsed, a `BAD_REQUEST` error will be thrown.
+ * @returns {Promise<http.IncomingMessage>} The same request object, now prepared.
+ */
+async function prepareNodeRequest(req, options = {}) {
+    const parseBody = options['parseBody'] !== false;
+    const bodyLimit = options['bodyLimit'] || 102400;
+
+    // Interpret the URL and query string
+    const url = new URL(req.url || '/', 'http://localhost');
+    assignRequestValue(req, 'path', url.pathname);
+    assignRequestValue(req, 'query', parseSearchParams(url.searchParams));
+    req.params = req.params || {};
+
+    // Read the request body, if we're able to make sense of it
+    if (parseBody === true && req.body === undefined) {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (PARSABLE_CONTENT_TYPES.includes(contentType)) {
+            const rawBody = await readRequestBody(req, bodyLimit);
+            req.body = parseRequestBody(rawBody, contentType);
+        }
+    }
+
+    return req;
+}
+
+/**
+ * Decorate a response from a bare NodeJS `http` server with the small set of Express-style helpers endpoint functions
+ * tend to rely on, those being `res.status()`, `res.set()`, `res.json()` and `res.send()`.
+ * 
+ * Helpers which are already defined on the response object are left untouched.
+ * 
+ * @param {http.ServerResponse} res The response object.
+ * @returns {http.ServerResponse} The same response object, now decorated.
+ */
+function decorateNodeResponse(res) {
+    if (typeof res.status !== 'function') {
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+    }
+    if (typeof res.set !== 'function') {
+        res.set = (name, value) => {
+            if (typeof name === 'object') {
+                for (const [key, val] of Object.entries(name)) res.setHeader(key, val);
+            } else {
+                res.setHeader(name, value);
+            }
+            return res;
+        };
+    }
+    if (typeof res.json !== 'function') {
+        res.json = (body) => {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            res.end(JSON.stringify(body));
+            return res;
+        };
+    }
+    if (typeof res.send !== 'function') {
+        res.send = (body) => {
+            if (body === undefined || body === null) {
+                res.end();
+            } else if (Buffer.isBuffer(body)) {
+                if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+                res.end(body);
+            } else if (typeof body === 'object') {
+                res.json(body);
+            } else {
+                if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                res.end(String(body));
+            }
+            return res;
+        };
+    }
+    return res;
+}
+
+/**
+ * Convert URL search parameters into a plain object. Keys which appear more than once are collected into an array.
+ * 
+ * @param {URLSearchParams} searchParams The parsed search parameters.
+ * @returns {Object} The search parameters as a plain object.
+ */
+function parseSearchParams(searchParams) {
+    const result = {};
+    for (const [key, value] of searchParams) {
+        if (!Object.prototype.hasOwnProperty.call(result, key)) {
+            result[key] = value;
+        } else if (Array.isArray(result[key])) {
+            result[key].push(value);
+        } else {
+            result[key] = [result[key], value];
+        }
+    }
+    return result;
+}
+
+/**
+ * Read the entirety of an incoming request body, so long as it doesn't exceed a size limit.
+ * 
+ * @param {http.IncomingMessage} req The request object.
+ * @param {Number} limit The maximum size of the request body in bytes.
+ * @throws {RoutingError} If the request body exceeds the limit, a `PAYLOAD_TOO_LARGE` error will be thrown.
+ * @throws {RoutingError} If the request fails before the body is read in full (such as the client disconnecting), a `BAD_REQUEST` error will be thrown.
+ * @returns {Promise<String>} The request body.
+ */
+function readRequestBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+
+        req.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > limit) {
+                req.removeAllListeners('data');
+                req.resume();
+                reject(new RoutingError(`Request body exceeds the ${limit} byte limit.`, { code: "PAYLOAD_TOO_LARGE", status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+        req.on('error', (e) => reject(new RoutingError("Request body could not be read.", { code: "BAD_REQUEST", status: 400, cause: e })));
+    });
+}
+
+/**
+ * Parse a raw request body according to its content type.
+ * 
+ * @param {String} rawBody The request body.
+ * @param {String} contentType The content type of the request body, without any parameters.
+ * @throws {RoutingError} If the request body could not be parsed, a `BAD_REQUEST` error will be thrown.
+ * @returns {any} The parsed request body.
+ */
+function parseRequestBody(rawBody, contentType) {
+    if (contentType === 'application/x-www-form-urlencoded') {
+        return parseSearchParams(new URLSearchParams(rawBody));
+    }
+    if (rawBody.length === 0) return {};
+    try {
+        return JSON.parse(rawBody);
+    } catch(e) {
+        throw new RoutingError("Request body is not valid JSON.", { code: "BAD_REQUEST", status: 400, cause: e });
+    }
+}
+
+/**
+ * Write a value onto a request, even where the framework only provides a getter for it (ex: `req.query` in Express 5),
+ * by defining it on the request itself.
+ * 
+ * @param {http.IncomingMessage} req The request object.
+ * @param {String} key The name of the value.
+ * @param {*} value The value to write.
+ */
+function assignRequestValue(req, key, value) {
+    Object.defineProperty(req, key, { value: value, writable: true, configurable: true, enumerable: true });
+}
+
+export {
+    prepareNodeRequest,
+    decorateNodeResponse,
+    assignRequestValue
+}
\ No newline at end of file
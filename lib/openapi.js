@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseDynamicSegmentKey } from './route-segments.js';
+import { normalizeEndpointModule } from './endpoint-files.js';
+
+/**
+ * The OpenAPI schemas describing each of the built-in URL parameter types.
+ */
+const PARAM_TYPE_SCHEMAS = {
+    int: { type: 'integer' },
+    float: { type: 'number' },
+    bool: { type: 'boolean' },
+    uuid: { type: 'string', format: 'uuid' }
+};
+
+/**
+ * The HTTP methods that can be described by an OpenAPI path item.
+ */
+const OPENAPI_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'OPTIONS', 'HEAD', 'PATCH', 'TRACE'];
+
+/**
+ * Create an OpenAPI 3 document describing the compiled routes.
+ * 
+ * Every endpoint and method is listed, whether or not it has any metadata. Metadata is read from the optional `openapi`
+ * export of each endpoint file, keyed by method:
+ * 
+ * ```
+ * export const openapi = {
+ *     GET: {
+ *         summary: [String],
+ *         description: [String],
+ *         tags: [Array],
+ *         operationId: [String],
+ *         deprecated: [Boolean],
+ *         parameters: [Array], // Additional OpenAPI parameter objects, such as query parameters
+ *         requestBody: [Object], // A JSON schema for the request body, or an OpenAPI request body object
+ *         responses: [Object] // OpenAPI response objects, keyed by status code
+ *     }
+ * };
+ * ```
+ * 
+ * Paths differing only by their parameter names (ex: "[id]" and "[userId]" within the same directory) are equivalent to
+ * OpenAPI, so only the first is described. An optional catch-all (ex: "[[...slug]]") is described both with and
+ * without its parameter.
+ * 
+ * Where a method has a validation `schema` export, its `query`, `body` and `response` schemas are used to fill in
+ * any `parameters`, `requestBody` and `responses` the `openapi` export leaves out.
+ * 
+ * @param {Object} routeConfig The contents of a routes JSON file.
+ * @param {Object} [options] A list of parameters to configure the document. The supported arguments are as follows:
+ * 
+ * * **info** `Object` - The OpenAPI info object. By default, the `name` and `version` of the project's package.json are used.
+ * * **importModule** `Function` - The function used to import each endpoint file, given its project directory path. By default, files are imported as-is, with CommonJS files normalized by `normalizeEndpointModule`.
+ * * **reportDiagnostic** `Function` - The function called with the `level`, `code`, `message` and `{ route, file }` of each problem found, such as an endpoint file failing to import. By default, problems are ignored.
+ * 
+ * @returns {Promise<Object>} The OpenAPI document.
+ */
+async function createOpenApiDocument(routeConfig, options = {}) {
+    const info = options['info'] || readProjectInfo();
+    const importModule = options['importModule'] || ((filePath) => import(pathToFileURL(path.resolve(filePath)).href).then((module) => normalizeEndpointModule(module, filePath)));
+    const report = options['reportDiagnostic'] || (() => {});
+    const routeRegistry = routeConfig.hasOwnProperty('routes') ? routeConfig['routes'] : routeConfig;
+
+    const paths = {};
+    const templates = {};
+    const addPathItem = (openApiPath, pathItem, route) => {
+        // OpenAPI treats paths differing only by their parameter names (ex: "/users/{id}" and "/users/{userId}") as the same path
+        const template = openApiPath.replace(/\{[^}]*\}/g, '{}');
+        if (templates.hasOwnProperty(template) && templates[template] !== openApiPath) {
+            report('warning', 'DUPLICATE_OPENAPI_PATH', `OpenAPI path '${openApiPath}' is equivalent to '${templates[template]}', so it has been left out of the document.`, { route });
+            return;
+        }
+        templates[template] = openApiPath;
+
+        // Directories differing only by their constraint (ex: "[id=int]" and "[id=uuid]") share the same OpenAPI path,
+        // with whichever describes a method first being kept
+        paths[openApiPath] = { ...pathItem, ...(paths[openApiPath] || {}) };
+    };
+
+    const modules = new Map();
+    const loadModule = (filePath, route) => {
+        if (!modules.has(filePath)) {
+            modules.set(filePath, Promise.resolve().then(() => importModule(filePath)).catch((error) => {
+                report('error', 'IMPORT_FAILED', `Failed to import endpoint file: ${error && error.message ? error.message : error}`, { route, file: filePath });
+                return {};
+            }));
+        }
+        return modules.get(filePath);
+    };
+    const createPathItem = async (routeNode, route, pathParameters) => {
+        const methods = Object.keys(routeNode).filter((key) => OPENAPI_METHODS.includes(key) && routeNode[key].filePath);
+        if (methods.length === 0) return null;
+
+        const pathItem = {};
+        for (const method of methods) {
+            const module = await loadModule(routeNode[method].filePath, route);
+            pathItem[method.toLowerCase()] = createOperation(retrieveOpenApiMetadata(module, method), pathParameters);
+        }
+        return pathItem;
+    };
+
+    const visit = async (routeNode, routePath, openApiPath, pathParameters) => {
+        const pathItem = await createPathItem(routeNode, routePath || '/', pathParameters);
+        if (pathItem) addPathItem(openApiPath || '/', pathItem, routePath || '/');
+
+        for (const key of Object.keys(routeNode).filter((key) => key.startsWith('/'))) {
+            if (!key.startsWith('/:')) {
+                await visit(routeNode[key], routePath + key, openApiPath + key, pathParameters);
+                continue;
+            }
+            const dynamicSegment = parseDynamicSegmentKey(key);
+
+            // An optional catch-all also matches the path without it, which OpenAPI can only describe as a separate path
+            if (dynamicSegment.optional) {
+                const barePathItem = await createPathItem(routeNode[key], routePath + key, pathParameters);
+                if (barePathItem) addPathItem(openApiPath || '/', barePathItem, routePath + key);
+            }
+
+            const parameter = createPathParameter(dynamicSegment);
+            await visit(routeNode[key], routePath + key, `${openApiPath}/{${dynamicSegment.name}}`, [...pathParameters, parameter]);
+        }
+    };
+    await visit(routeRegistry, '', '', []);
+
+    return {
+        openapi: '3.0.3',
+        info: info,
+        paths: paths
+    };
+}
+
+/**
+ * Create the OpenAPI parameter object describing a dynamic segment.
+ * 
+ * @param {Object} dynamicSegment The parsed dynamic segment, as returned by `parseDynamicSegmentKey`.
+ * @returns {Object} The OpenAPI parameter object.
+ */
+function createPathParameter({ name, constraint, catchAll, optional }) {
+    let schema = { type: 'string' };
+    if (constraint && constraint.type === 'regex') {
+        schema = { type: 'string', pattern: constraint.pattern };
+    } else if (constraint && PARAM_TYPE_SCHEMAS.hasOwnProperty(constraint.type)) {
+        schema = { ...PARAM_TYPE_SCHEMAS[constraint.type] };
+    }
+
+    const parameter = { name: name, in: 'path', required: true, schema: schema };
+    if (catchAll) {
+        parameter.description = optional
+            ? 'Matches one or more path segments. Requests without any are described by the path without this parameter.'
+            : 'Matches one or more path segments.';
+        parameter.schema = { type: 'string' };
+    }
+    return parameter;
+}
+
+/**
+ * Create the OpenAPI operation object for a single endpoint and method.
+ * 
+ * @param {Object} metadata The metadata exported by the endpoint file for this method.
+ * @param {Array} pathParameters The OpenAPI parameter objects describing the dynamic segments of this endpoint.
+ * @returns {Object} The OpenAPI operation object.
+ */
+function createOperation(metadata, pathParameters) {
+    const operation = {};
+    for (const key of ['summary', 'description', 'tags', 'operationId', 'deprecated']) {
+        if (metadata[key] !== undefined) operation[key] = metadata[key];
+    }
+
+    const parameters = [...pathParameters, ...(metadata['parameters'] || [])];
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    // A request body can be given as an OpenAPI request body object, or as just the JSON schema of its content
+    if (metadata['requestBody'] && metadata['requestBody']['content']) {
+        operation.requestBody = metadata['requestBody'];
+    } else if (metadata['requestBody']) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: metadata['requestBody'] } }
+        };
+    }
+
+    operation.responses = metadata['responses'] || { '200': { description: 'Successful response.' } };
+    return operation;
+}
+
+/**
+ * Retrieve the OpenAPI metadata an endpoint module exports for a specific method, filling in any gaps from its
+ * validation schema.
+ * 
+ * @param {Object} module The imported endpoint module.
+ * @param {String} method The HTTP method.
+ * @returns {Object} The metadata, or an empty object if there is none.
+ */
+function retrieveOpenApiMetadata(module, method) {
+    const metadata = (module['openapi'] && typeof module['openapi'] === 'object' && module['openapi'][method]) || {};
+    const schema = (module['schema'] && typeof module['schema'] === 'object' && module['schema'][method]) || {};
+    return { ...createSchemaMetadata(schema), ...metadata };
+}
+
+/**
+ * Describe a method's validation schema as OpenAPI metadata.
+ * 
+ * @param {Object} schema The JSON Schemas for the `params`, `query`, `body` and `response` of a method.
+ * @returns {Object} The `parameters`, `requestBody` and `responses` metadata that could be derived from the schema.
+ */
+function createSchemaMetadata(schema) {
+    const metadata = {};
+
+    const queryProperties = (schema['query'] && schema['query']['properties']) || {};
+    const requiredQuery = (schema['query'] && schema['query']['required']) || [];
+    if (Object.keys(queryProperties).length > 0) {
+        metadata.parameters = Object.entries(queryProperties).map(([name, propertySchema]) => ({
+            name: name,
+            in: 'query',
+            required: requiredQuery.includes(name),
+            schema: propertySchema
+        }));
+    }
+
+    if (schema['body']) metadata.requestBody = schema['body'];
+    if (schema['response']) {
+        metadata.responses = {
+            '200': { description: 'Successful response.', content: { 'application/json': { schema: schema['response'] } } }
+        };
+    }
+    return metadata;
+}
+
+/**
+ * Read the name and version of the project from its package.json file, for use as the OpenAPI info object.
+ * 
+ * @returns {Object} The OpenAPI info object.
+ */
+function readProjectInfo() {
+    try {
+        const packageJSON = JSON.parse(fs.readFileSync(path.resolve('package.json'), 'utf-8'));
+        return { title: packageJSON['name'] || 'API', version: packageJSON['version'] || '1.0.0' };
+    } catch (e) {
+        return { title: 'API', version: '1.0.0' };
+    }
+}
+
+export {
+    createOpenApiDocument
+}
\ No newline at end of file
@@ -0,0 +1,101 @@
+import path from 'path';
+
+/**
+ * Compile a glob pattern for matching directory paths relative to a handlers directory.
+ * 
+ * Patterns follow the same rules as a `.gitignore` file. A pattern without a slash (ex: "dev") matches a directory of
+ * that name at any depth, while a pattern with a slash (ex: "tools/dev" or "/dev") only matches relative to the
+ * handlers directory. Within a pattern, `*` matches anything except a slash, `?` matches any single character except a
+ * slash, and `**` matches across any number of directories (ex: "admin/**" or "**\/internal").
+ * 
+ * @param {String} pattern The glob pattern.
+ * @throws {Error} If the pattern is not a string, or is empty, an exception will be thrown.
+ * @returns {Object} The compiled pattern, in this format: `{ pattern: [String], test: [Function] }`, where `test` is called with a relative directory path (ex: "tools/dev").
+ */
+function compilePathPattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.replace(/^\.?\/+|\/+$/g, '') === '') {
+        throw new Error(`Expected a path pattern to be a non-empty string, but received: ${JSON.stringify(pattern)}`);
+    }
+
+    const trimmed = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+    const anchored = trimmed.includes('/');
+    const body = trimmed.replace(/^\/+/, '');
+
+    let source = '';
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '*' && body[i + 1] === '*') {
+            // "**/" matches zero or more whole directories, a trailing "/**" matches everything beneath
+            if (body[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    const expression = new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+    return { pattern: pattern, test: (relativePath) => expression.test(relativePath) };
+}
+
+/**
+ * Compile a list of glob patterns, as given to the `pathBlacklist` or `pathWhitelist` arguments.
+ * 
+ * @param {Array|String|null|undefined} patterns The glob pattern(s).
+ * @throws {Error} If any of the patterns are not a non-empty string, an exception will be thrown.
+ * @returns {Array|null} The compiled patterns, or null if none were provided.
+ */
+function compilePathPatterns(patterns) {
+    if (patterns === null || patterns === undefined) return null;
+    const list = [].concat(patterns);
+    return list.length > 0 ? list.map(compilePathPattern) : null;
+}
+
+/**
+ * Express a directory path relative to a handlers directory, in the form the compiled patterns are tested against.
+ * 
+ * @param {String} rootDir The absolute path of the handlers directory.
+ * @param {String} dir The absolute path of the directory.
+ * @returns {String} The relative directory path using forward slashes (ex: "tools/dev"), or an empty string for the handlers directory itself.
+ */
+const relativePatternPath = (rootDir, dir) => path.relative(rootDir, dir).split(path.sep).filter(Boolean).join('/');
+
+/**
+ * Find the first of a list of compiled patterns that matches a directory path.
+ * 
+ * @param {Array} patterns The compiled patterns, as returned by `compilePathPattern`.
+ * @param {String} relativePath The directory path relative to the handlers directory, using forward slashes.
+ * @returns {Object|null} The matching compiled pattern, or null if none match.
+ */
+const findMatchingPattern = (patterns, relativePath) => patterns.find((compiled) => compiled.test(relativePath)) || null;
+
+/**
+ * Check whether a directory, or any of the directories it is within, matches any of a list of compiled patterns.
+ * 
+ * @param {Array} patterns The compiled patterns, as returned by `compilePathPattern`.
+ * @param {String} relativePath The directory path relative to the handlers directory, using forward slashes.
+ * @returns {Boolean} Whether the directory or one of its parents matches.
+ */
+function matchesPathOrParent(patterns, relativePath) {
+    const segments = relativePath.split('/').filter(Boolean);
+    for (let length = segments.length; length >= 0; length--) {
+        if (findMatchingPattern(patterns, segments.slice(0, length).join('/'))) return true;
+    }
+    return false;
+}
+
+export {
+    compilePathPattern,
+    compilePathPatterns,
+    relativePatternPath,
+    findMatchingPattern,
+    matchesPathOrParent
+}
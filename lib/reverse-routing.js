@@ -0,0 +1,168 @@
+import { parseDynamicSegmentKey } from './route-segments.js';
+
+/**
+ * Build the URL of a route from its pattern, as the reverse of matching a request to a route.
+ * 
+ * The pattern is written the same way as the routes are listed (ex: "/users/:userId(int)"), though any constraints can
+ * be left out (ex: "/users/:userId") as long as that doesn't leave more than one route to choose from. Each value is
+ * checked against the constraint of its URL parameter and then encoded, with catch-all parameters taking an array of
+ * values, one per path segment.
+ * 
+ * @param {Object} compiledRoutes The compiled root route node, as returned by `compileRouteRegistry`.
+ * @param {String} pattern The route pattern.
+ * @param {Object} [params = {}] The value of each URL parameter, keyed by name.
+ * @param {Object|URLSearchParams|null} [query = null] The query string values, keyed by name. Arrays repeat the name for each of their values, while `null` and `undefined` values are left out.
+ * @throws {Error} If no route (or more than one route) has the pattern, an exception will be thrown.
+ * @throws {Error} If a URL parameter is missing, unknown, empty or doesn't satisfy its constraint, an exception will be thrown.
+ * @returns {String} The URL path, followed by the query string if there is one (ex: "/users/42?tab=settings").
+ */
+function createRouteURL(compiledRoutes, pattern, params = {}, query = null) {
+    if (typeof pattern !== 'string') throw new Error(`Expected a route pattern to be a string, but received: ${typeof pattern}`);
+
+    // A route whose pattern is exactly the one provided takes precedence over any it loosely matches
+    const looseMatches = findRoutesByPattern(compiledRoutes, pattern);
+    const exactMatches = looseMatches.filter(({ compiledNode }) => compiledNode.pattern === pattern);
+    const matches = exactMatches.length > 0 ? exactMatches : looseMatches;
+    if (matches.length === 0) throw new Error(`There is no route with the pattern '${pattern}'.`);
+    if (matches.length > 1) {
+        throw new Error(`The pattern '${pattern}' matches more than one route (${matches.map(({ compiledNode }) => `'${compiledNode.pattern}'`).join(', ')}), include its constraints to choose between them.`);
+    }
+
+    const { segments } = matches[0];
+    const values = params || {};
+    const paramNames = segments.filter((segment) => segment.name !== undefined).map((segment) => segment.name);
+    const unknownNames = Object.keys(values).filter((name) => !paramNames.includes(name));
+    if (unknownNames.length > 0) {
+        throw new Error(`The route '${pattern}' has no URL parameter(s) named ${unknownNames.map((name) => `'${name}'`).join(', ')}.`);
+    }
+
+    const pathSegments = [];
+    for (const segment of segments) {
+        if (segment.name === undefined) {
+            pathSegments.push(segment.value);
+        } else {
+            pathSegments.push(...formatParamValues(pattern, segment, values[segment.name]));
+        }
+    }
+
+    const path = '/' + pathSegments.join('/');
+    const queryString = createQueryString(query);
+    return queryString ? `${path}?${queryString}` : path;
+}
+
+/**
+ * Find every route with an endpoint whose pattern is the same as the one provided, treating any constraint left out of
+ * the provided pattern as a wildcard.
+ * 
+ * @param {Object} compiledRoutes The compiled root route node, as returned by `compileRouteRegistry`.
+ * @param {String} pattern The route pattern.
+ * @returns {Array} The matching routes, in this format:
+ * 
+ * ```
+ * [
+ *     {
+ *         compiledNode: [Object],
+ *         segments: [Array] // Either { value } for a static segment, or the dynamic child of its parent node
+ *     }
+ * ]
+ * ```
+ */
+function findRoutesByPattern(compiledRoutes, pattern) {
+    const patternSegments = pattern.split('/').filter(Boolean);
+    const matches = [];
+
+    const visit = (compiledNode, index, segments) => {
+        if (index === patternSegments.length) {
+            if (compiledNode.methods.length > 0 || compiledNode.kinds.length > 0) matches.push({ compiledNode, segments });
+            return;
+        }
+
+        const patternSegment = patternSegments[index];
+        if (!patternSegment.startsWith(':')) {
+            const staticChild = compiledNode.staticChildren.get(patternSegment);
+            if (staticChild) visit(staticChild, index + 1, [...segments, { value: patternSegment }]);
+            return;
+        }
+
+        const { name, constraint, catchAll, optional } = parseDynamicSegmentKey('/' + patternSegment);
+        for (const dynamicChild of compiledNode.dynamicChildren) {
+            if (dynamicChild.name !== name || dynamicChild.catchAll !== catchAll || dynamicChild.optional !== optional) continue;
+            if (constraint && !isSameConstraint(constraint, dynamicChild.constraint)) continue;
+            visit(dynamicChild.child, index + 1, [...segments, dynamicChild]);
+        }
+    };
+    visit(compiledRoutes, 0, []);
+
+    return matches;
+}
+
+/**
+ * Check the value(s) given for a URL parameter, and encode them as path segments.
+ * 
+ * @param {String} pattern The route pattern, used within any error messages.
+ * @param {Object} segment The dynamic child the value is for, in the format `{ name, constraint, paramType, catchAll, optional }`.
+ * @param {any} value The value given for the URL parameter.
+ * @throws {Error} If the value is missing, empty or doesn't satisfy the constraint of the URL parameter, an exception will be thrown.
+ * @returns {Array} The encoded path segments, which is empty for an optional catch-all without any values.
+ */
+function formatParamValues(pattern, { name, constraint, paramType, catchAll, optional }, value) {
+    if (value === undefined || value === null) {
+        if (optional) return [];
+        throw new Error(`The route '${pattern}' requires a value for the URL parameter '${name}'.`);
+    }
+    if (Array.isArray(value) && !catchAll) {
+        throw new Error(`The URL parameter '${name}' of the route '${pattern}' only takes a single value.`);
+    }
+
+    const values = [].concat(value);
+    if (values.length === 0 && !optional) {
+        throw new Error(`The route '${pattern}' requires at least one value for the URL parameter '${name}'.`);
+    }
+
+    return values.map((item) => {
+        if (!['string', 'number', 'boolean', 'bigint'].includes(typeof item)) {
+            throw new Error(`The URL parameter '${name}' of the route '${pattern}' can't be given a value of type ${item === null ? 'null' : typeof item}.`);
+        }
+        const text = String(item);
+        if (text === '') throw new Error(`The URL parameter '${name}' of the route '${pattern}' can't be empty.`);
+        if (paramType && !paramType.test(text)) {
+            const constraintText = constraint.type === 'regex' ? `regex:${constraint.pattern}` : constraint.type;
+            throw new Error(`The value '${text}' does not satisfy the '${constraintText}' constraint of the URL parameter '${name}' of the route '${pattern}'.`);
+        }
+        return encodeURIComponent(text);
+    });
+}
+
+/**
+ * Encode the query string values of a URL.
+ * 
+ * @param {Object|URLSearchParams|null|undefined} query The query string values, keyed by name.
+ * @returns {String} The query string, without a leading "?", or an empty string if there are no values.
+ */
+function createQueryString(query) {
+    if (query === null || query === undefined) return '';
+    if (query instanceof URLSearchParams) return query.toString();
+    if (typeof query !== 'object') throw new Error(`Expected the query to be an object, but received: ${typeof query}`);
+
+    const searchParams = new URLSearchParams();
+    for (const [name, value] of Object.entries(query)) {
+        for (const item of [].concat(value)) {
+            if (item === undefined || item === null) continue;
+            searchParams.append(name, String(item));
+        }
+    }
+    return searchParams.toString();
+}
+
+/**
+ * Check whether two parsed URL parameter constraints are the same.
+ * 
+ * @param {Object} a The constraint, as returned by `parseParamConstraint`.
+ * @param {Object|null} b The other constraint, or null if there is none.
+ * @returns {Boolean} Whether the constraints are the same.
+ */
+const isSameConstraint = (a, b) => b !== null && a.type === b.type && a.pattern === b.pattern;
+
+export {
+    createRouteURL
+}
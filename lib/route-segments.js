@@ -0,0 +1,135 @@
+/**
+ * The URL parameter types that are available without needing to be registered, keyed by the name used within a
+ * directory name (ex: "[userId=int]").
+ * 
+ * Each type provides a `test` to check whether a path segment satisfies it, and a `convert` to turn the segment into
+ * the value written to `req.params`.
+ */
+const BUILT_IN_PARAM_TYPES = {
+    int: { test: /^-?\d+$/, convert: (value) => Number(value) },
+    float: { test: /^-?(\d+\.?\d*|\.\d+)$/, convert: (value) => Number(value) },
+    bool: { test: /^(true|false)$/i, convert: (value) => value.toLowerCase() === 'true' },
+    uuid: { test: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, convert: (value) => value }
+};
+
+/**
+ * Convert a directory name like "[customerID]" to an Express-style dynamic segment (ex: "/:customerID")
+ * 
+ * Catch-all directory names are converted with a modifier, "[...slug]" matching one or more segments (ex: "/:slug+")
+ * and "[[...slug]]" matching zero or more segments (ex: "/:slug*").
+ * 
+ * Constrained directory names keep their constraint in parenthesis, "[userId=int]" becoming "/:userId(int)" and
+ * "[slug=regex:^[a-z-]+$]" becoming "/:slug(regex:^[a-z-]+$)".
+ * 
+ * @param {String} segment The directory path segement.
+ * @returns {String} The URL Express-style version of the provided directory.
+ */
+const formatSegment = (segment) => {
+    let modifier = '';
+    let inner;
+    if (/^\[\[\.\.\..+\]\]$/.test(segment)) {
+        modifier = '*';
+        inner = segment.slice(5, -2);
+    } else if (/^\[\.\.\..+\]$/.test(segment)) {
+        modifier = '+';
+        inner = segment.slice(4, -1);
+    } else if (/^\[.+\]$/.test(segment)) {
+        inner = segment.slice(1, -1);
+    } else {
+        return '/' + segment;
+    }
+
+    const separator = inner.indexOf('=');
+    if (separator < 0) return `/:${inner}${modifier}`;
+    return `/:${inner.slice(0, separator)}(${inner.slice(separator + 1)})${modifier}`;
+};
+
+/**
+ * Check whether a directory name is a route group (ex: "(admin)"), which organizes endpoints without adding a segment
+ * to their URL path.
+ * 
+ * @param {String} segment The directory path segment.
+ * @returns {Boolean} Whether the directory is a route group.
+ */
+const isRouteGroupSegment = (segment) => /^\(.+\)$/.test(segment);
+
+/**
+ * Check whether a directory name is private (ex: "_components"), in which case nothing within it is ever routed.
+ * 
+ * @param {String} segment The directory path segment.
+ * @returns {Boolean} Whether the directory is private.
+ */
+const isPrivateSegment = (segment) => segment.startsWith('_');
+
+/**
+ * Break apart the key of a dynamic segment within the compiled routes JSON.
+ * 
+ * @param {String} key The dynamic segment key (ex: "/:customerID", "/:customerID(int)", "/:slug+" or "/:slug*").
+ * @returns {Object} The parameter name, its constraint (or null), and whether the segment is a catch-all and/or optional, in this format:
+ * 
+ * ```
+ * {
+ *     name: [String],
+ *     constraint: [Object|null], // { type: [String], pattern: [String|null] }
+ *     catchAll: [Boolean],
+ *     optional: [Boolean]
+ * }
+ * ```
+ */
+const parseDynamicSegmentKey = (key) => {
+    const [, name, constraint, modifier] = key.match(/^\/:([^(+*]+)(?:\((.*)\))?([+*]?)$/) || [null, key.slice(2), undefined, ''];
+    return {
+        name: name,
+        constraint: constraint === undefined ? null : parseParamConstraint(constraint),
+        catchAll: modifier !== '',
+        optional: modifier === '*'
+    };
+};
+
+/**
+ * Break apart a URL parameter constraint, such as "int" or "regex:^[a-z-]+$".
+ * 
+ * @param {String} constraint The constraint, as written after the "=" of a directory name.
+ * @returns {Object} The constraint type, and the pattern for `regex` constraints, in this format: `{ type, pattern }`.
+ */
+const parseParamConstraint = (constraint) => {
+    if (constraint.startsWith('regex:')) return { type: 'regex', pattern: constraint.slice('regex:'.length) };
+    return { type: constraint, pattern: null };
+};
+
+/**
+ * Resolve a parsed URL parameter constraint to the parameter type which enforces it.
+ * 
+ * @param {Object} constraint The constraint, as returned by `parseParamConstraint`.
+ * @param {Object} [paramTypes = {}] Any custom parameter types, keyed by name. These take precedence over the built-in types.
+ * @throws {Error} If the constraint refers to an unknown parameter type or an invalid regex, an exception will be thrown.
+ * @returns {Object} The parameter type, in this format: `{ test: [Function], convert: [Function] }`.
+ */
+function resolveParamType(constraint, paramTypes = {}) {
+    if (constraint.type === 'regex') {
+        const expression = new RegExp(constraint.pattern);
+        return { test: (value) => expression.test(value), convert: (value) => value };
+    }
+
+    const paramType = [paramTypes, BUILT_IN_PARAM_TYPES]
+        .map((types) => Object.prototype.hasOwnProperty.call(types, constraint.type) ? types[constraint.type] : null)
+        .find(Boolean);
+    if (!paramType) throw new Error(`Unknown URL parameter type '${constraint.type}'.`);
+
+    // Allow a lone RegExp or function to be used as shorthand for the test
+    const { test, convert } = (paramType instanceof RegExp || typeof paramType === 'function') ? { test: paramType } : paramType;
+    return {
+        test: test instanceof RegExp ? (value) => test.test(value) : test,
+        convert: typeof convert === 'function' ? convert : (value) => value
+    };
+}
+
+export {
+    BUILT_IN_PARAM_TYPES,
+    formatSegment,
+    isRouteGroupSegment,
+    isPrivateSegment,
+    parseDynamicSegmentKey,
+    parseParamConstraint,
+    resolveParamType
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { HTTP_METHODS } from './utilities.js';
+import { ROUTE_KINDS } from './endpoint-files.js';
+import { parseDynamicSegmentKey } from './route-segments.js';
+
+/**
+ * The TypeScript types of the values accepted by each of the built-in URL parameter types, when building a URL.
+ */
+const PARAM_TYPE_VALUES = {
+    int: 'number | `${number}`',
+    float: 'number | `${number}`',
+    bool: "boolean | 'true' | 'false'"
+};
+
+/**
+ * The TypeScript template literal placeholders matching each of the built-in URL parameter types, within a request path.
+ */
+const PARAM_TYPE_PLACEHOLDERS = {
+    int: '${number}',
+    float: '${number}',
+    bool: '${boolean}'
+};
+
+/**
+ * Create a TypeScript declaration file describing every route within a routes JSON file.
+ * 
+ * The declarations list the URL parameters, methods and request paths of each route pattern, along with a
+ * `TypedEndpointRouting` interface that can be used in place of the `EndpointRouting` instance so that calls to
+ * `urlFor()` and `simulatePathRequest()` are checked against them:
+ * 
+ * ```
+ * import endpointRouting from 'endpoint-routing';
+ * import type { TypedEndpointRouting } from './routes';
+ * 
+ * const routing: TypedEndpointRouting = await endpointRouting({ routesConfig: 'routes.json' });
+ * routing.urlFor('/users/:userId', { userId: 42 });
+ * ```
+ * 
+ * Routes with constraints are listed under their full pattern (ex: "/users/:userId(int)"), and also under the pattern
+ * without its constraints (ex: "/users/:userId") as long as no other route shares it.
+ * 
+ * @param {Object} routeConfig The contents of a routes JSON file.
+ * @returns {String} The contents of the declaration file.
+ */
+function createRouteTypes(routeConfig) {
+    const routeRegistry = routeConfig.hasOwnProperty('routes') ? routeConfig['routes'] : routeConfig;
+    const routes = collectRoutes(routeRegistry);
+
+    // Routes can also be referred to without their constraints, unless that would be ambiguous
+    const entries = routes.map((route) => ({ key: route.pattern, route }));
+    const looseCounts = new Map();
+    for (const route of routes) looseCounts.set(route.loosePattern, (looseCounts.get(route.loosePattern) || 0) + 1);
+    for (const route of routes) {
+        if (route.loosePattern !== route.pattern && looseCounts.get(route.loosePattern) === 1) entries.push({ key: route.loosePattern, route });
+    }
+    entries.sort((a, b) => a.key.localeCompare(b.key));
+
+    const lines = [
+        '// This file is generated by endpoint-routing from the compiled routes, any changes will be overwritten.',
+        '',
+        '/** The URL parameters of each route pattern. */',
+        'export interface RouteParams {',
+        ...entries.map(({ key, route }) => `    ${quoteString(key)}: ${formatParamsType(route.segments)};`),
+        '}',
+        '',
+        '/** The methods each route pattern can be requested with, including those that are answered automatically. */',
+        'export interface RouteMethods {',
+        ...entries.map(({ key, route }) => `    ${quoteString(key)}: ${route.methods.map((method) => `'${method}'`).join(' | ') || 'never'};`),
+        '}',
+        '',
+        '/** The request paths matched by each route pattern. */',
+        'export interface RoutePaths {',
+        ...entries.map(({ key, route }) => `    ${quoteString(key)}: ${formatPathTypes(route.segments).join(' | ')};`),
+        '}',
+        '',
+        'export type RoutePattern = keyof RouteParams;',
+        'export type RoutePath = RoutePaths[RoutePattern];',
+        'export type RouteMethod = RouteMethods[RoutePattern];',
+        'export type RouteQuery = URLSearchParams | Record<string, string | number | boolean | null | undefined | Array<string | number | boolean>>;',
+        '',
+        '/** The parameters of `urlFor()` for a route pattern, which can leave out the URL parameters if it has none that are required. */',
+        'export type UrlForArgs<P extends RoutePattern> = {} extends RouteParams[P]',
+        '    ? [params?: RouteParams[P], options?: { query?: RouteQuery }]',
+        '    : [params: RouteParams[P], options?: { query?: RouteQuery }];',
+        '',
+        '/** An `EndpointRouting` instance, with its path and pattern arguments checked against the compiled routes. */',
+        'export interface TypedEndpointRouting {',
+        '    urlFor<P extends RoutePattern>(pattern: P, ...args: UrlForArgs<P>): string;',
+        '    simulatePathRequest(path: RoutePath, method: RouteMethod | Lowercase<RouteMethod>, req?: object, res?: object): Promise<any>;',
+        '    doesEndpointExist(path: RoutePath, method: RouteMethod | Lowercase<RouteMethod>): Promise<boolean>;',
+        "    getRouteMeta(path: RoutePath, method: RouteMethod | Lowercase<RouteMethod> | 'WS' | 'SSE'): Record<string, any> | null;",
+        '    listRoutes(options?: { filter?: (route: { path: string, method: string, filePath: string, meta: Record<string, any> }) => boolean }): Array<{ path: string, method: string, filePath: string, meta: Record<string, any> }>;',
+        '    inject(options?: { method?: RouteMethod | Lowercase<RouteMethod>, url?: RoutePath | `${RoutePath}?${string}`, headers?: Record<string, string>, body?: any, query?: Record<string, any> }): Promise<{ statusCode: number, headers: Record<string, any>, body: any, result: any, params: Record<string, any> }>;',
+        '    middleware(options?: { fallthrough?: boolean }): (req: any, res: any, next: (err?: any) => void) => Promise<void>;',
+        '    createRequestListener(options?: { parseBody?: boolean, bodyLimit?: number, onError?: (err: any, req: any, res: any) => void }): (req: any, res: any) => Promise<void>;',
+        '    attachUpgrade(server: any, options?: { fallthrough?: boolean, maxPayload?: number }): { close(): void };',
+        "    getMetrics(options: { format: 'prometheus' }): string;",
+        "    getMetrics(options?: { format?: 'json' }): { since: string, unmatched: number, routes: Array<{ pattern: RoutePattern, method: string, count: number, errorCount: number, errorRate: number, duration: { sum: number, min: number, max: number, mean: number }, histogram: Array<{ le: number, count: number }> }> };",
+        '    preload(): Promise<TypedEndpointRouting>;',
+        '    close(): void;',
+        '}',
+        ''
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Recursively collect every route with an endpoint from the nested routes object.
+ * 
+ * @param {Object} routeNode The route node to collect from.
+ * @param {String} [routePath = ""] The path of the route node.
+ * @param {Array} [segments = []] The parsed segments leading to the route node, either `{ value }` for a static segment or the result of `parseDynamicSegmentKey`.
+ * @returns {Array} The routes, in the format `{ pattern, loosePattern, segments, methods }`.
+ */
+function collectRoutes(routeNode, routePath = '', segments = []) {
+    const routes = [];
+    const definedMethods = HTTP_METHODS.filter((method) => routeNode[method] && routeNode[method].filePath);
+    const definedKinds = ROUTE_KINDS.filter((kind) => routeNode[kind] && routeNode[kind].filePath);
+    if (definedMethods.length > 0 || definedKinds.length > 0) {
+        const methods = [...definedMethods];
+        if (methods.includes('GET') && !methods.includes('HEAD')) methods.push('HEAD');
+        if (definedKinds.includes('SSE') && !methods.includes('GET')) methods.push('GET');
+        if (methods.length > 0 && !methods.includes('OPTIONS')) methods.push('OPTIONS');
+
+        const loosePattern = '/' + segments.map((segment) => segment.name === undefined
+            ? segment.value
+            : `:${segment.name}${segment.catchAll ? (segment.optional ? '*' : '+') : ''}`).join('/');
+        routes.push({ pattern: routePath || '/', loosePattern, segments, methods });
+    }
+
+    for (const key of Object.keys(routeNode).filter((key) => key.startsWith('/'))) {
+        const segment = key.startsWith('/:') ? parseDynamicSegmentKey(key) : { value: key.slice(1) };
+        routes.push(...collectRoutes(routeNode[key], routePath + key, [...segments, segment]));
+    }
+    return routes;
+}
+
+/**
+ * Format the TypeScript type of the URL parameters accepted by a route.
+ * 
+ * @param {Array} segments The parsed segments of the route.
+ * @returns {String} The TypeScript object type.
+ */
+function formatParamsType(segments) {
+    const properties = segments.filter((segment) => segment.name !== undefined).map(({ name, constraint, catchAll, optional }) => {
+        const valueType = (constraint && PARAM_TYPE_VALUES[constraint.type]) || 'string | number';
+        const type = !catchAll ? valueType : (optional ? `Array<${valueType}>` : `[${valueType}, ...Array<${valueType}>]`);
+        return `${/^[A-Za-z_$][\w$]*$/.test(name) ? name : quoteString(name)}${optional ? '?' : ''}: ${type}`;
+    });
+    return properties.length > 0 ? `{ ${properties.join(', ')} }` : '{}';
+}
+
+/**
+ * Format the TypeScript template literal types of the request paths matched by a route.
+ * 
+ * @param {Array} segments The parsed segments of the route.
+ * @returns {Array} The template literal types, with one for each combination of optional catch-all segments being present or not.
+ */
+function formatPathTypes(segments) {
+    let paths = [''];
+    for (const segment of segments) {
+        if (segment.name === undefined) {
+            paths = paths.map((path) => `${path}/${escapeTemplateLiteral(segment.value)}`);
+            continue;
+        }
+        const placeholder = (!segment.catchAll && segment.constraint && PARAM_TYPE_PLACEHOLDERS[segment.constraint.type]) || '${string}';
+        const withSegment = paths.map((path) => `${path}/${placeholder}`);
+        paths = segment.optional ? [...paths, ...withSegment] : withSegment;
+    }
+    return [...new Set(paths.map((path) => `\`${path || '/'}\``))];
+}
+
+/**
+ * Quote a value as a TypeScript string literal.
+ * 
+ * @param {String} value The value.
+ * @returns {String} The string literal.
+ */
+const quoteString = (value) => `'${value.replace(/[\\']/g, '\\$&')}'`;
+
+/**
+ * Escape a static path segment for use within a TypeScript template literal type.
+ * 
+ * @param {String} value The path segment.
+ * @returns {String} The escaped path segment.
+ */
+const escapeTemplateLiteral = (value) => value.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+
+export {
+    createRouteTypes
+}
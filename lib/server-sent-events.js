@@ -0,0 +1,105 @@
+/**
+ * Check whether a request to an endpoint with an `SSE` handler should be answered with an event stream.
+ * 
+ * Endpoints that only define `SSE` answer every `GET` request with an event stream, while those that also define
+ * `GET` only do so for requests that accept `text/event-stream` (as `EventSource` does).
+ * 
+ * @param {Object} req The request object.
+ * @param {Boolean} hasGetHandler Whether the endpoint also defines a `GET` handler.
+ * @returns {Boolean} Whether the request should be answered with an event stream.
+ */
+function acceptsEventStream(req, hasGetHandler) {
+    if (!hasGetHandler) return true;
+    const accept = (req && req.headers && req.headers['accept']) || '';
+    return String(accept).toLowerCase().includes('text/event-stream');
+}
+
+/**
+ * Begin responding to a request with a Server-Sent Events stream, and create the helper an `SSE` handler uses to write
+ * to it.
+ * 
+ * The response headers are sent straight away, with any already set on the response (such as by CORS or directory
+ * middleware) kept. The stream stays open until either side closes it.
+ * 
+ * @param {Object} res The response object.
+ * @returns {Object} The stream helper, in this format:
+ * 
+ * ```
+ * {
+ *     send: [Function], // (data, { event, id, retry }) => Boolean, where data that isn't a string is sent as JSON
+ *     comment: [Function], // (text) => Boolean, useful as a heartbeat to keep the connection from timing out
+ *     close: [Function], // () => void, ending the response
+ *     onClose: [Function], // (callback) => void, called once when the stream closes from either side
+ *     closed: [Boolean]
+ * }
+ * ```
+ */
+function createEventStream(res) {
+    const closeCallbacks = [];
+    let closed = false;
+
+    const markClosed = () => {
+        if (closed) return;
+        closed = true;
+        for (const callback of closeCallbacks.splice(0)) {
+            try {
+                callback();
+            } catch(e) {
+                console.error('An SSE onClose callback failed:', e);
+            }
+        }
+    };
+    const write = (text) => {
+        if (closed) return false;
+        res.write(text);
+        return true;
+    };
+
+    res.writeHead(res.statusCode || 200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+    // The client going away is only noticed through the response, as the request closes once it has been read
+    if (typeof res.on === 'function') res.on('close', markClosed);
+
+    const stream = {
+        send: (data, options = {}) => {
+            const lines = [];
+            if (options['event'] !== undefined) lines.push(`event: ${stripLineBreaks(options['event'])}`);
+            if (options['id'] !== undefined) lines.push(`id: ${stripLineBreaks(options['id'])}`);
+            if (options['retry'] !== undefined) lines.push(`retry: ${Math.max(0, Math.floor(Number(options['retry']) || 0))}`);
+            const text = typeof data === 'string' ? data : JSON.stringify(data === undefined ? null : data);
+            for (const line of text.split(/\r\n|\r|\n/)) lines.push(`data: ${line}`);
+            return write(lines.join('\n') + '\n\n');
+        },
+        comment: (text = '') => write(String(text).split(/\r\n|\r|\n/).map((line) => `: ${line}`).join('\n') + '\n\n'),
+        close: () => {
+            if (closed) return;
+            res.end();
+            markClosed();
+        },
+        onClose: (callback) => {
+            if (closed) return callback();
+            closeCallbacks.push(callback);
+        }
+    };
+    Object.defineProperty(stream, 'closed', { get: () => closed, enumerable: true });
+    return stream;
+}
+
+/**
+ * Remove any line breaks from the value of an event stream field, which would otherwise end the field early.
+ * 
+ * @param {any} value The field value.
+ * @returns {String} The field value, on a single line.
+ */
+const stripLineBreaks = (value) => String(value).replace(/[\r\n]/g, '');
+
+export {
+    acceptsEventStream,
+    createEventStream
+}
@@ -2,6 +2,11 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+/**
+ * The standard HTTP request methods.
+ */
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'CONNECT', 'OPTIONS', 'TRACE', 'PATCH'];
+
 /**
  * Resolves and validates a file or directory path based on specified constraints.
  *
@@ -121,6 +126,7 @@ function getNodePackageValue(key) {
 }
 
 export {
+    HTTP_METHODS,
     resolveAndValidatePath,
     toPlatformPath,
     logPlatformRespectiveMessage,
@@ -0,0 +1,218 @@
+/**
+ * The string formats that can be checked with the `format` keyword.
+ */
+const STRING_FORMATS = {
+    'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    'uuid': /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    'date': /^\d{4}-\d{2}-\d{2}$/,
+    'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+    'time': /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+    'uri': /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+    'ipv4': /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/
+};
+
+/**
+ * Validate a value against a JSON Schema.
+ * 
+ * The commonly used keywords are supported: `type`, `enum`, `const`, `nullable`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems`, `uniqueItems`, `minLength`, `maxLength`, `pattern`,
+ * `format`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `allOf`, `anyOf`, `oneOf`
+ * and `not`. Any other keywords are ignored.
+ * 
+ * @param {any} value The value to validate.
+ * @param {Object} schema The JSON Schema.
+ * @param {Object} [options] A list of parameters to configure the validation. The supported arguments are as follows:
+ * 
+ * * **coerce** `Boolean` - Whether strings should be converted to the number, integer or boolean the schema expects, as is needed for URL values. By default, this is set to `false`.
+ * 
+ * @returns {Object} The outcome of the validation, in this format:
+ * 
+ * ```
+ * {
+ *     valid: [Boolean],
+ *     value: [any], // The value, with any coercion applied
+ *     errors: [Array] // { path, message }, where path is a JSON pointer (ex: "/items/0/name")
+ * }
+ * ```
+ */
+function validateSchema(value, schema, options = {}) {
+    const errors = [];
+    const coercedValue = validateNode(value, schema, '', errors, options['coerce'] === true);
+    return { valid: errors.length === 0, value: coercedValue, errors: errors };
+}
+
+/**
+ * Recursively validate a value against a (sub)schema, writing any problems to the list of errors.
+ * 
+ * @param {any} value The value to validate.
+ * @param {Object} schema The (sub)schema.
+ * @param {String} pointer The JSON pointer of this value.
+ * @param {Array} errors The list of errors to write to.
+ * @param {Boolean} coerce Whether strings should be coerced to the type the schema expects.
+ * @returns {any} The value, with any coercion applied.
+ */
+function validateNode(value, schema, pointer, errors, coerce) {
+    if (schema === true || schema === undefined || schema === null) return value;
+    if (schema === false) {
+        errors.push({ path: pointer, message: 'is not allowed' });
+        return value;
+    }
+
+    const fail = (message) => errors.push({ path: pointer, message: message });
+
+    // Types
+    if (value === null && schema['nullable'] === true) return value;
+    if (schema['type'] !== undefined) {
+        const types = [].concat(schema['type']);
+        if (coerce) value = coerceValue(value, types);
+        if (!types.some((type) => matchesType(value, type))) {
+            fail(`must be of type ${types.join(' or ')}`);
+            return value;
+        }
+    }
+
+    // Exact values
+    if (schema['enum'] !== undefined && !schema['enum'].some((option) => deepEqual(option, value))) {
+        fail(`must be one of ${schema['enum'].map((option) => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema['const'] !== undefined && !deepEqual(schema['const'], value)) {
+        fail(`must be equal to ${JSON.stringify(schema['const'])}`);
+    }
+
+    // Strings
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema['minLength'] !== undefined && length < schema['minLength']) fail(`must be at least ${schema['minLength']} characters long`);
+        if (schema['maxLength'] !== undefined && length > schema['maxLength']) fail(`must be at most ${schema['maxLength']} characters long`);
+        if (schema['pattern'] !== undefined && !new RegExp(schema['pattern']).test(value)) fail(`must match the pattern ${schema['pattern']}`);
+        if (schema['format'] !== undefined && STRING_FORMATS[schema['format']] && !STRING_FORMATS[schema['format']].test(value)) fail(`must be a valid ${schema['format']}`);
+    }
+
+    // Numbers
+    if (typeof value === 'number') {
+        if (schema['minimum'] !== undefined && value < schema['minimum']) fail(`must be greater than or equal to ${schema['minimum']}`);
+        if (schema['maximum'] !== undefined && value > schema['maximum']) fail(`must be less than or equal to ${schema['maximum']}`);
+        if (typeof schema['exclusiveMinimum'] === 'number' && value <= schema['exclusiveMinimum']) fail(`must be greater than ${schema['exclusiveMinimum']}`);
+        if (typeof schema['exclusiveMaximum'] === 'number' && value >= schema['exclusiveMaximum']) fail(`must be less than ${schema['exclusiveMaximum']}`);
+        if (schema['multipleOf'] !== undefined && Math.abs(value / schema['multipleOf'] - Math.round(value / schema['multipleOf'])) > 1e-9) fail(`must be a multiple of ${schema['multipleOf']}`);
+    }
+
+    // Arrays
+    if (Array.isArray(value)) {
+        if (schema['minItems'] !== undefined && value.length < schema['minItems']) fail(`must contain at least ${schema['minItems']} items`);
+        if (schema['maxItems'] !== undefined && value.length > schema['maxItems']) fail(`must contain at most ${schema['maxItems']} items`);
+        if (schema['uniqueItems'] === true && value.some((item, index) => value.findIndex((other) => deepEqual(item, other)) !== index)) fail('must not contain duplicate items');
+        if (schema['items'] !== undefined) {
+            value = value.map((item, index) => validateNode(item, schema['items'], `${pointer}/${index}`, errors, coerce));
+        }
+    }
+
+    // Objects
+    if (isPlainObject(value)) {
+        const properties = schema['properties'] || {};
+        for (const key of schema['required'] || []) {
+            if (value[key] === undefined) errors.push({ path: `${pointer}/${escapePointer(key)}`, message: 'is required' });
+        }
+
+        const result = { ...value };
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertyPointer = `${pointer}/${escapePointer(key)}`;
+            if (properties.hasOwnProperty(key)) {
+                result[key] = validateNode(propertyValue, properties[key], propertyPointer, errors, coerce);
+            } else if (schema['additionalProperties'] === false) {
+                errors.push({ path: propertyPointer, message: 'is not an allowed property' });
+            } else if (typeof schema['additionalProperties'] === 'object') {
+                result[key] = validateNode(propertyValue, schema['additionalProperties'], propertyPointer, errors, coerce);
+            }
+        }
+        value = result;
+    }
+
+    // Combinations
+    if (Array.isArray(schema['allOf'])) {
+        for (const subschema of schema['allOf']) value = validateNode(value, subschema, pointer, errors, coerce);
+    }
+    if (Array.isArray(schema['anyOf']) && !schema['anyOf'].some((subschema) => validateSchema(value, subschema, { coerce }).valid)) {
+        fail('must match at least one of the allowed schemas');
+    }
+    if (Array.isArray(schema['oneOf']) && schema['oneOf'].filter((subschema) => validateSchema(value, subschema, { coerce }).valid).length !== 1) {
+        fail('must match exactly one of the allowed schemas');
+    }
+    if (schema['not'] !== undefined && validateSchema(value, schema['not'], { coerce }).valid) {
+        fail('must not match the disallowed schema');
+    }
+
+    return value;
+}
+
+/**
+ * Check whether a value is of a JSON Schema type.
+ * 
+ * @param {any} value The value.
+ * @param {String} type The JSON Schema type.
+ * @returns {Boolean} Whether the value is of that type.
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+}
+
+/**
+ * Attempt to convert a string into the number, integer or boolean a schema expects.
+ * 
+ * @param {any} value The value.
+ * @param {Array} types The JSON Schema types the value is expected to be.
+ * @returns {any} The converted value, or the value as-is if it couldn't (or didn't need to) be converted.
+ */
+function coerceValue(value, types) {
+    if (typeof value !== 'string' || types.includes('string')) return value;
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    if (types.includes('null') && value === '') return null;
+    if (types.includes('array')) return [value];
+    return value;
+}
+
+/**
+ * Check whether a value is a plain object, rather than an array, null, or other instance.
+ * 
+ * @param {any} value The value.
+ * @returns {Boolean} Whether the value is a plain object.
+ */
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Check whether two JSON values are structurally equal.
+ * 
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {Boolean} Whether the values are equal.
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every((key) => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Escape a property name for use within a JSON pointer.
+ * 
+ * @param {String} key The property name.
+ * @returns {String} The escaped property name.
+ */
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+export {
+    validateSchema
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Watch a directory, and every directory beneath it, for changes.
+ * 
+ * Each directory is watched individually rather than relying on `fs.watch(..., { recursive: true })`, which isn't
+ * available on every platform and NodeJS version. Directories that are added or removed are picked up automatically.
+ * 
+ * Changes are debounced, so a burst of changes (such as an editor saving a file, or a folder being copied in) results
+ * in a single call to `onChange`.
+ * 
+ * @param {String} rootDir The absolute path of the directory to watch.
+ * @param {Function} onChange A function called with an array of the absolute paths of the directories that changed.
+ * @param {Object} [options] A list of parameters to configure the watcher. The supported arguments are as follows:
+ * 
+ * * **delay** `Number` - How long to wait for further changes before calling `onChange`, in milliseconds. By default, this is set to `100`.
+ * * **ignore** `Function` - A function called with the name and absolute path of each directory, returning whether it should be skipped. By default, nothing is skipped.
+ * * **persistent** `Boolean` - Whether the watcher should keep the NodeJS process running. By default, this is set to `true`.
+ * 
+ * @returns {Object} A handle to the watcher, with a `close()` function to stop watching.
+ */
+function watchDirectoryTree(rootDir, onChange, options = {}) {
+    const delay = options['delay'] === undefined ? 100 : options['delay'];
+    const ignore = options['ignore'] || (() => false);
+    const persistent = options['persistent'] !== false;
+
+    const watchers = new Map();
+    const pendingDirs = new Set();
+    let timer = null;
+    let closed = false;
+
+    // Start watching any directories we aren't already, and stop watching any that no longer exist
+    const synchronize = () => {
+        const dirs = new Set(listDirectoryTree(rootDir, ignore));
+        for (const [dir, watcher] of watchers) {
+            if (dirs.has(dir)) continue;
+            watcher.close();
+            watchers.delete(dir);
+        }
+        for (const dir of dirs) {
+            if (watchers.has(dir)) continue;
+            try {
+                const watcher = fs.watch(dir, { persistent }, () => schedule(dir));
+                watcher.on('error', () => {
+                    watcher.close();
+                    watchers.delete(dir);
+                    schedule(path.dirname(dir));
+                });
+                watchers.set(dir, watcher);
+            } catch (e) {
+                // The directory was removed before we got to it, the parent's watcher will report it
+            }
+        }
+    };
+
+    const schedule = (dir) => {
+        if (closed) return;
+        pendingDirs.add(dir);
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+        if (!persistent) timer.unref();
+    };
+
+    const flush = () => {
+        const dirs = [...pendingDirs];
+        pendingDirs.clear();
+        synchronize();
+        onChange(dirs);
+    };
+
+    synchronize();
+
+    return {
+        close: () => {
+            closed = true;
+            clearTimeout(timer);
+            for (const watcher of watchers.values()) watcher.close();
+            watchers.clear();
+        }
+    };
+}
+
+/**
+ * List a directory, and every directory beneath it.
+ * 
+ * @param {String} dir The absolute path of the directory to list from.
+ * @param {Function} ignore A function called with the name and absolute path of each directory, returning whether it should be skipped.
+ * @returns {Array} The absolute paths of every directory, starting with `dir` itself.
+ */
+function listDirectoryTree(dir, ignore) {
+    if (!fs.existsSync(dir)) return [];
+    const dirs = [dir];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (!entry.isDirectory() || ignore(entry.name, entryPath)) continue;
+        dirs.push(...listDirectoryTree(entryPath, ignore));
+    }
+    return dirs;
+}
+
+export {
+    watchDirectoryTree
+}
\ No newline at end of file
@@ -0,0 +1,451 @@
+import crypto from 'crypto';
+import http from 'http';
+import { EventEmitter } from 'events';
+
+/**
+ * The GUID the `Sec-WebSocket-Key` of a handshake is combined with to prove the server understood it, see RFC 6455.
+ */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * The frame opcodes defined by RFC 6455.
+ */
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * The states a WebSocket connection moves through, numbered the same as the browser `WebSocket` API.
+ */
+const READY_STATES = {
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3
+};
+
+/**
+ * How long to wait for the client to acknowledge a close frame before dropping the connection, in milliseconds.
+ */
+const CLOSE_TIMEOUT = 5000;
+
+/**
+ * Check whether an upgrade request is asking to be upgraded to a WebSocket connection.
+ * 
+ * @param {http.IncomingMessage} req The upgrade request.
+ * @returns {Boolean} Whether the request is a WebSocket upgrade.
+ */
+const isWebSocketUpgrade = (req) => String(req.headers['upgrade'] || '').toLowerCase() === 'websocket';
+
+/**
+ * Check that a WebSocket upgrade request is a handshake that can be accepted.
+ * 
+ * @param {http.IncomingMessage} req The upgrade request.
+ * @returns {Object|null} The problem with the handshake, or null if it can be accepted, in this format:
+ * 
+ * ```
+ * {
+ *     status: [Number], // The HTTP status the upgrade should be rejected with
+ *     message: [String],
+ *     headers: [Object]
+ * }
+ * ```
+ */
+function describeHandshakeProblem(req) {
+    if (req.method !== 'GET') {
+        return { status: 400, message: 'WebSocket upgrades must use the GET method.', headers: {} };
+    }
+    const key = req.headers['sec-websocket-key'];
+    if (typeof key !== 'string' || Buffer.from(key, 'base64').length !== 16) {
+        return { status: 400, message: 'WebSocket upgrade is missing a valid Sec-WebSocket-Key header.', headers: {} };
+    }
+    if (req.headers['sec-websocket-version'] !== '13') {
+        return { status: 426, message: 'Only version 13 of the WebSocket protocol is supported.', headers: { 'Sec-WebSocket-Version': '13' } };
+    }
+    return null;
+}
+
+/**
+ * Complete the handshake of a WebSocket upgrade request, and take over its connection.
+ * 
+ * The handshake should already have been checked with `describeHandshakeProblem`.
+ * 
+ * @param {http.IncomingMessage} req The upgrade request.
+ * @param {net.Socket} socket The connection the request arrived on.
+ * @param {Buffer} head Anything the client sent after the handshake, which belongs to the WebSocket connection.
+ * @param {Object} [options] A list of parameters to configure the connection. See `WebSocketConnection`.
+ * @returns {WebSocketConnection} The WebSocket connection.
+ */
+function acceptWebSocketUpgrade(req, socket, head, options = {}) {
+    const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    return new WebSocketConnection(socket, head, options);
+}
+
+/**
+ * Reject an upgrade request with a regular HTTP response, and close its connection.
+ * 
+ * @param {net.Socket} socket The connection the request arrived on.
+ * @param {Number} status The HTTP status code of the response.
+ * @param {Object} [headers] Any additional headers to include with the response.
+ * @param {String|Buffer} [body] The body of the response.
+ */
+function rejectUpgrade(socket, status, headers = {}, body = '') {
+    if (!socket.writable) {
+        socket.destroy();
+        return;
+    }
+
+    const payload = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Unknown'}`, 'Connection: close'];
+    for (const [name, value] of Object.entries(headers)) {
+        if (['connection', 'content-length'].includes(name.toLowerCase())) continue;
+        for (const item of [].concat(value)) lines.push(`${name}: ${item}`);
+    }
+    lines.push(`Content-Length: ${payload.length}`, '', '');
+    socket.end(Buffer.concat([Buffer.from(lines.join('\r\n')), payload]));
+}
+
+/**
+ * A WebSocket connection, implementing the framing of RFC 6455 directly on top of the upgraded connection.
+ * 
+ * Fragmented messages are reassembled, pings are answered automatically, and text messages are checked to be valid
+ * UTF-8. The connection emits the following events:
+ * 
+ * * **message** - `(data, isBinary)`, with the message as a string, or a `Buffer` if it was sent as binary.
+ * * **close** - `(code, reason)`, once the connection has closed. The code is `1006` if it closed without a close frame.
+ */
+class WebSocketConnection extends EventEmitter {
+    #socket;
+    #maxPayload;
+    #readyState = READY_STATES.OPEN;
+    #buffer = Buffer.alloc(0);
+    #fragments = [];
+    #fragmentOpcode = null;
+    #fragmentSize = 0;
+    #closeCode = null;
+    #closeReason = '';
+    #closeTimer = null;
+
+    /**
+     * @param {net.Socket} socket The upgraded connection.
+     * @param {Buffer} [head] Anything the client sent after the handshake.
+     * @param {Object} [options] A list of parameters to configure the connection. The supported arguments are as follows:
+     * 
+     * * **maxPayload** `Number` - The maximum size of a message in bytes. Larger messages close the connection with a `1009` status. By default, this is set to `1048576` (1mb).
+     */
+    constructor(socket, head, options = {}) {
+        super();
+        this.#socket = socket;
+        this.#maxPayload = options['maxPayload'] || 1048576;
+
+        socket.setNoDelay(true);
+        socket.setTimeout(0);
+        socket.on('data', (chunk) => this.#receive(chunk));
+        // HTTP servers allow half-open connections, so one the client has ended would otherwise never be released
+        socket.on('end', () => socket.end());
+        socket.on('close', () => this.#finish());
+        socket.on('error', () => socket.destroy());
+
+        // Give whoever created the connection a chance to listen for messages first
+        if (head && head.length > 0) process.nextTick(() => this.#receive(head));
+    }
+
+    /**
+     * The state of the connection: `1` while open, `2` while closing and `3` once closed.
+     */
+    get readyState() {
+        return this.#readyState;
+    }
+
+    /**
+     * Send a message. Strings are sent as text, `Buffer`s (and other binary data) as binary, and anything else as JSON text.
+     * 
+     * @param {any} data The message.
+     * @returns {Boolean} Whether the message was sent, which is only the case while the connection is open.
+     */
+    send(data) {
+        if (this.#readyState !== READY_STATES.OPEN) return false;
+        if (typeof data === 'string') return this.#writeFrame(OPCODES.TEXT, Buffer.from(data));
+        if (Buffer.isBuffer(data)) return this.#writeFrame(OPCODES.BINARY, data);
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return this.#writeFrame(OPCODES.BINARY, Buffer.from(data.buffer || data, data.byteOffset || 0, data.byteLength));
+        return this.#writeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(data === undefined ? null : data)));
+    }
+
+    /**
+     * Send a ping, which the client will answer with a pong.
+     * 
+     * @param {String|Buffer} [data = ""] Up to 125 bytes to include with the ping.
+     * @returns {Boolean} Whether the ping was sent.
+     */
+    ping(data = '') {
+        if (this.#readyState !== READY_STATES.OPEN) return false;
+        return this.#writeFrame(OPCODES.PING, Buffer.from(data).subarray(0, 125));
+    }
+
+    /**
+     * Begin closing the connection, waiting for the client to acknowledge it before the connection is dropped.
+     * 
+     * @param {Number} [code = 1000] The status code, either `1000`, one of the codes in the `1001` to `1014` range, or an application specific one from `3000` to `4999`.
+     * @param {String} [reason = ""] A description of why the connection is closing, trimmed to fit within 123 bytes.
+     * @throws {Error} If the `code` can't be sent in a close frame, an exception will be thrown.
+     */
+    close(code = 1000, reason = '') {
+        if (!isSendableCloseCode(code)) throw new Error(`Expected a WebSocket close code of 1000-1014 or 3000-4999, but received: ${code}`);
+        if (this.#readyState !== READY_STATES.OPEN) return;
+        this.#startClosing(code, reason);
+    }
+
+    /**
+     * Drop the connection immediately, without a closing handshake.
+     */
+    terminate() {
+        this.#socket.destroy();
+    }
+
+    /**
+     * Parse as many complete frames as have been received.
+     * 
+     * @param {Buffer} chunk The data just received.
+     */
+    #receive(chunk) {
+        this.#buffer = this.#buffer.length > 0 ? Buffer.concat([this.#buffer, chunk]) : chunk;
+        while (this.#readyState !== READY_STATES.CLOSED) {
+            const frame = parseFrame(this.#buffer, this.#maxPayload);
+            if (frame === null) return;
+            if (frame.problem) return this.#fail(frame.problem.code, frame.problem.reason);
+
+            this.#buffer = this.#buffer.subarray(frame.frameLength);
+            this.#handleFrame(frame);
+        }
+    }
+
+    /**
+     * Act on a single frame sent by the client.
+     * 
+     * @param {Object} frame The frame, as returned by `parseFrame`.
+     */
+    #handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.PING) {
+            if (this.#readyState === READY_STATES.OPEN) this.#writeFrame(OPCODES.PONG, payload);
+            return;
+        }
+        if (opcode === OPCODES.PONG) return;
+        if (opcode === OPCODES.CLOSE) {
+            if (payload.length === 1) return this.#fail(1002, 'Invalid close frame.');
+            const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            if (payload.length >= 2 && !isSendableCloseCode(code)) return this.#fail(1002, 'Invalid close code.');
+
+            if (this.#readyState === READY_STATES.OPEN) {
+                this.#writeFrame(OPCODES.CLOSE, payload.subarray(0, 2));
+                this.#readyState = READY_STATES.CLOSING;
+            }
+            this.#closeCode = code;
+            this.#closeReason = payload.subarray(2).toString('utf-8');
+            this.#socket.end();
+            return;
+        }
+        if (this.#readyState !== READY_STATES.OPEN) return;
+
+        // Data frames either carry a whole message, or begin (or continue) a fragmented one
+        if (opcode === OPCODES.CONTINUATION) {
+            if (this.#fragmentOpcode === null) return this.#fail(1002, 'Unexpected continuation frame.');
+        } else if (opcode === OPCODES.TEXT || opcode === OPCODES.BINARY) {
+            if (this.#fragmentOpcode !== null) return this.#fail(1002, 'Expected a continuation frame.');
+            this.#fragmentOpcode = opcode;
+        } else {
+            return this.#fail(1002, `Unknown opcode ${opcode}.`);
+        }
+
+        this.#fragmentSize += payload.length;
+        if (this.#fragmentSize > this.#maxPayload) return this.#fail(1009, 'Message is too big.');
+        this.#fragments.push(payload);
+        if (!fin) return;
+
+        const messageOpcode = this.#fragmentOpcode;
+        const data = this.#fragments.length === 1 ? this.#fragments[0] : Buffer.concat(this.#fragments);
+        this.#fragments = [];
+        this.#fragmentOpcode = null;
+        this.#fragmentSize = 0;
+
+        if (messageOpcode === OPCODES.BINARY) {
+            this.emit('message', data, true);
+            return;
+        }
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+        } catch(e) {
+            return this.#fail(1007, 'Text message is not valid UTF-8.');
+        }
+        this.emit('message', text, false);
+    }
+
+    /**
+     * Close the connection because the client broke the protocol.
+     * 
+     * @param {Number} code The status code.
+     * @param {String} reason A description of what went wrong.
+     */
+    #fail(code, reason) {
+        this.#buffer = Buffer.alloc(0);
+        if (this.#readyState === READY_STATES.OPEN) this.#startClosing(code, reason);
+        this.#socket.end();
+    }
+
+    /**
+     * Send a close frame, and drop the connection if the client doesn't acknowledge it in time.
+     * 
+     * @param {Number} code The status code.
+     * @param {String} reason A description of why the connection is closing.
+     */
+    #startClosing(code, reason) {
+        const reasonBytes = truncateUTF8(String(reason), 123);
+        const payload = Buffer.alloc(2 + reasonBytes.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBytes.copy(payload, 2);
+
+        this.#writeFrame(OPCODES.CLOSE, payload);
+        this.#readyState = READY_STATES.CLOSING;
+        this.#closeCode = code;
+        this.#closeReason = String(reason);
+        this.#closeTimer = setTimeout(() => this.#socket.destroy(), CLOSE_TIMEOUT);
+        this.#closeTimer.unref();
+    }
+
+    /**
+     * Mark the connection as closed once the underlying connection has closed.
+     */
+    #finish() {
+        if (this.#readyState === READY_STATES.CLOSED) return;
+        clearTimeout(this.#closeTimer);
+        this.#readyState = READY_STATES.CLOSED;
+        this.emit('close', this.#closeCode === null ? 1006 : this.#closeCode, this.#closeReason);
+    }
+
+    /**
+     * Write a single, unfragmented frame. Frames sent by the server are never masked.
+     * 
+     * @param {Number} opcode The frame opcode.
+     * @param {Buffer} payload The frame payload.
+     * @returns {Boolean} Whether the frame was written.
+     */
+    #writeFrame(opcode, payload) {
+        if (!this.#socket.writable) return false;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+
+        this.#socket.write(Buffer.concat([header, payload]));
+        return true;
+    }
+}
+
+/**
+ * Parse the frame at the start of the data received from a client.
+ * 
+ * @param {Buffer} buffer The data received, which may hold an incomplete frame.
+ * @param {Number} maxPayload The maximum size of a frame payload in bytes.
+ * @returns {Object|null} The frame, or null if it hasn't been received in full yet, in this format:
+ * 
+ * ```
+ * {
+ *     fin: [Boolean], // Whether this is the final frame of a message
+ *     opcode: [Number],
+ *     payload: [Buffer], // The unmasked payload
+ *     frameLength: [Number], // The number of bytes the frame took up
+ *     problem: [Object|undefined] // { code, reason }, if the frame breaks the protocol
+ * }
+ * ```
+ */
+function parseFrame(buffer, maxPayload) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if ((buffer[0] & 0x70) !== 0) return { problem: { code: 1002, reason: 'Reserved bits must not be set.' } };
+    if (!masked) return { problem: { code: 1002, reason: 'Frames sent by a client must be masked.' } };
+    if (opcode >= OPCODES.CLOSE && (!fin || payloadLength > 125)) return { problem: { code: 1002, reason: 'Invalid control frame.' } };
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        const length = buffer.readBigUInt64BE(2);
+        payloadLength = length > BigInt(Number.MAX_SAFE_INTEGER) ? Infinity : Number(length);
+        offset = 10;
+    }
+    if (payloadLength > maxPayload) return { problem: { code: 1009, reason: 'Message is too big.' } };
+    if (buffer.length < offset + 4 + payloadLength) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    offset += 4;
+    const payload = Buffer.allocUnsafe(payloadLength);
+    for (let i = 0; i < payloadLength; i++) {
+        payload[i] = buffer[offset + i] ^ mask[i & 3];
+    }
+
+    return { fin, opcode, payload, frameLength: offset + payloadLength };
+}
+
+/**
+ * Check whether a status code can be sent in a close frame.
+ * 
+ * @param {Number} code The status code.
+ * @returns {Boolean} Whether the status code can be sent.
+ */
+const isSendableCloseCode = (code) => Number.isInteger(code)
+    && ((code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999));
+
+/**
+ * Encode a string as UTF-8, trimmed to a maximum number of bytes without splitting a character.
+ * 
+ * @param {String} text The string.
+ * @param {Number} maxBytes The maximum number of bytes.
+ * @returns {Buffer} The encoded string.
+ */
+function truncateUTF8(text, maxBytes) {
+    let bytes = Buffer.from(text);
+    while (bytes.length > maxBytes) {
+        text = text.slice(0, -1);
+        bytes = Buffer.from(text);
+    }
+    return bytes;
+}
+
+export {
+    isWebSocketUpgrade,
+    describeHandshakeProblem,
+    acceptWebSocketUpgrade,
+    rejectUpgrade,
+    WebSocketConnection
+}
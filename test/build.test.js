@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildEndpointRoutes } from '../index.js';
+import { useProject, writeProjectFiles, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/users/index.js': `
+            export const GET = () => ({ users: [] });
+        `,
+        'endpoints/users/[id]/index.js': `
+            export const GET = (req) => ({ id: req.params.id });
+        `,
+        'endpoints/broken/index.js': `
+            export const GET = 'not a function';
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Run a function while capturing everything logged to the console.
+ */
+async function captureConsole(run) {
+    const logged = [];
+    const originals = { log: console.log, warn: console.warn, error: console.error };
+    for (const name of Object.keys(originals)) console[name] = (...args) => logged.push(args.join(' '));
+    try {
+        return { result: await run(), logged };
+    } finally {
+        Object.assign(console, originals);
+    }
+}
+
+test('the build writes the routes and reports its problems', async () => {
+    const { result: report, logged } = await captureConsole(() => buildEndpointRoutes({ configOutput: 'routes.json' }));
+    assert.equal(report.written, true);
+    assert.equal(report.success, false);
+    assert.equal(report.routeCount, 2);
+    assert.deepEqual(report.errors.map((error) => error.code), ['HANDLER_NOT_FUNCTION']);
+    assert.deepEqual(logged, []);
+
+    const config = JSON.parse(fs.readFileSync('routes.json', 'utf-8'));
+    assert.equal(config.routes['/users'].GET.filePath, 'endpoints/users/index.js');
+    assert.equal(config.routes['/users']['/:id'].GET.filePath, 'endpoints/users/[id]/index.js');
+});
+
+test('problems are only logged with debug enabled', async () => {
+    const { logged } = await captureConsole(() => buildEndpointRoutes({ configOutput: 'routes.json', debug: true }));
+    assert.ok(logged.some((line) => line.includes('[HANDLER_NOT_FUNCTION]')));
+});
+
+test('strict builds are rejected with the report attached', async () => {
+    await assert.rejects(buildEndpointRoutes({ configOutput: 'strict-routes.json', strict: true }), (error) => {
+        return error.report && error.report.errors[0].code === 'HANDLER_NOT_FUNCTION';
+    });
+    assert.equal(fs.existsSync('strict-routes.json'), false);
+});
+
+test('directories whose endpoints were left out for a reported problem are not also reported as empty', async () => {
+    writeProjectFiles(projectDir, {
+        'grouped/(admin)/settings/index.js': `
+            export const GET = () => ({ admin: true });
+        `,
+        'grouped/(public)/settings/index.js': `
+            export const GET = () => ({ public: true });
+        `,
+        'grouped/invalid/index.js': `
+            export const GET = 'not a function';
+        `
+    });
+    const report = await buildEndpointRoutes({ handlersDir: 'grouped', configOutput: 'grouped-routes.json' });
+    assert.deepEqual(report.errors.map((error) => error.code).sort(), ['DUPLICATE_ROUTE', 'HANDLER_NOT_FUNCTION']);
+    assert.deepEqual(report.warnings, []);
+});
+
+test('per-method files that export other methods are reported', async () => {
+    writeProjectFiles(projectDir, {
+        'methods/users/get.js': `
+            export default () => ({ users: [] });
+            export const POST = () => ({ created: true });
+        `
+    });
+    const report = await buildEndpointRoutes({ handlersDir: 'methods', configOutput: 'method-routes.json' });
+    assert.equal(report.success, true);
+    assert.equal(report.routeCount, 1);
+    assert.deepEqual(report.warnings.map((warning) => [warning.code, warning.file]), [['IGNORED_EXPORT', 'methods/users/get.js']]);
+
+    await assert.rejects(buildEndpointRoutes({ handlersDir: 'methods', configOutput: 'method-routes.json', strict: true }), (error) => {
+        return error.report.warnings[0].code === 'IGNORED_EXPORT';
+    });
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { buildEndpointRoutes } from '../index.js';
+import { runCLI } from '../lib/cli.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(async () => {
+    projectDir = useProject({
+        'api/v1/users/index.js': `
+            export const GET = () => ({ users: [] });
+        `,
+        'api/v1/drafts/index.js': `
+            export const GET = () => ({ drafts: [] });
+        `
+    });
+    await buildEndpointRoutes({ configOutput: 'routes.json', mounts: { '/api/v1': 'api/v1' }, pathBlacklist: ['drafts'] });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Run the command-line tool, resolving with its exit code and everything it printed.
+ */
+async function runCapturedCLI(argv) {
+    const logged = [];
+    const originals = { log: console.log, error: console.error };
+    for (const name of Object.keys(originals)) console[name] = (...args) => logged.push(args.join(' '));
+    try {
+        return { exitCode: await runCLI(argv), output: logged.join('\n') };
+    } finally {
+        Object.assign(console, originals);
+    }
+}
+
+test('check compiles with the options the routes were built with', async () => {
+    const { exitCode, output } = await runCapturedCLI(['check', '--json']);
+    assert.deepEqual(JSON.parse(output).problems, []);
+    assert.equal(exitCode, 0);
+});
+
+test('check flags override the options the routes were built with', async () => {
+    const { exitCode, output } = await runCapturedCLI(['check', '--json', '--path-blacklist', 'users']);
+    assert.equal(exitCode, 1);
+    assert.equal(JSON.parse(output).problems[0].code, 'STALE');
+});
+
+test('check reports routes compiled by a different version of the routing algorithm', async () => {
+    const routeConfig = JSON.parse(fs.readFileSync('routes.json', 'utf-8'));
+    fs.writeFileSync('outdated-routes.json', JSON.stringify({ ...routeConfig, version: 1 }));
+
+    const { exitCode, output } = await runCapturedCLI(['check', '--json', '--routes-config', 'outdated-routes.json']);
+    assert.equal(exitCode, 1);
+    assert.deepEqual(JSON.parse(output).problems.map(({ code }) => code), ['STALE']);
+    assert.match(JSON.parse(output).problems[0].message, /different version of the routing algorithm/);
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting from '../index.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/users/index.js': `
+            export const GET = () => ({ users: [] });
+        `,
+        'endpoints/partners/index.js': `
+            export const cors = { origin: 'https://partner.example.com' };
+            export const GET = () => ({ partners: [] });
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+const origin = { origin: 'https://app.example.com' };
+
+test('responses to cross-origin requests get the CORS headers', async () => {
+    const routing = await endpointRouting({ discover: true, cors: true });
+    const res = await routing.inject({ url: '/users', headers: origin });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['access-control-allow-origin'], '*');
+
+    const sameOrigin = await routing.inject({ url: '/users' });
+    assert.equal(sameOrigin.headers['access-control-allow-origin'], undefined);
+});
+
+test('requests whose origin matches their host and protocol are not cross-origin', async () => {
+    const routing = await endpointRouting({ discover: true, cors: true });
+    const sameOrigin = await routing.inject({ method: 'GET', url: '/users', headers: { origin: 'http://localhost:3000', host: 'localhost:3000' } });
+    assert.equal(sameOrigin.headers['access-control-allow-origin'], undefined);
+
+    const missing = await routing.inject({ url: '/missing', headers: { origin: 'http://localhost:3000', host: 'localhost:3000' } });
+    assert.equal(missing.headers['access-control-allow-origin'], undefined);
+
+    const proxied = await routing.inject({ url: '/users', headers: { origin: 'https://app.example.com', host: 'app.example.com', 'x-forwarded-proto': 'https' } });
+    assert.equal(proxied.headers['access-control-allow-origin'], undefined);
+
+    const otherPort = await routing.inject({ url: '/users', headers: { origin: 'http://localhost:8080', host: 'localhost:3000' } });
+    assert.equal(otherPort.headers['access-control-allow-origin'], '*');
+
+    const otherProtocol = await routing.inject({ url: '/users', headers: { origin: 'https://localhost:3000', host: 'localhost:3000' } });
+    assert.equal(otherProtocol.headers['access-control-allow-origin'], '*');
+});
+
+test('an endpoint can enable CORS when the router does not', async () => {
+    const routing = await endpointRouting({ discover: true });
+    const res = await routing.inject({ url: '/partners', headers: { origin: 'https://partner.example.com' } });
+    assert.equal(res.headers['access-control-allow-origin'], 'https://partner.example.com');
+    assert.equal((await routing.inject({ url: '/users', headers: origin })).headers['access-control-allow-origin'], undefined);
+});
+
+test('404 and 405 responses to cross-origin requests get the CORS headers', async () => {
+    const routing = await endpointRouting({ discover: true, cors: true });
+    const missing = await routing.inject({ url: '/missing', headers: origin });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.headers['access-control-allow-origin'], '*');
+
+    const notAllowed = await routing.inject({ method: 'DELETE', url: '/users', headers: origin });
+    assert.equal(notAllowed.statusCode, 405);
+    assert.equal(notAllowed.headers['access-control-allow-origin'], '*');
+
+    // The endpoint's own settings apply to methods it doesn't define
+    const partnerNotAllowed = await routing.inject({ method: 'DELETE', url: '/partners', headers: { origin: 'https://partner.example.com' } });
+    assert.equal(partnerNotAllowed.headers['access-control-allow-origin'], 'https://partner.example.com');
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting from '../index.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/_middleware.js': `
+            export default (req, res, next) => {
+                req.trail = ['root'];
+                return next();
+            };
+        `,
+        'endpoints/a/_middleware.js': `
+            export default (req, res, next) => {
+                setTimeout(() => { req.trail.push('a'); next(); }, 10);
+            };
+        `,
+        'endpoints/a/b/index.js': `
+            export const GET = (req) => ({ trail: req.trail });
+        `,
+        'endpoints/blocked/_middleware.js': `
+            export default { POST: (req, res) => { res.statusCode = 403; return { blocked: true }; } };
+        `,
+        'endpoints/blocked/index.js': `
+            export default { GET: () => ({ open: true }), POST: () => ({ reached: true }) };
+        `,
+        'endpoints/responds/_middleware.js': `
+            export default (req, res) => { res.statusCode = 401; res.end('Unauthorized'); };
+        `,
+        'endpoints/responds/index.js': `
+            export const GET = () => ({ reached: true });
+        `,
+        'endpoints/wraps/_middleware.js': `
+            export default async (req, res, next) => ({ wrapped: await next() });
+        `,
+        'endpoints/wraps/index.js': `
+            export const GET = () => ({ inner: true });
+        `,
+        'endpoints/rejects/_middleware.js': `
+            export default (req, res, next) => { setTimeout(() => next(Object.assign(new Error('Nope'), { status: 418 })), 10); };
+        `,
+        'endpoints/rejects/index.js': `
+            export const GET = () => ({ reached: true });
+        `,
+        'endpoints/modules/_middleware.mjs': `
+            export default (req, res, next) => {
+                req.trail.push('mjs');
+                return next();
+            };
+        `,
+        'endpoints/modules/_error.mjs': `
+            export default (error, req, res) => {
+                res.statusCode = 503;
+                return { handledBy: 'mjs' };
+            };
+        `,
+        'endpoints/modules/common/_middleware.cjs': `
+            module.exports = (req, res, next) => {
+                req.trail.push('cjs');
+                return next();
+            };
+        `,
+        'endpoints/modules/common/index.js': `
+            export const GET = (req) => ({ trail: req.trail });
+            export const POST = () => { throw new Error('Broken'); };
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+test('middleware runs from the root down to the endpoint', async () => {
+    const res = await routing.inject({ url: '/a/b' });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { trail: ['root', 'a'] });
+});
+
+test('middleware keyed by method only applies to that method', async () => {
+    assert.deepEqual((await routing.inject({ url: '/blocked' })).body, { open: true });
+
+    const res = await routing.inject({ method: 'POST', url: '/blocked' });
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { blocked: true });
+});
+
+test('middleware that responds itself short-circuits the chain', async () => {
+    const res = await routing.inject({ url: '/responds' });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body, 'Unauthorized');
+});
+
+test('middleware can transform the result of next()', async () => {
+    const res = await routing.inject({ url: '/wraps' });
+    assert.deepEqual(res.body, { wrapped: { inner: true } });
+});
+
+test('next(err) called later rejects with that error', async () => {
+    await assert.rejects(routing.inject({ url: '/rejects' }), (error) => error.code === 'HANDLER_ERROR' && error.status === 418);
+});
+
+test('middleware and error handler files can be ES or CommonJS modules', async () => {
+    assert.deepEqual((await routing.inject({ url: '/modules/common' })).body, { trail: ['root', 'mjs', 'cjs'] });
+
+    const res = await routing.inject({ method: 'POST', url: '/modules/common' });
+    assert.equal(res.statusCode, 503);
+    assert.deepEqual(res.body, { handledBy: 'mjs' });
+});
@@ -0,0 +1,138 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting, { RoutingError, NotFoundError, MethodNotAllowedError, ValidationError, HandlerError } from '../index.js';
+import { toRoutingError } from '../lib/errors.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/_error.js': `
+            export default (error, req, res) => ({ handledBy: 'root', code: error.code, status: res.statusCode });
+        `,
+        'endpoints/health/index.js': `
+            export const GET = () => { throw new Error('Database password is hunter2'); };
+        `,
+        'endpoints/api/_error.js': `
+            export default (error, req, res) => {
+                if (error.cause && error.cause.message === 'Rethrow') throw new Error('Error handler failed');
+                if (error.cause && error.cause.message === 'Default') return;
+                res.statusCode = 503;
+                return { handledBy: 'api', code: error.code, message: error.message };
+            };
+        `,
+        'endpoints/api/users/index.js': `
+            export const GET = () => { throw Object.assign(new Error('Slow down'), { status: 429 }); };
+            export const POST = () => { throw new Error('Rethrow'); };
+            export const PUT = () => { throw new Error('Default'); };
+        `,
+        'endpoints/api/users/[id]/index.js': `
+            export const GET = () => ({ user: true });
+        `,
+        'plain/users/index.js': `
+            export const GET = () => { throw new Error('Database password is hunter2'); };
+            export const schema = { POST: { body: { type: 'object', required: ['name'] } } };
+            export const POST = () => ({ created: true });
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+test('errors are handled by the nearest _error.js to the endpoint', async () => {
+    const res = await routing.inject({ url: '/api/users' });
+    assert.equal(res.statusCode, 503);
+    assert.deepEqual(res.body, { handledBy: 'api', code: 'HANDLER_ERROR', message: 'Slow down' });
+
+    const root = await routing.inject({ url: '/health' });
+    assert.equal(root.statusCode, 500);
+    assert.deepEqual(root.body, { handledBy: 'root', code: 'HANDLER_ERROR', status: 500 });
+});
+
+test('error handlers returning nothing send the default JSON body with the error status', async () => {
+    const res = await routing.inject({ method: 'PUT', url: '/api/users' });
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { success: false, code: 'HANDLER_ERROR', error: 'Internal server error.' });
+});
+
+test('errors thrown by an error handler are passed along', async () => {
+    await assert.rejects(routing.inject({ method: 'POST', url: '/api/users' }), /Error handler failed/);
+});
+
+test('unknown paths are handled by the root _error.js, and unknown methods by the nearest', async () => {
+    const missing = await routing.inject({ url: '/api/missing/path' });
+    assert.equal(missing.statusCode, 404);
+    assert.deepEqual(missing.body, { handledBy: 'root', code: 'NOT_FOUND', status: 404 });
+
+    const notAllowed = await routing.inject({ method: 'DELETE', url: '/api/users/7' });
+    assert.equal(notAllowed.statusCode, 503);
+    assert.equal(notAllowed.body.code, 'NOT_ALLOWED');
+    assert.equal(notAllowed.headers['allow'], 'GET, HEAD, OPTIONS');
+
+    const rootNotAllowed = await routing.inject({ method: 'DELETE', url: '/health' });
+    assert.deepEqual(rootNotAllowed.body, { handledBy: 'root', code: 'NOT_ALLOWED', status: 405 });
+});
+
+test('without an _error.js, routing errors are responded to and anything else is passed along', async () => {
+    const plain = await endpointRouting({ discover: true, handlersDir: 'plain' });
+
+    const missing = await plain.inject({ url: '/missing' });
+    assert.equal(missing.statusCode, 404);
+    assert.deepEqual(missing.body, { success: false, code: 'NOT_FOUND', error: 'Route not found.' });
+
+    const notAllowed = await plain.inject({ method: 'DELETE', url: '/users' });
+    assert.equal(notAllowed.statusCode, 405);
+    assert.equal(notAllowed.body.code, 'NOT_ALLOWED');
+
+    const invalid = await plain.inject({ method: 'POST', url: '/users', body: {} });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.code, 'VALIDATION_FAILED');
+
+    await assert.rejects(plain.inject({ url: '/users' }), (error) => {
+        return error instanceof HandlerError && error.status === 500 && error.cause.message === 'Database password is hunter2';
+    });
+});
+
+test('handler errors keep a 4xx or 5xx status, and hide the message of a 5xx from their JSON', () => {
+    const failure = new HandlerError(new Error('Database password is hunter2'));
+    assert.equal(failure.status, 500);
+    assert.equal(failure.message, 'Database password is hunter2');
+    assert.deepEqual(JSON.parse(JSON.stringify(failure)), { success: false, code: 'HANDLER_ERROR', error: 'Internal server error.' });
+
+    const teapot = new HandlerError(Object.assign(new Error('Short and stout'), { statusCode: 418 }));
+    assert.equal(teapot.status, 418);
+    assert.deepEqual(JSON.parse(JSON.stringify(teapot)), { success: false, code: 'HANDLER_ERROR', error: 'Short and stout' });
+
+    assert.equal(new HandlerError(Object.assign(new Error('Redirect'), { status: 302 })).status, 500);
+    assert.equal(new HandlerError('A thrown string').message, 'Endpoint function failed.');
+});
+
+test('routing errors describe themselves the same way as earlier versions', () => {
+    const notFound = new NotFoundError();
+    assert.ok(notFound instanceof RoutingError);
+    assert.equal(notFound.name, 'NotFoundError');
+    assert.equal(notFound.success, false);
+    assert.equal(notFound.error, 'Route not found.');
+    assert.deepEqual(JSON.parse(JSON.stringify(notFound)), { success: false, code: 'NOT_FOUND', error: 'Route not found.' });
+
+    const notAllowed = new MethodNotAllowedError('DELETE', ['GET']);
+    assert.equal(notAllowed.status, 405);
+    assert.deepEqual(notAllowed.allow, ['GET']);
+
+    const invalid = new ValidationError('Request validation failed.', [{ location: 'body', path: '/name', message: 'is required' }]);
+    assert.deepEqual(JSON.parse(JSON.stringify(invalid)).errors, invalid.errors);
+});
+
+test('toRoutingError() wraps anything that is not already a routing error', () => {
+    const notFound = new NotFoundError();
+    assert.equal(toRoutingError(notFound), notFound);
+
+    const cause = new TypeError('Cannot read properties of undefined');
+    const wrapped = toRoutingError(cause);
+    assert.ok(wrapped instanceof HandlerError);
+    assert.equal(wrapped.cause, cause);
+    assert.ok(toRoutingError(undefined) instanceof HandlerError);
+});
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Write a throwaway project to a temporary directory, and make it the working directory so that relative paths (such
+ * as the default "endpoints" and "routes.json") resolve within it.
+ * 
+ * @param {Object} files The contents of each file, keyed by its path within the project.
+ * @returns {String} The absolute path to the project directory.
+ */
+function useProject(files) {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'endpoint-routing-test-'));
+    writeProjectFiles(projectDir, files);
+    process.chdir(projectDir);
+    return projectDir;
+}
+
+/**
+ * Write (or overwrite) files within a project directory.
+ * 
+ * @param {String} projectDir The absolute path to the project directory.
+ * @param {Object} files The contents of each file, keyed by its path within the project.
+ */
+function writeProjectFiles(projectDir, files) {
+    for (const [filePath, contents] of Object.entries(files)) {
+        const absolutePath = path.join(projectDir, filePath);
+        fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+        fs.writeFileSync(absolutePath, contents);
+    }
+}
+
+/**
+ * Remove a project written by `useProject`.
+ * 
+ * @param {String} projectDir The absolute path to the project directory.
+ */
+function removeProject(projectDir) {
+    process.chdir(os.tmpdir());
+    fs.rmSync(projectDir, { recursive: true, force: true });
+}
+
+/**
+ * Repeatedly run a check until it passes, or give up after a while.
+ * 
+ * @param {Function} check A function that throws (or rejects) until whatever it checks for has happened.
+ * @param {Number} [timeout = 3000] How long to keep retrying for, in milliseconds.
+ * @returns {Promise<any>} The result of the first check to pass.
+ */
+async function eventually(check, timeout = 3000) {
+    const startedAt = Date.now();
+    while (true) {
+        try {
+            return await check();
+        } catch (e) {
+            if (Date.now() - startedAt > timeout) throw e;
+            await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+    }
+}
+
+export {
+    useProject,
+    writeProjectFiles,
+    removeProject,
+    eventually
+}
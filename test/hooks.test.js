@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting from '../index.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/users/[id=int]/index.js': `
+            export const GET = (req) => ({ id: req.params.id });
+            export const DELETE = () => { throw new Error('Not today'); };
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Create hooks for every lifecycle event, which record the order they're called in along with what they're given.
+ */
+function recordHooks() {
+    const calls = [];
+    const record = (name) => (event) => calls.push({ name, ...event });
+    return {
+        calls,
+        hooks: { onMatch: record('onMatch'), beforeHandler: record('beforeHandler'), afterHandler: record('afterHandler'), onError: record('onError') }
+    };
+}
+
+test('hooks are called in order, with the matched route', async () => {
+    const { calls, hooks } = recordHooks();
+    const routing = await endpointRouting({ discover: true, hooks });
+    await routing.inject({ url: '/users/42' });
+
+    assert.deepEqual(calls.map(({ name }) => name), ['onMatch', 'beforeHandler', 'afterHandler']);
+    for (const call of calls) {
+        assert.equal(call.pattern, '/users/:id(int)');
+        assert.equal(call.method, 'GET');
+        assert.deepEqual(call.params, { id: 42 });
+        assert.equal(call.filePath, 'endpoints/users/[id=int]/index.js');
+        assert.equal(call.req.path, '/users/42');
+    }
+    assert.equal(typeof calls[0].duration, 'number');
+    assert.equal(calls[0].res, undefined);
+    assert.ok(calls[1].res);
+    assert.deepEqual(calls[2].result, { id: 42 });
+    assert.ok(calls[2].duration >= 0);
+});
+
+test('errors raised by the endpoint or while matching call onError', async () => {
+    const { calls, hooks } = recordHooks();
+    const routing = await endpointRouting({ discover: true, hooks });
+
+    await assert.rejects(routing.inject({ method: 'DELETE', url: '/users/42' }), /Not today/);
+    assert.deepEqual(calls.map(({ name }) => name), ['onMatch', 'beforeHandler', 'onError']);
+    assert.equal(calls[2].pattern, '/users/:id(int)');
+    assert.equal(calls[2].error.message, 'Not today');
+
+    calls.length = 0;
+    assert.equal((await routing.inject({ url: '/users/abc' })).statusCode, 404);
+    assert.deepEqual(calls.map(({ name, pattern }) => [name, pattern]), [['onError', null]]);
+    assert.equal(calls[0].error.code, 'NOT_FOUND');
+
+    calls.length = 0;
+    assert.equal((await routing.inject({ method: 'PUT', url: '/users/42' })).statusCode, 405);
+    assert.deepEqual(calls.map(({ name, pattern }) => [name, pattern]), [['onError', '/users/:id(int)']]);
+    assert.equal(calls[0].error.code, 'NOT_ALLOWED');
+});
+
+test('hooks that throw or reject are logged without affecting the request', async () => {
+    const logged = [];
+    const originalConsoleError = console.error;
+    console.error = (...args) => logged.push(args);
+    try {
+        const routing = await endpointRouting({
+            discover: true,
+            hooks: {
+                onMatch: () => { throw new Error('onMatch failed'); },
+                afterHandler: async () => { throw new Error('afterHandler failed'); }
+            }
+        });
+        const res = await routing.inject({ url: '/users/42' });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { id: 42 });
+
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.deepEqual(logged.map(([message, error]) => [message, error.message]), [
+            ['The onMatch hook failed for GET /users/:id(int):', 'onMatch failed'],
+            ['The afterHandler hook failed for GET /users/:id(int):', 'afterHandler failed']
+        ]);
+    } finally {
+        console.error = originalConsoleError;
+    }
+});
+
+test('unknown hooks and hooks that are not functions are rejected', () => {
+    assert.throws(() => endpointRouting({ discover: true, hooks: { onFinish: () => {} } }), /Unknown lifecycle hook 'onFinish'/);
+    assert.throws(() => endpointRouting({ discover: true, hooks: { onMatch: 'log' } }), /Expected the 'onMatch' hook to be a function/);
+});
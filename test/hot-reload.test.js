@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import endpointRouting from '../index.js';
+import { useProject, writeProjectFiles, removeProject, eventually } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/greeting/index.js': `
+            export const GET = () => ({ greeting: 'hello' });
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+test('changed files are re-imported, while unchanged ones are reused', { timeout: 10000 }, async () => {
+    // Count how many times the sibling file is imported, through a global each import replaces
+    writeProjectFiles(projectDir, {
+        'endpoints/greeting/post.js': `
+            globalThis.postImports = (globalThis.postImports || 0) + 1;
+            export default () => ({ imports: globalThis.postImports });
+        `
+    });
+    const routing = await endpointRouting({ discover: true, hotReload: true });
+    try {
+        assert.deepEqual((await routing.inject({ url: '/greeting' })).body, { greeting: 'hello' });
+        assert.deepEqual((await routing.inject({ method: 'POST', url: '/greeting' })).body, { imports: 1 });
+
+        // Make sure the rewritten file has a different modification time
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        fs.writeFileSync('endpoints/greeting/index.js', `export const GET = () => ({ greeting: 'hi there' });`);
+
+        await eventually(async () => {
+            assert.deepEqual((await routing.inject({ url: '/greeting' })).body, { greeting: 'hi there' });
+        });
+        assert.deepEqual((await routing.inject({ method: 'POST', url: '/greeting' })).body, { imports: 1 });
+    } finally {
+        routing.close();
+    }
+});
+
+test('discovered routes pick up added endpoints', { timeout: 10000 }, async () => {
+    const routing = await endpointRouting({ discover: true, hotReload: true });
+    try {
+        assert.equal((await routing.inject({ url: '/added' })).statusCode, 404);
+        writeProjectFiles(projectDir, {
+            'endpoints/added/index.js': `export const GET = () => ({ added: true });`
+        });
+
+        await eventually(async () => {
+            assert.deepEqual((await routing.inject({ url: '/added' })).body, { added: true });
+        });
+    } finally {
+        routing.close();
+    }
+});
+
+test('changes to an endpoint\'s cors export are picked up', { timeout: 10000 }, async () => {
+    writeProjectFiles(projectDir, {
+        'endpoints/shared/index.js': `export const cors = false; export const GET = () => ({ shared: true });`
+    });
+    const routing = await endpointRouting({ discover: true, hotReload: true, cors: true });
+    try {
+        const headers = { origin: 'https://app.example.com' };
+        assert.equal((await routing.inject({ url: '/shared', headers })).headers['access-control-allow-origin'], undefined);
+
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        fs.writeFileSync('endpoints/shared/index.js', `export const cors = true; export const GET = () => ({ shared: true });`);
+
+        await eventually(async () => {
+            assert.equal((await routing.inject({ url: '/shared', headers })).headers['access-control-allow-origin'], '*');
+        });
+    } finally {
+        routing.close();
+    }
+});
+
+test('verify cannot be combined with discover', () => {
+    assert.throws(() => endpointRouting({ discover: true, verify: 'warn' }), /verify option can't be used with discover/);
+});
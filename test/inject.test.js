@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting, { HandlerError } from '../index.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/echo/index.js': `
+            export const POST = (req) => ({ method: req.method, query: req.query, body: req.body, agent: req.get('User-Agent') });
+            export const GET = (req, res) => { res.set('X-Echo', 'yes'); return { query: req.query }; };
+        `,
+        'endpoints/users/[id]/index.js': `
+            export const GET = (req) => ({ id: req.params.id });
+        `,
+        'endpoints/later/index.js': `
+            export const GET = (req, res) => { setTimeout(() => res.status(201).json({ later: true }), 10); };
+        `,
+        'endpoints/text/index.js': `
+            export const GET = (req, res) => { res.send('plain'); };
+        `,
+        'endpoints/fails/index.js': `
+            export const GET = () => { throw new Error('Something broke'); };
+        `,
+        'endpoints/guarded/_middleware.js': `
+            export default (req, res, next) => {
+                setTimeout(() => { res.statusCode = 401; res.end(); }, 10);
+            };
+        `,
+        'endpoints/guarded/index.js': `
+            export const GET = () => ({ reached: true });
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+test('the request is described by the options', async () => {
+    const res = await routing.inject({
+        method: 'post',
+        url: '/echo?page=2',
+        query: { sort: 'name' },
+        headers: { 'User-Agent': 'tests' },
+        body: { name: 'Ada' }
+    });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { method: 'POST', query: { page: '2', sort: 'name' }, body: { name: 'Ada' }, agent: 'tests' });
+    assert.deepEqual(res.result, res.body);
+});
+
+test('headers, params and non-JSON bodies are recorded', async () => {
+    const echo = await routing.inject({ url: '/echo' });
+    assert.equal(echo.headers['x-echo'], 'yes');
+
+    const user = await routing.inject({ url: '/users/42' });
+    assert.deepEqual(user.params, { id: '42' });
+
+    const text = await routing.inject({ url: '/text' });
+    assert.equal(text.body, 'plain');
+});
+
+test('HEAD requests record the headers without the body', async () => {
+    const res = await routing.inject({ method: 'HEAD', url: '/users/42' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-length'], Buffer.byteLength(JSON.stringify({ id: '42' })));
+    assert.equal(res.body, undefined);
+});
+
+test('responses sent later on are waited for', { timeout: 5000 }, async () => {
+    const res = await routing.inject({ url: '/later' });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body, { later: true });
+});
+
+test('middleware that ends the response later on is waited for', { timeout: 5000 }, async () => {
+    const res = await routing.inject({ url: '/guarded' });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body, undefined);
+});
+
+test('errors thrown by the endpoint function are thrown', async () => {
+    await assert.rejects(routing.inject({ url: '/fails' }), (error) => error instanceof HandlerError && error.status === 500);
+});
+
+test('unknown paths and methods are responded to', async () => {
+    assert.equal((await routing.inject({ url: '/missing' })).statusCode, 404);
+    assert.equal((await routing.inject({ method: 'DELETE', url: '/echo' })).statusCode, 405);
+});
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting from '../index.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    const echo = (name) => `export const GET = (req) => ({ route: '${name}', params: req.params });`;
+    projectDir = useProject({
+        'endpoints/items/new/index.js': echo('static'),
+        'endpoints/items/[id]/index.js': echo('dynamic'),
+        'endpoints/items/[...rest]/index.js': echo('catch-all'),
+        'endpoints/files/[...path]/index.js': echo('files'),
+        'endpoints/docs/[[...slug]]/index.js': echo('docs'),
+        'endpoints/shop/[id]/details/index.js': echo('details'),
+        'endpoints/shop/[...path]/index.js': echo('shop')
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Request a path, resolving with the route that answered it and the params it was given.
+ */
+async function match(url) {
+    const res = await routing.inject({ url });
+    return res.statusCode === 200 ? res.body : res.statusCode;
+}
+
+test('static segments take precedence over dynamic segments, which take precedence over catch-alls', async () => {
+    assert.deepEqual(await match('/items/new'), { route: 'static', params: {} });
+    assert.deepEqual(await match('/items/42'), { route: 'dynamic', params: { id: '42' } });
+    assert.deepEqual(await match('/items/42/reviews'), { route: 'catch-all', params: { rest: ['42', 'reviews'] } });
+});
+
+test('catch-alls match one or more segments', async () => {
+    assert.deepEqual(await match('/files/a'), { route: 'files', params: { path: ['a'] } });
+    assert.deepEqual(await match('/files/a/b/c.txt'), { route: 'files', params: { path: ['a', 'b', 'c.txt'] } });
+    assert.equal(await match('/files'), 404);
+});
+
+test('optional catch-alls also match no segments at all', async () => {
+    assert.deepEqual(await match('/docs'), { route: 'docs', params: { slug: [] } });
+    assert.deepEqual(await match('/docs/guide/intro'), { route: 'docs', params: { slug: ['guide', 'intro'] } });
+});
+
+test('a dynamic branch that dead-ends falls back to a catch-all', async () => {
+    assert.deepEqual(await match('/shop/42/details'), { route: 'details', params: { id: '42' } });
+    // "[id]" has no endpoint of its own, nor a "reviews" directory, so the catch-all is tried instead
+    assert.deepEqual(await match('/shop/42'), { route: 'shop', params: { path: ['42'] } });
+    assert.deepEqual(await match('/shop/42/reviews'), { route: 'shop', params: { path: ['42', 'reviews'] } });
+});
+
+test('unknown paths are not matched', async () => {
+    assert.equal(await match('/nowhere'), 404);
+    assert.equal(await match('/items'), 404);
+});
+
+test('segments are decoded before being matched, and malformed ones match nothing', async () => {
+    assert.deepEqual(await match('/items/Ada%20Lovelace'), { route: 'dynamic', params: { id: 'Ada Lovelace' } });
+    assert.deepEqual(await match('/files/a%2Fb/c'), { route: 'files', params: { path: ['a/b', 'c'] } });
+    assert.equal(await match('/items/%E0%A4%A'), 404);
+});
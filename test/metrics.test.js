@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting from '../index.js';
+import { RouteMetrics } from '../lib/metrics.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/users/[id=int]/index.js': `
+            export const GET = (req) => ({ id: req.params.id });
+            export const DELETE = () => { throw new Error('Not today'); };
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+test('requests are counted for each route pattern and method', async () => {
+    const routing = await endpointRouting({ discover: true, metrics: true });
+    await routing.inject({ url: '/users/1' });
+    await routing.inject({ url: '/users/2' });
+    await assert.rejects(routing.inject({ method: 'DELETE', url: '/users/1' }));
+    await routing.inject({ method: 'PUT', url: '/users/1' });
+    await routing.inject({ url: '/missing' });
+
+    const { since, unmatched, routes } = routing.getMetrics();
+    assert.ok(!Number.isNaN(Date.parse(since)));
+    assert.equal(unmatched, 1);
+    assert.deepEqual(routes.map(({ pattern, method, count, errorCount, errorRate }) => ({ pattern, method, count, errorCount, errorRate })), [
+        { pattern: '/users/:id(int)', method: 'DELETE', count: 1, errorCount: 1, errorRate: 1 },
+        { pattern: '/users/:id(int)', method: 'GET', count: 2, errorCount: 0, errorRate: 0 },
+        { pattern: '/users/:id(int)', method: 'PUT', count: 1, errorCount: 1, errorRate: 1 }
+    ]);
+    assert.equal(routes[1].histogram.length, 11);
+});
+
+test('metrics can only be read once enabled', async () => {
+    const routing = await endpointRouting({ discover: true });
+    assert.throws(() => routing.getMetrics(), /Metrics are not being recorded/);
+});
+
+test('durations are summarized and counted into cumulative histogram buckets', () => {
+    const metrics = new RouteMetrics({ buckets: [100, 10, 50, 10] });
+    metrics.record('/users', 'GET', 5, false);
+    metrics.record('/users', 'GET', 30, false);
+    metrics.record('/users', 'GET', 80, true);
+    metrics.record('/users', 'GET', 400, false);
+    metrics.record(null, 'GET', 1, true);
+
+    const [route] = metrics.snapshot().routes;
+    assert.deepEqual(route.duration, { sum: 515, min: 5, max: 400, mean: 128.75 });
+    assert.equal(route.errorRate, 0.25);
+    assert.deepEqual(route.histogram, [{ le: 10, count: 1 }, { le: 50, count: 2 }, { le: 100, count: 3 }]);
+    assert.equal(metrics.snapshot().unmatched, 1);
+
+    assert.throws(() => new RouteMetrics({ buckets: [10, -5] }), /positive numbers/);
+});
+
+test('metrics are formatted in the Prometheus text format, with durations in seconds', () => {
+    const metrics = new RouteMetrics({ buckets: [10, 100] });
+    metrics.record('/users/:id(int)', 'GET', 5, false);
+    metrics.record('/users/:id(int)', 'GET', 250, true);
+    metrics.record('/say/"hi"', 'POST', 50, false);
+    metrics.record(null, 'GET', 1, true);
+
+    assert.equal(metrics.toPrometheus(), [
+        '# HELP endpoint_routing_requests_total The number of requests handled by each route.',
+        '# TYPE endpoint_routing_requests_total counter',
+        'endpoint_routing_requests_total{route="/say/\\"hi\\"",method="POST"} 1',
+        'endpoint_routing_requests_total{route="/users/:id(int)",method="GET"} 2',
+        '# HELP endpoint_routing_request_errors_total The number of requests to each route that raised an error.',
+        '# TYPE endpoint_routing_request_errors_total counter',
+        'endpoint_routing_request_errors_total{route="/say/\\"hi\\"",method="POST"} 0',
+        'endpoint_routing_request_errors_total{route="/users/:id(int)",method="GET"} 1',
+        '# HELP endpoint_routing_request_duration_seconds How long requests to each route took.',
+        '# TYPE endpoint_routing_request_duration_seconds histogram',
+        'endpoint_routing_request_duration_seconds_bucket{route="/say/\\"hi\\"",method="POST",le="0.01"} 0',
+        'endpoint_routing_request_duration_seconds_bucket{route="/say/\\"hi\\"",method="POST",le="0.1"} 1',
+        'endpoint_routing_request_duration_seconds_bucket{route="/say/\\"hi\\"",method="POST",le="+Inf"} 1',
+        'endpoint_routing_request_duration_seconds_sum{route="/say/\\"hi\\"",method="POST"} 0.05',
+        'endpoint_routing_request_duration_seconds_count{route="/say/\\"hi\\"",method="POST"} 1',
+        'endpoint_routing_request_duration_seconds_bucket{route="/users/:id(int)",method="GET",le="0.01"} 1',
+        'endpoint_routing_request_duration_seconds_bucket{route="/users/:id(int)",method="GET",le="0.1"} 1',
+        'endpoint_routing_request_duration_seconds_bucket{route="/users/:id(int)",method="GET",le="+Inf"} 2',
+        'endpoint_routing_request_duration_seconds_sum{route="/users/:id(int)",method="GET"} 0.255',
+        'endpoint_routing_request_duration_seconds_count{route="/users/:id(int)",method="GET"} 2',
+        '# HELP endpoint_routing_unmatched_requests_total The number of requests that did not match any route.',
+        '# TYPE endpoint_routing_unmatched_requests_total counter',
+        'endpoint_routing_unmatched_requests_total 1',
+        ''
+    ].join('\n'));
+});
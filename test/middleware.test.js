@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting, { HandlerError } from '../index.js';
+import { createRecordingResponse, interpretRecordedBody } from '../lib/injection.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/users/index.js': `
+            export default {
+                GET: (req) => ({ users: [] }),
+                POST: (req, res) => { res.statusCode = 201; return { created: true }; },
+                DELETE: (req, res) => { setTimeout(() => res.json({ deleted: true }), 10); },
+                PUT: (req, res) => { res.statusCode = 202; res.end(); }
+            };
+        `,
+        'endpoints/circular/index.js': `
+            export const GET = () => { const value = {}; value.self = value; return value; };
+        `,
+        'endpoints/bigint/index.js': `
+            export const GET = () => ({ total: 10n });
+        `,
+        'endpoints/search/index.js': `
+            export const schema = { GET: { query: { type: 'object', properties: { page: { type: 'integer' } } } } };
+            export const GET = (req) => ({ page: req.query.page });
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+test('returned values are sent as JSON', async () => {
+    const res = await routing.inject({ url: '/users' });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers['content-type'], /^application\/json/);
+    assert.deepEqual(res.body, { users: [] });
+});
+
+test('a status set by the handler is kept', async () => {
+    const res = await routing.inject({ method: 'POST', url: '/users' });
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body, { created: true });
+});
+
+test('returning nothing leaves the handler to respond later', async () => {
+    const res = createRecordingResponse();
+    await routing.middleware()({ method: 'DELETE', url: '/users', headers: {} }, res, (e) => { throw e || new Error('next() was called'); });
+    assert.equal(res.writableEnded, false);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(interpretRecordedBody(res), { deleted: true });
+});
+
+test('a response ended by the handler keeps its status', async () => {
+    const res = await routing.inject({ method: 'PUT', url: '/users' });
+    assert.equal(res.statusCode, 202);
+    assert.equal(res.body, undefined);
+});
+
+test('OPTIONS requests are answered with a 204 and an Allow header', async () => {
+    const res = await routing.inject({ method: 'OPTIONS', url: '/users' });
+    assert.equal(res.statusCode, 204);
+    assert.equal(res.headers['allow'], 'GET, POST, DELETE, PUT, HEAD, OPTIONS');
+});
+
+test('results that cannot be serialized are passed along to next(err)', async () => {
+    for (const url of ['/circular', '/bigint']) {
+        const middleware = routing.middleware();
+        const res = createRecordingResponse();
+        const error = await new Promise((resolve, reject) => {
+            middleware({ method: 'GET', url, headers: {} }, res, resolve).then(() => reject(new Error('next() was not called')), reject);
+        });
+        assert.ok(error instanceof HandlerError);
+        assert.equal(error.status, 500);
+        assert.equal(res.headersSent, false);
+    }
+});
+
+test('validated query values are written back onto requests that only have a getter for them', async () => {
+    // Express 5 defines req.query as a getter on the request prototype
+    class GetterRequest {
+        constructor(url) {
+            this.method = 'GET';
+            this.url = url;
+            this.headers = {};
+        }
+        get query() {
+            return Object.fromEntries(new URL(this.url, 'http://localhost').searchParams);
+        }
+    }
+
+    const res = createRecordingResponse();
+    await routing.middleware()(new GetterRequest('/search?page=2'), res, (e) => { throw e || new Error('next() was called'); });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(interpretRecordedBody(res), { page: 2 });
+});
+
+test('unknown paths respond with a 404', async () => {
+    const res = await routing.inject({ url: '/missing' });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+});
+
+test('unsupported methods respond with a 405 and an Allow header', async () => {
+    const res = await routing.inject({ method: 'PATCH', url: '/users' });
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.body.code, 'NOT_ALLOWED');
+    assert.equal(res.headers['allow'], 'GET, POST, DELETE, PUT, HEAD, OPTIONS');
+});
+
+test('fallthrough passes unknown paths along to next()', async () => {
+    const middleware = routing.middleware({ fallthrough: true });
+    let nextArgs = null;
+    await middleware({ method: 'GET', url: '/missing', headers: {} }, {}, (...args) => { nextArgs = args; });
+    assert.deepEqual(nextArgs, []);
+});
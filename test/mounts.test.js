@@ -0,0 +1,116 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import endpointRouting, { buildEndpointRoutes } from '../index.js';
+import { resolveMounts } from '../lib/mounts.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/v1/health/index.js': `
+            export const GET = () => ({ version: 1 });
+        `,
+        'endpoints/v1/users/[id]/index.js': `
+            export const GET = (req) => ({ version: 1, id: req.params.id, via: req.via });
+            export const DELETE = () => ({ version: 1, deleted: true });
+        `,
+        'endpoints/v1/reports/index.js': `
+            export const GET = () => ({ version: 1 });
+        `,
+        'endpoints/v2/_middleware.js': `
+            export default (req, res, next) => {
+                req.via = 'v2';
+                return next();
+            };
+        `,
+        'endpoints/v2/users/[id]/index.js': `
+            export const GET = (req) => ({ version: 2, id: req.params.id, via: req.via });
+        `,
+        'endpoints/v3/reports/index.js': `
+            export const GET = () => ({ version: 3 });
+        `,
+        'endpoints/site/api/v1/health/index.js': `
+            export const GET = () => ({ site: true });
+        `,
+        'endpoints/site/about/index.js': `
+            export const GET = () => ({ about: true });
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+test('mount prefixes are normalized and each fallback is ordered after what it falls back to', () => {
+    const mounts = resolveMounts({
+        'api/v3/': { handlersDir: 'endpoints/v3', fallback: '/api/v2' },
+        '/api/v2': { handlersDir: 'endpoints/v2', fallback: 'api/v1' },
+        '/api/v1': 'endpoints/v1'
+    });
+    assert.deepEqual(mounts.map(({ prefix, handlersDir, fallback }) => [prefix, handlersDir, fallback]), [
+        ['/api/v1', 'endpoints/v1', null],
+        ['/api/v2', 'endpoints/v2', '/api/v1'],
+        ['/api/v3', 'endpoints/v3', '/api/v2']
+    ]);
+    assert.deepEqual(resolveMounts(null, 'endpoints/v1').map(({ prefix }) => prefix), ['']);
+});
+
+test('invalid mounts are rejected', () => {
+    assert.throws(() => resolveMounts({ '/users/[id]': 'endpoints/v1' }), /can only contain static path segments/);
+    assert.throws(() => resolveMounts({ '/a': 'endpoints/v1', '/a/': 'endpoints/v2' }), /is defined more than once/);
+    assert.throws(() => resolveMounts({ '/': 'endpoints', '/v1': 'endpoints/v1' }), /within, the directory of the '\/' mount/);
+    assert.throws(() => resolveMounts({ '/v2': { handlersDir: 'endpoints/v2', fallback: '/v1' } }), /which is not a mount/);
+    assert.throws(() => resolveMounts({
+        '/v1': { handlersDir: 'endpoints/v1', fallback: '/v2' },
+        '/v2': { handlersDir: 'endpoints/v2', fallback: '/v1' }
+    }), /lead back to themselves/);
+    assert.throws(() => resolveMounts({
+        '/api': 'endpoints/v1',
+        '/api/v2': { handlersDir: 'endpoints/v2', fallback: '/api' }
+    }), /one is nested within the other/);
+});
+
+test('endpoints are served beneath the prefix of their mount, inheriting those they do not override', async () => {
+    const mounts = {
+        '/api/v1': 'endpoints/v1',
+        '/api/v2': { handlersDir: 'endpoints/v2', fallback: '/api/v1' },
+        '/api/v3': { handlersDir: 'endpoints/v3', fallback: '/api/v2' }
+    };
+    const report = await buildEndpointRoutes({ mounts, configOutput: 'routes.json' });
+    assert.deepEqual(report.errors, []);
+
+    const config = JSON.parse(fs.readFileSync('routes.json', 'utf-8'));
+    const v2 = config.routes['/api']['/v2'];
+    assert.deepEqual(v2['/health'].GET, { filePath: 'endpoints/v1/health/index.js', inheritedFrom: '/api/v1' });
+    assert.deepEqual(Object.keys(v2['/users']['/:id']).filter((key) => !key.startsWith('_')), ['GET']);
+    assert.equal(config.routes['/api']['/v3']['/health'].GET.inheritedFrom, '/api/v1');
+
+    const routing = await endpointRouting({});
+    assert.deepEqual((await routing.inject({ url: '/api/v1/users/7' })).body, { version: 1, id: '7' });
+    assert.deepEqual((await routing.inject({ url: '/api/v2/users/7' })).body, { version: 2, id: '7', via: 'v2' });
+    assert.deepEqual((await routing.inject({ url: '/api/v2/health' })).body, { version: 1 });
+    assert.deepEqual((await routing.inject({ url: '/api/v3/health' })).body, { version: 1 });
+    assert.deepEqual((await routing.inject({ url: '/api/v3/reports' })).body, { version: 3 });
+    assert.equal((await routing.inject({ url: '/health' })).statusCode, 404);
+
+    // Endpoints are inherited as a whole, and run with the middleware of the mount serving them
+    assert.equal((await routing.inject({ method: 'DELETE', url: '/api/v2/users/7' })).statusCode, 405);
+    assert.equal((await routing.inject({ url: '/api/v2/reports' })).body.version, 1);
+    assert.equal((await routing.inject({ url: '/api/v3/users/7' })).body.via, undefined);
+});
+
+test('mounts defining the same endpoint are reported, with the first listed keeping it', async () => {
+    const report = await buildEndpointRoutes({
+        mounts: { '/': 'endpoints/site', '/api/v1': 'endpoints/v1' },
+        configOutput: 'conflicting-routes.json'
+    });
+    assert.deepEqual(report.errors.map(({ code, route, file }) => [code, route, file]), [
+        ['MOUNT_CONFLICT', '/api/v1/health', 'endpoints/v1/health/index.js']
+    ]);
+
+    const routing = await endpointRouting({ routesConfig: 'conflicting-routes.json' });
+    assert.deepEqual((await routing.inject({ url: '/api/v1/health' })).body, { site: true });
+    assert.deepEqual((await routing.inject({ url: '/api/v1/reports' })).body, { version: 1 });
+    assert.deepEqual((await routing.inject({ url: '/about' })).body, { about: true });
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOpenApiSpec } from '../index.js';
+import { createOpenApiDocument } from '../lib/openapi.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+
+before(() => {
+    projectDir = useProject({
+        'endpoints/docs/[[...slug]]/index.js': `
+            export const GET = (req) => ({ slug: req.params.slug });
+        `,
+        'endpoints/users/index.js': `
+            export const openapi = {
+                POST: {
+                    requestBody: {
+                        description: 'The user to create.',
+                        content: { 'application/json': { schema: { type: 'object' } } }
+                    }
+                }
+            };
+            export const POST = () => ({ created: true });
+        `,
+        'endpoints/users/[id]/index.js': `
+            export const GET = (req) => ({ id: req.params.id });
+        `,
+        'endpoints/users/[userId=int]/index.js': `
+            export const DELETE = (req) => ({ deleted: req.params.userId });
+        `,
+        'endpoints/items/index.js': `
+            export const schema = { POST: { body: { type: 'object', required: ['name'] } } };
+            export const POST = () => ({ created: true });
+        `
+    });
+});
+
+after(() => removeProject(projectDir));
+
+test('optional catch-alls are described both with and without their parameter', async () => {
+    const document = await buildOpenApiSpec({ output: 'openapi.json' });
+    assert.ok(document.paths['/docs'].get);
+    assert.equal(document.paths['/docs'].get.parameters, undefined);
+    assert.equal(document.paths['/docs/{slug}'].get.parameters[0].name, 'slug');
+});
+
+test('equivalent templated paths are reported and only described once', async () => {
+    const document = await buildOpenApiSpec({ output: 'openapi.json' });
+    const userPaths = Object.keys(document.paths).filter((key) => key.startsWith('/users/'));
+    assert.equal(userPaths.length, 1);
+
+    await assert.rejects(buildOpenApiSpec({ output: 'strict-openapi.json', strict: true }), (error) => {
+        return error.report.warnings.some((warning) => warning.code === 'DUPLICATE_OPENAPI_PATH');
+    });
+});
+
+test('request bodies are wrapped unless already an OpenAPI request body object', async () => {
+    const document = await buildOpenApiSpec({ output: 'openapi.json' });
+    assert.deepEqual(document.paths['/items'].post.requestBody.content['application/json'].schema, { type: 'object', required: ['name'] });
+    assert.equal(document.paths['/users'].post.requestBody.description, 'The user to create.');
+    assert.deepEqual(document.paths['/users'].post.requestBody.content['application/json'].schema, { type: 'object' });
+});
+
+test('endpoint files that fail to import are reported', async () => {
+    const problems = [];
+    const routeConfig = { routes: { '/broken': { GET: { filePath: 'endpoints/broken/index.js' } } } };
+    const document = await createOpenApiDocument(routeConfig, {
+        info: { title: 'Test', version: '1.0.0' },
+        importModule: () => { throw new Error('Unexpected token'); },
+        reportDiagnostic: (level, code, message, details) => problems.push({ level, code, message, ...details })
+    });
+
+    assert.ok(document.paths['/broken'].get);
+    assert.equal(problems.length, 1);
+    assert.equal(problems[0].level, 'error');
+    assert.equal(problems[0].code, 'IMPORT_FAILED');
+    assert.equal(problems[0].file, 'endpoints/broken/index.js');
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting, { buildEndpointRoutes } from '../index.js';
+import { useProject, writeProjectFiles, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    const echo = (name) => `export const GET = (req) => ({ route: '${name}', params: req.params });`;
+    projectDir = useProject({
+        'endpoints/users/[id=int]/index.js': echo('int'),
+        'endpoints/users/[name]/index.js': echo('name'),
+        'endpoints/prices/[amount=float]/index.js': echo('float'),
+        'endpoints/flags/[enabled=bool]/index.js': echo('bool'),
+        'endpoints/orders/[orderId=uuid]/index.js': echo('uuid'),
+        'endpoints/posts/[slug=regex:^[a-z-]+$]/index.js': echo('regex'),
+        'endpoints/events/[day=isoDate]/index.js': echo('custom'),
+        'endpoints/scores/[...points=int]/index.js': echo('catch-all'),
+        'endpoints/at/[when=regex:^[0-9-]+T.+Z$]/index.js': echo('date-time')
+    });
+    routing = await endpointRouting({
+        discover: true,
+        paramTypes: {
+            isoDate: { test: /^\d{4}-\d{2}-\d{2}$/, convert: (value) => value.split('-').map(Number) }
+        }
+    });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Request a path, resolving with the route that answered it and the params it was given.
+ */
+async function match(url) {
+    const res = await routing.inject({ url });
+    return res.statusCode === 200 ? res.body : res.statusCode;
+}
+
+test('built-in types convert the values they match', async () => {
+    assert.deepEqual(await match('/users/42'), { route: 'int', params: { id: 42 } });
+    assert.deepEqual(await match('/users/-7'), { route: 'int', params: { id: -7 } });
+    assert.deepEqual(await match('/prices/9.99'), { route: 'float', params: { amount: 9.99 } });
+    assert.deepEqual(await match('/flags/TRUE'), { route: 'bool', params: { enabled: true } });
+    assert.deepEqual(await match('/flags/false'), { route: 'bool', params: { enabled: false } });
+    const orderId = '1b4e28ba-2fa1-11d2-883f-0016d3cca427';
+    assert.deepEqual(await match(`/orders/${orderId}`), { route: 'uuid', params: { orderId } });
+});
+
+test('values that fail a constraint fall through to a sibling route', async () => {
+    assert.deepEqual(await match('/users/ada'), { route: 'name', params: { name: 'ada' } });
+    assert.deepEqual(await match('/users/4.2'), { route: 'name', params: { name: '4.2' } });
+});
+
+test('values that fail a constraint without a sibling route are not found', async () => {
+    assert.equal(await match('/prices/cheap'), 404);
+    assert.equal(await match('/flags/yes'), 404);
+    assert.equal(await match('/orders/42'), 404);
+    assert.equal(await match('/posts/Hello_World'), 404);
+    assert.equal(await match('/scores/1/two/3'), 404);
+});
+
+test('regex constraints and custom types are applied', async () => {
+    assert.deepEqual(await match('/posts/hello-world'), { route: 'regex', params: { slug: 'hello-world' } });
+    assert.deepEqual(await match('/events/2024-01-31'), { route: 'custom', params: { day: [2024, 1, 31] } });
+    assert.equal(await match('/events/tomorrow'), 404);
+});
+
+test('catch-all constraints apply to every segment', async () => {
+    assert.deepEqual(await match('/scores/1/2/3'), { route: 'catch-all', params: { points: [1, 2, 3] } });
+});
+
+test('an unknown type fails to compile the routes', async () => {
+    writeProjectFiles(projectDir, {
+        'unknown/[id=nope]/index.js': `export const GET = () => ({});`
+    });
+    await assert.rejects(async () => endpointRouting({ discover: true, handlersDir: 'unknown' }), /Unknown URL parameter type 'nope'/);
+});
+
+test('an invalid regex constraint is reported by the build', async () => {
+    writeProjectFiles(projectDir, {
+        'invalid/[id=regex:(]/index.js': `export const GET = () => ({});`
+    });
+    const report = await buildEndpointRoutes({ handlersDir: 'invalid', configOutput: 'invalid-routes.json' });
+    assert.deepEqual(report.errors.map((error) => error.code), ['INVALID_PARAM_CONSTRAINT']);
+});
+
+test('URLs built by urlFor() are matched with their original values', async () => {
+    const name = await routing.inject({ url: routing.urlFor('/users/:name', { name: 'Ada Lovelace' }) });
+    assert.deepEqual(name.body, { route: 'name', params: { name: 'Ada Lovelace' } });
+
+    const slug = await routing.inject({ url: routing.urlFor('/posts/:slug', { slug: 'a-b' }) });
+    assert.deepEqual(slug.body, { route: 'regex', params: { slug: 'a-b' } });
+
+    const when = await routing.inject({ url: routing.urlFor('/at/:when', { when: '2024-01-01T10:00:00Z' }) });
+    assert.deepEqual(when.body, { route: 'date-time', params: { when: '2024-01-01T10:00:00Z' } });
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import endpointRouting from '../index.js';
+import { prepareNodeRequest } from '../lib/node-http.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/echo/index.js': `
+            export const POST = (req) => ({ body: req.body, query: req.query });
+        `,
+        'endpoints/fails/index.js': `
+            export const GET = () => { throw new Error('Something broke'); };
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Start a server with a request listener, and run a function against it before closing it again.
+ */
+async function withServer(listener, run) {
+    const server = http.createServer(listener);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await run(server.address().port);
+    } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+/**
+ * Send a request, resolving with its status and parsed body.
+ */
+function request(port, method, path, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, method, path, headers: { 'content-type': 'application/json' } }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : undefined }));
+        });
+        req.on('error', reject);
+        req.setTimeout(2000, () => req.destroy(new Error('No response was sent.')));
+        req.end(body);
+    });
+}
+
+test('request bodies and query strings are parsed', { timeout: 5000 }, async () => {
+    await withServer(routing.createRequestListener(), async (port) => {
+        const res = await request(port, 'POST', '/echo?page=2', JSON.stringify({ name: 'Ada' }));
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { body: { name: 'Ada' }, query: { page: '2' } });
+    });
+});
+
+test('invalid JSON bodies are responded to with a 400', { timeout: 5000 }, async () => {
+    await withServer(routing.createRequestListener(), async (port) => {
+        const res = await request(port, 'POST', '/echo', '{');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.code, 'BAD_REQUEST');
+    });
+});
+
+test('thrown errors are responded to with a generic 500', { timeout: 5000 }, async () => {
+    await withServer(routing.createRequestListener(), async (port) => {
+        const res = await request(port, 'GET', '/fails');
+        assert.equal(res.status, 500);
+        assert.equal(res.body.code, 'INTERNAL_ERROR');
+    });
+});
+
+test('a throwing onError still responds', { timeout: 5000 }, async () => {
+    const listener = routing.createRequestListener({ onError: () => { throw new Error('onError broke'); } });
+    const originalConsoleError = console.error;
+    console.error = () => {};
+    try {
+        await withServer(listener, async (port) => {
+            const res = await request(port, 'GET', '/fails');
+            assert.equal(res.status, 500);
+        });
+    } finally {
+        console.error = originalConsoleError;
+    }
+});
+
+test('the listener never rejects when a client disconnects mid-body', { timeout: 5000 }, async () => {
+    const listener = routing.createRequestListener();
+    let settled;
+    const observed = new Promise((resolve) => { settled = resolve; });
+    await withServer((req, res) => listener(req, res).then(() => settled('resolved'), () => settled('rejected')), async (port) => {
+        const socket = net.connect(port, '127.0.0.1');
+        socket.write('POST /echo HTTP/1.1\r\nHost: localhost\r\nContent-Type: application/json\r\nContent-Length: 100\r\n\r\n{"partial":');
+        setTimeout(() => socket.destroy(), 50);
+        assert.equal(await observed, 'resolved');
+    });
+});
+
+test('requests that only have getters for the path and query can still be prepared', async () => {
+    const proto = {
+        get path() { return '/ignored'; },
+        get query() { return {}; }
+    };
+    const req = Object.assign(Object.create(proto), { method: 'GET', url: '/echo?page=2', headers: {} });
+    await prepareNodeRequest(req);
+    assert.equal(req.path, '/echo');
+    assert.deepEqual(req.query, { page: '2' });
+});
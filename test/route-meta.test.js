@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import endpointRouting, { buildEndpointRoutes } from '../index.js';
+import { useProject, writeProjectFiles, removeProject } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/users/[userId]/index.js': `
+            export const meta = {
+                rateLimit: 'standard',
+                roles: ['user'],
+                DELETE: { roles: ['admin'], deprecated: true }
+            };
+            export const GET = (req) => ({ id: req.params.userId });
+            export const DELETE = () => ({ deleted: true });
+        `,
+        'endpoints/reports/get.js': `
+            export const meta = { cached: true };
+            export default () => ({ reports: [] });
+        `,
+        'endpoints/reports/post.js': `
+            export default () => ({ created: true });
+        `,
+        'endpoints/health/index.js': `
+            export const GET = () => ({ healthy: true });
+        `
+    });
+    await buildEndpointRoutes({ configOutput: 'routes.json' });
+    routing = await endpointRouting({});
+});
+
+after(() => removeProject(projectDir));
+
+test('shared metadata is inherited by each method, and overridden by its own', () => {
+    assert.deepEqual(routing.getRouteMeta('/users/42', 'GET'), { rateLimit: 'standard', roles: ['user'] });
+    assert.deepEqual(routing.getRouteMeta('/users/42', 'delete'), { rateLimit: 'standard', roles: ['admin'], deprecated: true });
+    assert.deepEqual(routing.getRouteMeta('/users/42', 'HEAD'), { rateLimit: 'standard', roles: ['user'] });
+});
+
+test('per-method files only describe their own method', () => {
+    assert.deepEqual(routing.getRouteMeta('/reports', 'GET'), { cached: true });
+    assert.deepEqual(routing.getRouteMeta('/reports', 'POST'), {});
+});
+
+test('endpoints without metadata get an empty object, and missing ones null', () => {
+    assert.deepEqual(routing.getRouteMeta('/health', 'GET'), {});
+    assert.equal(routing.getRouteMeta('/health', 'POST'), null);
+    assert.equal(routing.getRouteMeta('/missing', 'GET'), null);
+});
+
+test('metadata is read from the routes file rather than the endpoint file', async () => {
+    const routesConfig = JSON.parse(fs.readFileSync('routes.json', 'utf8'));
+    assert.deepEqual(routesConfig.routes['/users']['/:userId'].DELETE.meta, { rateLimit: 'standard', roles: ['admin'], deprecated: true });
+    assert.equal(routesConfig.routes['/health'].GET.meta, undefined);
+
+    // Until the routes file is rebuilt, the endpoint file's new metadata (and its failure to import) goes unnoticed
+    writeProjectFiles(projectDir, {
+        'endpoints/health/index.js': `
+            export const meta = { public: true };
+            throw new Error('Not to be imported');
+        `
+    });
+    const staleRouting = await endpointRouting({ verify: false });
+    assert.deepEqual(staleRouting.getRouteMeta('/health', 'GET'), {});
+});
+
+test('routes are listed in path order with their metadata, and can be filtered', () => {
+    assert.deepEqual(routing.listRoutes().map(({ path, method, filePath }) => [path, method, filePath]), [
+        ['/health', 'GET', 'endpoints/health/index.js'],
+        ['/reports', 'GET', 'endpoints/reports/get.js'],
+        ['/reports', 'POST', 'endpoints/reports/post.js'],
+        ['/users/:userId', 'GET', 'endpoints/users/[userId]/index.js'],
+        ['/users/:userId', 'DELETE', 'endpoints/users/[userId]/index.js']
+    ]);
+
+    assert.deepEqual(routing.listRoutes({ filter: (route) => route.meta.deprecated }), [{
+        path: '/users/:userId',
+        method: 'DELETE',
+        filePath: 'endpoints/users/[userId]/index.js',
+        meta: { rateLimit: 'standard', roles: ['admin'], deprecated: true }
+    }]);
+});
@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting, { buildEndpointRoutes } from '../index.js';
+import { compileRouteRegistry } from '../lib/making-requests.js';
+import { useProject, writeProjectFiles, removeProject, eventually } from './helpers.js';
+
+let projectDir;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/counter/index.js': `
+            globalThis.counterImports = (globalThis.counterImports || 0) + 1;
+            let count = 0;
+            export const GET = () => ({ count: ++count, imports: globalThis.counterImports });
+        `
+    });
+    await buildEndpointRoutes({ configOutput: 'routes.json' });
+});
+
+after(() => removeProject(projectDir));
+
+test('endpoint files are imported once and reused across requests', async () => {
+    const routing = await endpointRouting({});
+    assert.deepEqual((await routing.inject({ url: '/counter' })).body, { count: 1, imports: 1 });
+    assert.deepEqual((await routing.inject({ url: '/counter' })).body, { count: 2, imports: 1 });
+});
+
+test('the route registry is rebuilt when the routes file is rewritten', { timeout: 10000 }, async () => {
+    const routing = await endpointRouting({ hotReload: true });
+    try {
+        assert.equal((await routing.inject({ url: '/added' })).statusCode, 404);
+
+        writeProjectFiles(projectDir, {
+            'endpoints/added/index.js': `export const GET = () => ({ added: true });`
+        });
+        await buildEndpointRoutes({ configOutput: 'routes.json' });
+
+        await eventually(async () => {
+            assert.deepEqual((await routing.inject({ url: '/added' })).body, { added: true });
+        });
+        assert.equal((await routing.inject({ url: '/counter' })).statusCode, 200);
+    } finally {
+        routing.close();
+    }
+});
+
+test('compiled route nodes describe their methods and children', () => {
+    const compiledRoutes = compileRouteRegistry({
+        '/users': {
+            GET: { filePath: 'endpoints/users/index.js' },
+            '/:id(int)': { GET: { filePath: 'endpoints/users/[id=int]/index.js' } },
+            '/:slug*': { GET: { filePath: 'endpoints/users/[[...slug]]/index.js' } },
+            '/me': { GET: { filePath: 'endpoints/users/me/index.js' } }
+        }
+    }, {});
+
+    const users = compiledRoutes.staticChildren.get('users');
+    assert.equal(users.pattern, '/users');
+    assert.deepEqual(users.methods, ['GET']);
+    assert.deepEqual([...users.staticChildren.keys()], ['me']);
+    assert.deepEqual(users.dynamicChildren.map(({ name, catchAll, optional }) => [name, catchAll, optional]), [['id', false, false], ['slug', true, true]]);
+    assert.equal(users.dynamicChildren[0].paramType.convert('42'), 42);
+});
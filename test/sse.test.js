@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import endpointRouting from '../index.js';
+import { useProject, removeProject, eventually } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/feed/index.js': `
+            export const SSE = (req, stream) => {
+                stream.comment('connected');
+                stream.send({ hello: req.query.name }, { event: 'greeting', id: 1, retry: 2500 });
+                stream.send('first line\\nsecond line');
+                stream.close();
+            };
+        `,
+        'endpoints/prices/index.js': `
+            export const GET = () => ({ prices: [] });
+            export const SSE = (req, stream) => {
+                stream.send('live');
+                stream.close();
+            };
+        `,
+        'endpoints/ticker/index.js': `
+            export const SSE = (req, stream) => {
+                globalThis.tickerClosed = false;
+                stream.onClose(() => { globalThis.tickerClosed = true; });
+                stream.send('tick');
+            };
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Start a server with the request listener, and run a function against it before closing it again.
+ */
+async function withServer(run) {
+    const server = http.createServer(routing.createRequestListener());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await run(server.address().port);
+    } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+/**
+ * Send a `GET` request, resolving with its response once the headers arrive. The body is collected into `res.text`,
+ * and `res.ended` resolves once the response ends.
+ */
+function open(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port, path, headers }, (res) => {
+            res.setEncoding('utf8');
+            res.text = '';
+            res.on('data', (chunk) => { res.text += chunk; });
+            res.ended = new Promise((resolveEnd) => res.on('end', resolveEnd));
+            res.request = req;
+            resolve(res);
+        });
+        req.on('error', reject);
+        req.setTimeout(2000, () => req.destroy(new Error('No response was sent.')));
+    });
+}
+
+test('events are streamed with the event stream headers and format', { timeout: 5000 }, async () => {
+    await withServer(async (port) => {
+        const res = await open(port, '/feed?name=Ada');
+        await res.ended;
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+        assert.equal(res.headers['cache-control'], 'no-cache, no-transform');
+        assert.equal(res.headers['x-accel-buffering'], 'no');
+        assert.equal(res.text, [
+            ': connected\n\n',
+            'event: greeting\nid: 1\nretry: 2500\ndata: {"hello":"Ada"}\n\n',
+            'data: first line\ndata: second line\n\n'
+        ].join(''));
+    });
+});
+
+test('endpoints that also define GET only stream to requests that accept an event stream', { timeout: 5000 }, async () => {
+    await withServer(async (port) => {
+        const plain = await open(port, '/prices');
+        await plain.ended;
+        assert.match(plain.headers['content-type'], /^application\/json/);
+        assert.deepEqual(JSON.parse(plain.text), { prices: [] });
+
+        const stream = await open(port, '/prices', { accept: 'text/event-stream' });
+        await stream.ended;
+        assert.match(stream.headers['content-type'], /^text\/event-stream/);
+        assert.equal(stream.text, 'data: live\n\n');
+    });
+});
+
+test('streams stay open after the handler returns, and onClose is called when the client goes away', { timeout: 5000 }, async () => {
+    await withServer(async (port) => {
+        const res = await open(port, '/ticker');
+        await eventually(() => assert.equal(res.text, 'data: tick\n\n'));
+        assert.equal(globalThis.tickerClosed, false);
+
+        res.request.destroy();
+        await eventually(() => assert.equal(globalThis.tickerClosed, true));
+    });
+});
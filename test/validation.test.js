@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import endpointRouting, { ValidationError } from '../index.js';
+import { validateSchema } from '../lib/validation.js';
+import { useProject, removeProject } from './helpers.js';
+
+/**
+ * Validate a value, returning each of its problems as "<path> <message>".
+ */
+const problemsOf = (value, schema, options) => validateSchema(value, schema, options).errors.map(({ path, message }) => `${path} ${message}`);
+
+test('type checks each JSON type, and can accept more than one', () => {
+    assert.deepEqual(problemsOf('a', { type: 'string' }), []);
+    assert.deepEqual(problemsOf(1.5, { type: 'number' }), []);
+    assert.deepEqual(problemsOf(Infinity, { type: 'number' }), [' must be of type number']);
+    assert.deepEqual(problemsOf(1.5, { type: 'integer' }), [' must be of type integer']);
+    assert.deepEqual(problemsOf(true, { type: 'boolean' }), []);
+    assert.deepEqual(problemsOf([], { type: 'object' }), [' must be of type object']);
+    assert.deepEqual(problemsOf({}, { type: 'array' }), [' must be of type array']);
+    assert.deepEqual(problemsOf(null, { type: ['string', 'null'] }), []);
+    assert.deepEqual(problemsOf(null, { type: 'string', nullable: true }), []);
+});
+
+test('coercion converts strings to the types the schema expects', () => {
+    const schema = {
+        type: 'object',
+        properties: { page: { type: 'integer' }, ratio: { type: 'number' }, draft: { type: 'boolean' }, tags: { type: 'array', items: { type: 'string' } } }
+    };
+    const outcome = validateSchema({ page: '2', ratio: '0.5', draft: 'false', tags: 'news' }, schema, { coerce: true });
+    assert.equal(outcome.valid, true);
+    assert.deepEqual(outcome.value, { page: 2, ratio: 0.5, draft: false, tags: ['news'] });
+
+    assert.deepEqual(problemsOf({ page: 'two' }, schema, { coerce: true }), ['/page must be of type integer']);
+    assert.deepEqual(problemsOf({ page: '2' }, schema), ['/page must be of type integer']);
+});
+
+test('enum and const require exact values', () => {
+    assert.deepEqual(problemsOf('red', { enum: ['red', 'green'] }), []);
+    assert.deepEqual(problemsOf('blue', { enum: ['red', 'green'] }), [' must be one of "red", "green"']);
+    assert.deepEqual(problemsOf({ a: [1] }, { const: { a: [1] } }), []);
+    assert.deepEqual(problemsOf({ a: [2] }, { const: { a: [1] } }), [' must be equal to {"a":[1]}']);
+});
+
+test('string keywords check length, pattern and format', () => {
+    assert.deepEqual(problemsOf('ab', { minLength: 3 }), [' must be at least 3 characters long']);
+    assert.deepEqual(problemsOf('abcd', { maxLength: 3 }), [' must be at most 3 characters long']);
+    assert.deepEqual(problemsOf('😀😀😀', { maxLength: 3 }), []);
+    assert.deepEqual(problemsOf('ABC', { pattern: '^[a-z]+$' }), [' must match the pattern ^[a-z]+$']);
+    assert.deepEqual(problemsOf('ada@example.com', { format: 'email' }), []);
+    assert.deepEqual(problemsOf('ada', { format: 'email' }), [' must be a valid email']);
+    assert.deepEqual(problemsOf('2024-01-31T10:00:00Z', { format: 'date-time' }), []);
+    assert.deepEqual(problemsOf('300.1.1.1', { format: 'ipv4' }), [' must be a valid ipv4']);
+    assert.deepEqual(problemsOf('anything', { format: 'unknown-format' }), []);
+});
+
+test('number keywords check bounds and multiples', () => {
+    assert.deepEqual(problemsOf(0, { minimum: 1 }), [' must be greater than or equal to 1']);
+    assert.deepEqual(problemsOf(11, { maximum: 10 }), [' must be less than or equal to 10']);
+    assert.deepEqual(problemsOf(1, { exclusiveMinimum: 1 }), [' must be greater than 1']);
+    assert.deepEqual(problemsOf(10, { exclusiveMaximum: 10 }), [' must be less than 10']);
+    assert.deepEqual(problemsOf(0.3, { multipleOf: 0.1 }), []);
+    assert.deepEqual(problemsOf(7, { multipleOf: 2 }), [' must be a multiple of 2']);
+});
+
+test('array keywords check the size, uniqueness and each item', () => {
+    assert.deepEqual(problemsOf([], { minItems: 1 }), [' must contain at least 1 items']);
+    assert.deepEqual(problemsOf([1, 2, 3], { maxItems: 2 }), [' must contain at most 2 items']);
+    assert.deepEqual(problemsOf([{ a: 1 }, { a: 1 }], { uniqueItems: true }), [' must not contain duplicate items']);
+    assert.deepEqual(problemsOf([1, 'two', 3], { items: { type: 'integer' } }), ['/1 must be of type integer']);
+});
+
+test('object keywords check required and additional properties, including nested ones', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'address'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string' },
+            address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } }, additionalProperties: { type: 'string' } }
+        }
+    };
+    assert.deepEqual(problemsOf({ name: 'Ada', address: { city: 'London', postcode: 'N1' } }, schema), []);
+    assert.deepEqual(problemsOf({ address: { postcode: 1 }, age: 36 }, schema), [
+        '/name is required',
+        '/address/city is required',
+        '/address/postcode must be of type string',
+        '/age is not an allowed property'
+    ]);
+    assert.deepEqual(problemsOf({ 'a/b': 1 }, { additionalProperties: false }), ['/a~1b is not an allowed property']);
+});
+
+test('combination keywords check the subschemas', () => {
+    assert.deepEqual(problemsOf(5, { allOf: [{ minimum: 1 }, { maximum: 3 }] }), [' must be less than or equal to 3']);
+    assert.deepEqual(problemsOf('a', { anyOf: [{ type: 'integer' }, { type: 'string' }] }), []);
+    assert.deepEqual(problemsOf(true, { anyOf: [{ type: 'integer' }, { type: 'string' }] }), [' must match at least one of the allowed schemas']);
+    assert.deepEqual(problemsOf(2, { oneOf: [{ type: 'integer' }, { minimum: 1 }] }), [' must match exactly one of the allowed schemas']);
+    assert.deepEqual(problemsOf('a', { not: { type: 'string' } }), [' must not match the disallowed schema']);
+    assert.deepEqual(problemsOf('a', false), [' is not allowed']);
+    assert.deepEqual(problemsOf('a', true), []);
+});
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/users/[id]/index.js': `
+            export const schema = {
+                POST: {
+                    params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+                    query: { type: 'object', properties: { notify: { type: 'boolean' } } },
+                    body: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 }, email: { type: 'string', format: 'email' } } },
+                    response: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }
+                }
+            };
+            export const POST = (req) => req.body.name === 'broken'
+                ? { id: 'not a number' }
+                : { id: req.params.id, notify: req.query.notify };
+        `
+    });
+    routing = await endpointRouting({ discover: true, validateResponses: true });
+});
+
+after(() => removeProject(projectDir));
+
+test('valid requests reach the endpoint with their URL values converted', async () => {
+    const res = await routing.inject({ method: 'POST', url: '/users/42?notify=true', body: { name: 'Ada' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { id: 42, notify: true });
+});
+
+test('invalid requests are responded to with a 400 listing every failing field', async () => {
+    const res = await routing.inject({ method: 'POST', url: '/users/0?notify=maybe', body: { email: 'ada' } });
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+        success: false,
+        code: 'VALIDATION_FAILED',
+        error: 'Request validation failed.',
+        errors: [
+            { location: 'params', path: '/id', message: 'must be greater than or equal to 1' },
+            { location: 'query', path: '/notify', message: 'must be of type boolean' },
+            { location: 'body', path: '/name', message: 'is required' },
+            { location: 'body', path: '/email', message: 'must be a valid email' }
+        ]
+    });
+});
+
+test('responses that fail their schema are rejected with a 500 validation error', async () => {
+    await assert.rejects(routing.inject({ method: 'POST', url: '/users/42', body: { name: 'broken' } }), (error) => {
+        return error instanceof ValidationError
+            && error.code === 'RESPONSE_VALIDATION_FAILED'
+            && error.status === 500
+            && error.errors[0].location === 'response'
+            && error.errors[0].path === '/id';
+    });
+});
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import endpointRouting, { buildEndpointRoutes } from '../index.js';
+import { useProject, removeProject } from './helpers.js';
+
+let projectDir;
+let routeConfig;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/users/index.js': `
+            export const GET = () => ({ users: [] });
+        `
+    });
+    await buildEndpointRoutes({ configOutput: 'routes.json' });
+    routeConfig = JSON.parse(fs.readFileSync('routes.json', 'utf-8'));
+});
+
+after(() => removeProject(projectDir));
+
+/**
+ * Write a copy of the compiled routes file with some of its keys replaced.
+ */
+function writeRoutesConfig(fileName, overrides) {
+    fs.writeFileSync(fileName, JSON.stringify({ ...routeConfig, ...overrides }));
+    return fileName;
+}
+
+test('the build records the current version of the routing algorithm', () => {
+    const packageJSON = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+    assert.equal(routeConfig.version, packageJSON['route-alg-version']);
+    assert.equal(routeConfig.version, 2);
+});
+
+test('routes compiled by a newer version of the routing algorithm are rejected', () => {
+    const routesConfig = writeRoutesConfig('newer-routes.json', { version: routeConfig.version + 1 });
+    assert.throws(() => endpointRouting({ routesConfig }), /only supports up to version 2/);
+});
+
+test('routes compiled by an older version of the routing algorithm are still read, but fail verification', async () => {
+    const routesConfig = writeRoutesConfig('older-routes.json', { version: 1 });
+    assert.deepEqual((await endpointRouting({ routesConfig, verify: false }).inject({ url: '/users' })).body, { users: [] });
+
+    assert.throws(() => endpointRouting({ routesConfig, verify: 'error' }), (error) => {
+        return error.problems.map(({ code }) => code).join() === 'OUTDATED_VERSION';
+    });
+    assert.doesNotThrow(() => endpointRouting({ routesConfig: 'routes.json', verify: 'error' }));
+});
+
+test('by default, problems are logged on startup, and any edit to an endpoint file is one', async () => {
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        endpointRouting({});
+        assert.deepEqual(warnings, []);
+
+        fs.appendFileSync('endpoints/users/index.js', '\n// An edit that keeps the same exports\n');
+        const routing = endpointRouting({});
+        assert.equal(warnings.length, 1);
+        assert.match(warnings[0], /\[CHANGED_FILE\]: 'endpoints\/users\/index.js' has changed/);
+        assert.equal((await routing.inject({ url: '/users' })).statusCode, 200);
+
+        endpointRouting({ verify: false });
+        assert.equal(warnings.length, 1);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
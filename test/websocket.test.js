@@ -0,0 +1,325 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import net from 'net';
+import endpointRouting from '../index.js';
+import { useProject, removeProject, eventually } from './helpers.js';
+
+let projectDir;
+let routing;
+
+before(async () => {
+    projectDir = useProject({
+        'endpoints/rooms/[room]/index.js': `
+            export const WS = {
+                onOpen: (ws, req) => ws.send({ opened: req.params.room }),
+                onMessage: (ws, data, req) => ws.send(typeof data === 'string' ? 'echo:' + data : data),
+                onClose: (ws, code, reason) => { globalThis.lastClose = { code, reason }; }
+            };
+        `,
+        'endpoints/guarded/_middleware.js': `
+            export default { WS: (req, res, next) => req.query.token === 'secret' ? next() : { denied: true } };
+        `,
+        'endpoints/guarded/index.js': `
+            export const WS = { onOpen: (ws) => ws.send('welcome') };
+        `,
+        'endpoints/private/_middleware.js': `
+            export default (req, res) => { res.statusCode = 401; res.end('Unauthorized'); };
+        `,
+        'endpoints/private/index.js': `
+            export const WS = { onOpen: (ws) => ws.send('welcome') };
+        `,
+        'endpoints/plain/index.js': `
+            export const GET = () => ({ plain: true });
+        `
+    });
+    routing = await endpointRouting({ discover: true });
+});
+
+after(() => removeProject(projectDir));
+
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xA };
+
+/**
+ * Start a server accepting WebSocket connections, and run a function against it before closing it again. The function
+ * is given a way to open connections, and the attachment of the server.
+ */
+async function withServer(options, run) {
+    const server = http.createServer(routing.createRequestListener());
+    const attachment = routing.attachUpgrade(server, options);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const sockets = [];
+    try {
+        return await run((path, headers) => openUpgrade(server.address().port, path, headers, sockets), attachment);
+    } finally {
+        attachment.close();
+        for (const socket of sockets) socket.destroy();
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+/**
+ * Send an upgrade request over a raw connection, resolving with the response once its headers have arrived. An
+ * accepted upgrade leaves the connection open, with `nextFrame()` reading each frame the server sends.
+ */
+function openUpgrade(port, path, headers = {}, sockets = []) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        sockets.push(socket);
+        const requestHeaders = {
+            'Host': `127.0.0.1:${port}`,
+            'Upgrade': 'websocket',
+            'Connection': 'Upgrade',
+            'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+            'Sec-WebSocket-Version': '13',
+            ...headers
+        };
+        const method = requestHeaders['method'] || 'GET';
+        delete requestHeaders['method'];
+        socket.write([`${method} ${path} HTTP/1.1`, ...Object.entries(requestHeaders).filter(([, value]) => value !== null).map(([name, value]) => `${name}: ${value}`), '', ''].join('\r\n'));
+
+        let buffer = Buffer.alloc(0);
+        let response = null;
+        const frames = [];
+        const waiting = [];
+        let ended = false;
+        const flushFrames = () => {
+            let frame;
+            while ((frame = readServerFrame(buffer)) !== null) {
+                buffer = buffer.subarray(frame.frameLength);
+                frames.push(frame);
+            }
+            while (waiting.length > 0 && (frames.length > 0 || ended)) waiting.shift()(frames.shift() || null);
+        };
+
+        socket.setTimeout(3000, () => socket.destroy(new Error('The server stopped responding.')));
+        socket.on('error', reject);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (response === null) {
+                const headEnd = buffer.indexOf('\r\n\r\n');
+                if (headEnd === -1) return;
+                const [statusLine, ...headerLines] = buffer.subarray(0, headEnd).toString().split('\r\n');
+                buffer = buffer.subarray(headEnd + 4);
+                response = {
+                    status: Number(statusLine.split(' ')[1]),
+                    headers: Object.fromEntries(headerLines.map((line) => [line.slice(0, line.indexOf(':')).toLowerCase(), line.slice(line.indexOf(':') + 1).trim()])),
+                    socket: socket,
+                    send: (...args) => socket.write(clientFrame(...args)),
+                    nextFrame: () => new Promise((resolveFrame) => { waiting.push(resolveFrame); flushFrames(); }),
+                    closed: new Promise((resolveClosed) => socket.on('close', resolveClosed))
+                };
+                if (response.status === 101) resolve(response);
+            }
+            if (response.status === 101) flushFrames();
+        });
+        socket.on('end', () => {
+            ended = true;
+            if (response && response.status !== 101) {
+                response.body = buffer.toString();
+                resolve(response);
+            } else {
+                flushFrames();
+            }
+        });
+    });
+}
+
+/**
+ * Build a frame as a client would send it, masked unless told otherwise.
+ */
+function clientFrame(opcode, payload = '', { fin = true, mask = true } = {}) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const header = data.length < 126 ? Buffer.from([0, data.length]) : Buffer.from([0, 126, data.length >> 8, data.length & 0xFF]);
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (!mask) return Buffer.concat([header, data]);
+
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    return Buffer.concat([header, key, Buffer.from(data.map((byte, index) => byte ^ key[index & 3]))]);
+}
+
+/**
+ * Build the payload of a close frame.
+ */
+function closePayload(code, reason = '') {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    return payload;
+}
+
+/**
+ * Parse the frame at the start of the data sent by the server, which are never masked.
+ */
+function readServerFrame(buffer) {
+    if (buffer.length < 2) return null;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    }
+    if (buffer.length < offset + length) return null;
+
+    const payload = buffer.subarray(offset, offset + length);
+    const frame = { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0F, payload, frameLength: offset + length };
+    if (frame.opcode === OPCODES.TEXT) frame.text = payload.toString();
+    if (frame.opcode === OPCODES.CLOSE) {
+        frame.code = payload.readUInt16BE(0);
+        frame.reason = payload.subarray(2).toString();
+    }
+    return frame;
+}
+
+test('the handshake is accepted with the key the client sent', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade) => {
+        const ws = await upgrade('/rooms/lobby');
+        assert.equal(ws.status, 101);
+        assert.equal(ws.headers['upgrade'], 'websocket');
+        // The example handshake of RFC 6455
+        assert.equal(ws.headers['sec-websocket-accept'], 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+        assert.deepEqual(JSON.parse((await ws.nextFrame()).text), { opened: 'lobby' });
+    });
+});
+
+test('invalid handshakes are turned away', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade) => {
+        const missingKey = await upgrade('/rooms/lobby', { 'Sec-WebSocket-Key': null });
+        assert.equal(missingKey.status, 400);
+        assert.match(JSON.parse(missingKey.body).error, /Sec-WebSocket-Key/);
+
+        const shortKey = await upgrade('/rooms/lobby', { 'Sec-WebSocket-Key': Buffer.from('too short').toString('base64') });
+        assert.equal(shortKey.status, 400);
+
+        const oldVersion = await upgrade('/rooms/lobby', { 'Sec-WebSocket-Version': '8' });
+        assert.equal(oldVersion.status, 426);
+        assert.equal(oldVersion.headers['sec-websocket-version'], '13');
+
+        const post = await upgrade('/rooms/lobby', { method: 'POST', 'Content-Length': '0' });
+        assert.equal(post.status, 400);
+
+        const otherProtocol = await upgrade('/rooms/lobby', { 'Upgrade': 'h2c' });
+        assert.equal(otherProtocol.status, 400);
+
+        const noHandler = await upgrade('/plain');
+        assert.equal(noHandler.status, 404);
+        assert.equal(JSON.parse(noHandler.body).code, 'NOT_FOUND');
+    });
+});
+
+test('middleware turns upgrades away with a 403, unless it sets an error status itself', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade) => {
+        const denied = await upgrade('/guarded');
+        assert.equal(denied.status, 403);
+        assert.deepEqual(JSON.parse(denied.body), { denied: true });
+
+        const unauthorized = await upgrade('/private');
+        assert.equal(unauthorized.status, 401);
+        assert.equal(unauthorized.body, 'Unauthorized');
+
+        const allowed = await upgrade('/guarded?token=secret');
+        assert.equal(allowed.status, 101);
+        assert.equal((await allowed.nextFrame()).text, 'welcome');
+    });
+});
+
+test('masked messages are unmasked, and fragments reassembled around control frames', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade) => {
+        const ws = await upgrade('/rooms/lobby');
+        await ws.nextFrame();
+
+        ws.send(OPCODES.TEXT, 'hello');
+        assert.equal((await ws.nextFrame()).text, 'echo:hello');
+
+        ws.send(OPCODES.BINARY, Buffer.from([1, 2, 3]));
+        const binary = await ws.nextFrame();
+        assert.equal(binary.opcode, OPCODES.BINARY);
+        assert.deepEqual([...binary.payload], [1, 2, 3]);
+
+        ws.send(OPCODES.TEXT, 'Hel', { fin: false });
+        ws.send(OPCODES.PING, 'are you there?');
+        ws.send(OPCODES.CONTINUATION, 'lo ', { fin: false });
+        ws.send(OPCODES.CONTINUATION, 'there');
+        const pong = await ws.nextFrame();
+        assert.equal(pong.opcode, OPCODES.PONG);
+        assert.equal(pong.payload.toString(), 'are you there?');
+        assert.equal((await ws.nextFrame()).text, 'echo:Hello there');
+
+        // A multi-byte character split across fragments is still valid
+        const snowman = Buffer.from('☃');
+        ws.send(OPCODES.TEXT, snowman.subarray(0, 1), { fin: false });
+        ws.send(OPCODES.CONTINUATION, snowman.subarray(1));
+        assert.equal((await ws.nextFrame()).text, 'echo:☃');
+    });
+});
+
+test('the close handshake is echoed, and the handler told the code and reason', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade) => {
+        const ws = await upgrade('/rooms/lobby');
+        await ws.nextFrame();
+
+        ws.send(OPCODES.CLOSE, closePayload(4000, 'Goodbye'));
+        const close = await ws.nextFrame();
+        assert.equal(close.opcode, OPCODES.CLOSE);
+        assert.equal(close.code, 4000);
+        await ws.closed;
+        await eventually(() => assert.deepEqual(globalThis.lastClose, { code: 4000, reason: 'Goodbye' }));
+    });
+});
+
+test('connections the client drops without a closing handshake are closed with a 1006', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade) => {
+        const ws = await upgrade('/rooms/lobby');
+        await ws.nextFrame();
+
+        globalThis.lastClose = null;
+        ws.socket.end();
+        await eventually(() => assert.deepEqual(globalThis.lastClose, { code: 1006, reason: '' }));
+    });
+});
+
+test('the server closes connections with the code of whatever broke the protocol', { timeout: 5000 }, async () => {
+    /**
+     * Open a connection, send some frames, and resolve with the close frame the server answers with.
+     */
+    const expectClose = async (upgrade, frames) => {
+        const ws = await upgrade('/rooms/lobby');
+        await ws.nextFrame();
+        for (const frame of frames) ws.socket.write(frame);
+        const close = await ws.nextFrame();
+        assert.equal(close.opcode, OPCODES.CLOSE);
+        await ws.closed;
+        return close;
+    };
+
+    await withServer({ maxPayload: 16 }, async (upgrade) => {
+        assert.equal((await expectClose(upgrade, [clientFrame(OPCODES.TEXT, 'hello', { mask: false })])).code, 1002);
+        assert.equal((await expectClose(upgrade, [clientFrame(OPCODES.CONTINUATION, 'lo')])).code, 1002);
+        assert.equal((await expectClose(upgrade, [clientFrame(OPCODES.TEXT, 'a', { fin: false }), clientFrame(OPCODES.TEXT, 'b')])).code, 1002);
+        assert.equal((await expectClose(upgrade, [clientFrame(OPCODES.PING, 'a', { fin: false })])).code, 1002);
+        assert.equal((await expectClose(upgrade, [clientFrame(OPCODES.CLOSE, closePayload(999))])).code, 1002);
+        assert.equal((await expectClose(upgrade, [clientFrame(OPCODES.TEXT, Buffer.from([0xC3, 0x28]))])).code, 1007);
+
+        const tooBig = await expectClose(upgrade, [clientFrame(OPCODES.TEXT, 'x'.repeat(17))]);
+        assert.equal(tooBig.code, 1009);
+        assert.equal(tooBig.reason, 'Message is too big.');
+        const tooBigFragments = [clientFrame(OPCODES.TEXT, 'x'.repeat(10), { fin: false }), clientFrame(OPCODES.CONTINUATION, 'x'.repeat(10))];
+        assert.equal((await expectClose(upgrade, tooBigFragments)).code, 1009);
+    });
+});
+
+test('detaching closes every open connection with a 1001', { timeout: 5000 }, async () => {
+    await withServer({}, async (upgrade, attachment) => {
+        const ws = await upgrade('/rooms/lobby');
+        await ws.nextFrame();
+
+        attachment.close();
+        const close = await ws.nextFrame();
+        assert.equal(close.code, 1001);
+        assert.equal(close.reason, 'Server is shutting down.');
+    });
+});